@@ -0,0 +1,134 @@
+/**
+ * Previous exports page script for Slack Export Extension
+ *
+ * Lists raw exports kept in the extension's IndexedDB store (src/store.js)
+ * and re-renders them with the current settings.
+ */
+
+// DOM elements
+const exportsListEl = document.getElementById('exportsList');
+const statusDiv = document.getElementById('status');
+
+/**
+ * Load stored exports when page loads
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    refreshExportsList();
+});
+
+/**
+ * Handle re-render and delete buttons
+ */
+exportsListEl.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = Number(button.dataset.id);
+
+    button.disabled = true;
+    try {
+        if (button.dataset.action === 'render') {
+            const filename = await rerenderExport(id);
+            showStatus(`Saved ${filename}`, 'success');
+        } else if (button.dataset.action === 'delete') {
+            await deleteRawExport(id);
+            await refreshExportsList();
+            showStatus('Export deleted', 'success');
+        }
+    } catch (error) {
+        console.error('Export action failed:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+});
+
+/**
+ * Render the table of stored exports
+ */
+async function refreshExportsList() {
+    try {
+        const entries = await listRawExports();
+        if (entries.length === 0) {
+            exportsListEl.innerHTML = '<tr><td colspan="5" class="empty">No stored exports yet. Enable "Save raw API data" in Settings and export a channel.</td></tr>';
+            return;
+        }
+
+        exportsListEl.innerHTML = entries.map(entry => `
+            <tr>
+                <td>${escapeHtml(entry.channelName)}</td>
+                <td>${escapeHtml(new Date(entry.exportedAt).toLocaleString())}</td>
+                <td>${entry.messageCount}</td>
+                <td>${describeExportMode(entry.parameters)}</td>
+                <td class="actions">
+                    <button class="render-btn" data-action="render" data-id="${entry.id}">Re-render</button>
+                    <button class="delete-btn" data-action="delete" data-id="${entry.id}">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load stored exports:', error);
+        showStatus('Failed to load stored exports', 'error');
+    }
+}
+
+/**
+ * Re-render a stored export with the current settings and download it
+ * @param {number} id - Stored export ID
+ * @returns {Promise<string>} Markdown filename
+ */
+async function rerenderExport(id) {
+    const raw = await getRawExport(id);
+    if (!raw) {
+        throw new Error('Export not found');
+    }
+
+    const config = await getConfig();
+    const { channelName, incrementalSince, downloadDirectory } = raw.parameters;
+    const { markdown } = renderRawExport(raw, config);
+    // An archive run only stored the messages it fetched, so it is saved like
+    // a delta file rather than under the archive's name
+    const filename = window.SlackExportExtensionUtils.generateFilename(channelName, config, { delta: !!incrementalSince });
+    // Same directory as the original export, so attachment links still resolve
+    const directory = downloadDirectory || config.downloadDirectory || 'slack-exports';
+
+    const files = [
+        { filename, content: markdown },
+        { filename: getHtmlFilename(filename), content: convertMarkdownToHtmlDocument(markdown, channelName), mimeType: 'text/html' }
+    ];
+    for (const file of files) {
+        const response = await chrome.runtime.sendMessage({
+            action: 'DOWNLOAD_FILE',
+            data: { ...file, directory }
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Download failed');
+        }
+    }
+    return filename;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+/**
+ * Describe how an export was made
+ * @param {Object} parameters - Raw export parameters
+ * @returns {string}
+ */
+function describeExportMode(parameters) {
+    if (parameters.archive) return parameters.incrementalSince ? 'Archive run (changes only)' : 'Archive run';
+    if (parameters.incrementalSince) return 'Incremental';
+    return 'Full';
+}
+
+/**
+ * Show status message
+ */
+function showStatus(message, type) {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+    statusDiv.style.display = 'block';
+
+    setTimeout(() => {
+        statusDiv.style.display = 'none';
+    }, 3000);
+}
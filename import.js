@@ -0,0 +1,258 @@
+/**
+ * Slack export conversion page script for Slack Export Extension
+ *
+ * Reads an official Slack export ZIP locally (src/official-import.js) and
+ * saves its conversations as markdown and HTML, laid out like live exports.
+ */
+
+// DOM elements
+const zipInput = document.getElementById('zipInput');
+const conversationListEl = document.getElementById('conversationList');
+const convertAllBtn = document.getElementById('convertAllBtn');
+const statusDiv = document.getElementById('status');
+
+// The loaded export: { conversations, users, localFiles }
+let officialExport = null;
+
+const CONVERSATION_TYPE_LABELS = {
+    channels: 'Channel',
+    groups: 'Private channel',
+    mpims: 'Group DM',
+    dms: 'DM'
+};
+
+/**
+ * Load the chosen ZIP
+ */
+zipInput.addEventListener('change', async () => {
+    const file = zipInput.files[0];
+    if (!file) return;
+
+    officialExport = null;
+    convertAllBtn.disabled = true;
+    conversationListEl.innerHTML = '<tr><td colspan="4" class="empty">Reading ZIP...</td></tr>';
+    try {
+        const entries = await readZip(file);
+        officialExport = await readOfficialExport(entries);
+        renderConversationList();
+        convertAllBtn.disabled = false;
+    } catch (error) {
+        console.error('Failed to read Slack export:', error);
+        conversationListEl.innerHTML = '<tr><td colspan="4" class="empty">Choose a Slack export ZIP.</td></tr>';
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Handle convert buttons
+ */
+conversationListEl.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-index]');
+    if (!button) return;
+
+    button.disabled = true;
+    try {
+        const { filename, linkedAttachments } = await convertConversation(officialExport.conversations[Number(button.dataset.index)]);
+        showStatus(`Saved ${filename}${describeLinkedAttachments(linkedAttachments)}`, 'success');
+    } catch (error) {
+        console.error('Conversion failed:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+});
+
+convertAllBtn.addEventListener('click', async () => {
+    const conversations = officialExport.conversations.filter(conversation => conversation.dayEntries.length > 0);
+    convertAllBtn.disabled = true;
+    let failed = 0;
+    let linkedAttachments = 0;
+    for (let i = 0; i < conversations.length; i++) {
+        showStatus(`Converting ${conversations[i].name} (${i + 1}/${conversations.length})...`, 'success');
+        try {
+            linkedAttachments += (await convertConversation(conversations[i])).linkedAttachments;
+        } catch (error) {
+            console.error(`Conversion of ${conversations[i].name} failed:`, error);
+            failed++;
+        }
+    }
+    convertAllBtn.disabled = false;
+    showStatus(
+        failed > 0
+            ? `${failed} of ${conversations.length} conversations failed; see the console`
+            : `Converted ${conversations.length} conversations${describeLinkedAttachments(linkedAttachments)}`,
+        failed > 0 ? 'error' : 'success'
+    );
+});
+
+/**
+ * Render the table of conversations in the loaded export
+ */
+function renderConversationList() {
+    conversationListEl.innerHTML = officialExport.conversations.map((conversation, index) => `
+        <tr>
+            <td>${escapeHtml(conversation.name)}</td>
+            <td>${CONVERSATION_TYPE_LABELS[conversation.type]}</td>
+            <td>${conversation.dayEntries.length}</td>
+            <td class="actions">
+                <button class="render-btn" data-index="${index}"${conversation.dayEntries.length === 0 ? ' disabled' : ''}>Convert</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Convert one conversation and download its markdown, HTML and attachments
+ * @param {Object} conversation - Conversation from readOfficialExport
+ * @returns {Promise<{filename: string, linkedAttachments: number}>} Markdown filename, and the number
+ *   of attachments that could not be saved and stay links to Slack
+ */
+async function convertConversation(conversation) {
+    const config = await getConfig();
+    const directory = config.downloadDirectory || 'slack-exports';
+    const raw = await buildRawExportFromOfficial(conversation, officialExport.users, {
+        includeThreadReplies: config.includeThreadReplies,
+        messageBodySource: config.messageBodySource,
+        downloadDirectory: directory,
+        teamId: ''
+    });
+    const attachments = await saveAttachments(raw, directory);
+    raw.files = attachments.files;
+
+    const { markdown } = renderRawExport(raw, config);
+    const filename = window.SlackExportExtensionUtils.generateFilename(conversation.name, config);
+    const files = [
+        { filename, content: markdown },
+        { filename: getHtmlFilename(filename), content: convertMarkdownToHtmlDocument(markdown, conversation.name), mimeType: 'text/html' }
+    ];
+    for (const file of files) {
+        const response = await chrome.runtime.sendMessage({
+            action: 'DOWNLOAD_FILE',
+            data: { ...file, directory }
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Download failed');
+        }
+    }
+    return { filename, linkedAttachments: attachments.linked };
+}
+
+/**
+ * Save the attachments of a conversation into "<channel>_files", as live
+ * exports do: from their copy in the ZIP, or else from their download link
+ * when the export added a file token to it
+ * @param {Object} raw - Raw export built from the official export
+ * @param {string} directory - Download directory
+ * @returns {Promise<{files: Array<Object>, linked: number}>} Raw export file records, and the number
+ *   of attachments left as links to Slack
+ */
+async function saveAttachments(raw, directory) {
+    const files = [];
+    const seenUrls = new Set();
+    let linked = 0;
+    const messages = [...raw.messages];
+    for (const thread of Object.values(raw.threads)) messages.push(...thread.messages);
+
+    for (const message of messages) {
+        for (const file of collectFilesFromMessage(message)) {
+            if (!file.url || seenUrls.has(file.url)) continue;
+            seenUrls.add(file.url);
+
+            const sequence = String(files.length + 1).padStart(4, '0');
+            const localPath = `${directory}/${raw.parameters.channelName}_files/${sequence}-${sanitizeAttachmentName(file.name)}`;
+            try {
+                const bytes = await readAttachment(file);
+                if (!bytes) {
+                    linked++;
+                    continue;
+                }
+                const response = await chrome.runtime.sendMessage({
+                    action: 'DOWNLOAD_FILE_BLOB',
+                    data: { filename: localPath, dataUrl: await bytesToDataUrl(bytes, file.mimetype), mimeType: file.mimetype }
+                });
+                if (!response || !response.success) {
+                    throw new Error(response?.error || 'Download failed');
+                }
+                files.push({ id: file.id, name: file.name, mimetype: file.mimetype, size: file.size ?? null, url: file.url, localPath, downloaded: true });
+            } catch (error) {
+                // The link keeps pointing at Slack
+                console.warn(`⚠️ Failed to save attachment ${file.name}:`, error);
+                linked++;
+            }
+        }
+    }
+    return { files, linked };
+}
+
+/**
+ * Read an attachment's bytes from its copy in the ZIP, or else from its
+ * url_private_download link when that carries a file token ("?t=...", added
+ * to exports of public channels)
+ * @param {Object} file - File from collectFilesFromMessage
+ * @returns {Promise<Uint8Array|null>} null when the file can only be opened with a Slack login
+ */
+async function readAttachment(file) {
+    const entry = file.id && officialExport.localFiles[file.id];
+    if (entry) return entry.read();
+
+    const downloadUrl = file.original?.url_private_download || '';
+    if (!/[?&]t=/.test(downloadUrl)) return null;
+    const response = await fetch(downloadUrl, { credentials: 'omit' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    // A token that no longer works leads to Slack's sign-in page
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.startsWith('text/html') && !file.mimetype.startsWith('text/html')) {
+        throw new Error('The file token was not accepted');
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+/**
+ * Describe attachments that stay links to Slack, for the status message
+ * @param {number} count
+ * @returns {string}
+ */
+function describeLinkedAttachments(count) {
+    return count > 0 ? ` (${count} attachment${count === 1 ? '' : 's'} not saved; they link to Slack and need a Slack login)` : '';
+}
+
+/**
+ * Make a file name safe for chrome.downloads
+ * @param {string} name
+ * @returns {string}
+ */
+function sanitizeAttachmentName(name) {
+    return name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').replace(/^\.+/, '_').slice(0, 140) || 'file';
+}
+
+/**
+ * Encode bytes as a data URL
+ * @param {Uint8Array} bytes
+ * @param {string} mimeType
+ * @returns {Promise<string>}
+ */
+function bytesToDataUrl(bytes, mimeType) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(new Blob([bytes], { type: mimeType || 'application/octet-stream' }));
+    });
+}
+
+/**
+ * Show status message
+ */
+function showStatus(message, type) {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+    statusDiv.style.display = 'block';
+
+    setTimeout(() => {
+        statusDiv.style.display = 'none';
+    }, 3000);
+}
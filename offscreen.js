@@ -0,0 +1,97 @@
+/**
+ * Offscreen document script for Slack Export Extension
+ *
+ * Builds export ZIPs for the background service worker, which cannot create
+ * Blob URLs. The files are read from the extension's IndexedDB store
+ * (src/store.js), so they never pass through runtime messages, and the ZIP
+ * is handed back as a Blob URL for chrome.downloads.
+ */
+
+/**
+ * Handle requests from the service worker
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'offscreen') return;
+
+    if (message.action === 'OFFSCREEN_BUNDLE_ZIP') {
+        buildBundleZip(message.bundleId, message.directory, message.manifest)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => {
+                console.error('❌ Offscreen: OFFSCREEN_BUNDLE_ZIP failed:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (message.action === 'OFFSCREEN_SLACK_EXPORT_ZIP') {
+        buildSlackExportZip(message.rawExportIds)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => {
+                console.error('❌ Offscreen: OFFSCREEN_SLACK_EXPORT_ZIP failed:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (message.action === 'OFFSCREEN_REVOKE_URL') {
+        URL.revokeObjectURL(message.url);
+        sendResponse({ success: true });
+    }
+});
+
+/**
+ * Zip the files a batch run collected in its bundle, with a manifest
+ * @param {number} bundleId - Bundle ID
+ * @param {string} directory - Download directory; paths inside the ZIP are relative to it
+ * @param {Object} manifest - Fields for manifest.json
+ * @returns {Promise<{url: string, size: number, fileCount: number}>} Blob URL of the ZIP
+ */
+async function buildBundleZip(bundleId, directory, manifest) {
+    const allEntries = await getBundleEntries(bundleId);
+    const entries = allEntries.filter(entry => !entry.note);
+    if (entries.length === 0) {
+        throw new Error('No files were exported');
+    }
+
+    // Links between files keep working when the ZIP is extracted
+    const cleanDirectory = (directory || '').trim().replace(/[\/\\]/g, '');
+    const prefix = cleanDirectory ? `${cleanDirectory}/` : '';
+    const relativePath = path => (prefix && path.startsWith(prefix) ? path.slice(prefix.length) : path);
+    const files = entries.map(entry => ({ path: relativePath(entry.path), content: entry.content }));
+    // Files that could not be added were downloaded next to the ZIP, or not at all
+    const filesOutsideZip = allEntries
+        .filter(entry => entry.note)
+        .map(entry => ({ path: relativePath(entry.path), ...entry.note }));
+    files.push({
+        path: 'manifest.json',
+        content: JSON.stringify({ ...manifest, files: files.map(file => file.path), filesOutsideZip }, null, 2)
+    });
+
+    console.log(`🗜️ Building export ZIP from ${entries.length} file(s)...`);
+    const zip = await createZipBlob(files);
+    return { url: URL.createObjectURL(zip), size: zip.size, fileCount: entries.length };
+}
+
+/**
+ * Build a Slack official-format export ZIP from stored raw exports
+ * @param {Array<number>} rawExportIds - Raw export IDs, oldest first
+ * @returns {Promise<{url: string, size: number, conversationCount: number}>} Blob URL of the ZIP
+ */
+async function buildSlackExportZip(rawExportIds) {
+    const raws = [];
+    for (const id of rawExportIds || []) {
+        const raw = await getRawExport(id);
+        if (raw) raws.push(raw);
+    }
+    if (raws.length === 0) {
+        throw new Error('No export data available for the ZIP');
+    }
+
+    console.log(`🗜️ Building Slack export ZIP from ${raws.length} export(s)...`);
+    const zip = await createZipBlob(buildOfficialExportEntries(raws));
+    return {
+        url: URL.createObjectURL(zip),
+        size: zip.size,
+        conversationCount: new Set(raws.map(raw => raw.parameters.channelId)).size
+    };
+}
@@ -14,6 +14,13 @@ const saveChannelsBtn = document.getElementById('saveChannelsBtn');
 const resetChannelsBtn = document.getElementById('resetChannelsBtn');
 const addChannelBtn = document.getElementById('addChannelBtn');
 
+// Schedule elements
+const schedulesJsonEl = document.getElementById('schedulesJson');
+const scheduleStatusDiv = document.getElementById('scheduleStatus');
+const saveSchedulesBtn = document.getElementById('saveSchedulesBtn');
+const scheduleListEl = document.getElementById('scheduleList');
+const exportHistoryEl = document.getElementById('exportHistory');
+
 /**
  * Load saved settings when page loads
  */
@@ -26,11 +33,29 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('fileNameFormat').value = config.fileNameFormat;
         document.getElementById('includeTimestamps').checked = config.includeTimestamps;
         document.getElementById('includeThreadReplies').checked = config.includeThreadReplies;
+        document.getElementById('includeReactions').checked = config.includeReactions;
+        document.getElementById('includeChannelRoster').checked = config.includeChannelRoster;
+        document.getElementById('saveRawJson').checked = config.saveRawJson;
         document.getElementById('historyDays').value = config.historyDays;
+        document.getElementById('exportStartDate').value = config.exportStartDate || '';
+        document.getElementById('exportEndDate').value = config.exportEndDate || '';
+        document.getElementById('incrementalExport').checked = config.incrementalExport;
+        document.getElementById('incrementalThreadTrackDays').value = config.incrementalThreadTrackDays;
+        document.getElementById('archiveMode').checked = config.archiveMode;
+        document.getElementById('archiveSplit').value = config.archiveSplit;
+        document.getElementById('changeReport').checked = config.changeReport;
+        document.getElementById('threadFetchConcurrency').value = config.threadFetchConcurrency;
+        document.getElementById('userCacheTtlHours').value = config.userCacheTtlHours;
+        document.getElementById('messageBodySource').value = config.messageBodySource;
 
         // Populate channel JSON editor
         const channels = config.channels || [];
         channelsJsonEl.value = JSON.stringify(channels, null, 2);
+
+        // Populate schedules
+        schedulesJsonEl.value = JSON.stringify(config.schedules || [], null, 2);
+        renderScheduleList(config.schedules || [], channels);
+        await renderExportHistory();
         
     } catch (error) {
         console.error('Failed to load settings:', error);
@@ -46,13 +71,33 @@ form.addEventListener('submit', async (e) => {
     
     try {
         const formData = new FormData(form);
+        const exportStartDate = document.getElementById('exportStartDate').value;
+        const exportEndDate = document.getElementById('exportEndDate').value;
+        
+        if (exportStartDate && exportEndDate && exportStartDate > exportEndDate) {
+            showStatus('Start date must be on or before end date', 'error');
+            return;
+        }
         
         const config = {
             downloadDirectory: formData.get('downloadDirectory') || 'slack-exports',
             fileNameFormat: formData.get('fileNameFormat') || 'YYYYMMDD-HHmm-{channel}.md',
             includeTimestamps: document.getElementById('includeTimestamps').checked,
             includeThreadReplies: document.getElementById('includeThreadReplies').checked,
-            historyDays: parseInt(document.getElementById('historyDays').value) || 7
+            includeReactions: document.getElementById('includeReactions').checked,
+            includeChannelRoster: document.getElementById('includeChannelRoster').checked,
+            saveRawJson: document.getElementById('saveRawJson').checked,
+            historyDays: parseInt(document.getElementById('historyDays').value) || 7,
+            exportStartDate,
+            exportEndDate,
+            incrementalExport: document.getElementById('incrementalExport').checked,
+            incrementalThreadTrackDays: Math.max(0, parseInt(document.getElementById('incrementalThreadTrackDays').value) || 0),
+            archiveMode: document.getElementById('archiveMode').checked,
+            archiveSplit: document.getElementById('archiveSplit').value || 'none',
+            changeReport: document.getElementById('changeReport').checked,
+            threadFetchConcurrency: Math.min(10, Math.max(1, parseInt(document.getElementById('threadFetchConcurrency').value) || 4)),
+            userCacheTtlHours: Math.max(1, parseInt(document.getElementById('userCacheTtlHours').value) || 24),
+            messageBodySource: document.getElementById('messageBodySource').value || 'blocks'
         };
         
         await saveConfig(config);
@@ -76,7 +121,20 @@ resetBtn.addEventListener('click', async () => {
         document.getElementById('fileNameFormat').value = defaultConfig.fileNameFormat;
         document.getElementById('includeTimestamps').checked = defaultConfig.includeTimestamps;
         document.getElementById('includeThreadReplies').checked = defaultConfig.includeThreadReplies;
+        document.getElementById('includeReactions').checked = defaultConfig.includeReactions;
+        document.getElementById('includeChannelRoster').checked = defaultConfig.includeChannelRoster;
+        document.getElementById('saveRawJson').checked = defaultConfig.saveRawJson;
         document.getElementById('historyDays').value = defaultConfig.historyDays;
+        document.getElementById('exportStartDate').value = defaultConfig.exportStartDate;
+        document.getElementById('exportEndDate').value = defaultConfig.exportEndDate;
+        document.getElementById('incrementalExport').checked = defaultConfig.incrementalExport;
+        document.getElementById('incrementalThreadTrackDays').value = defaultConfig.incrementalThreadTrackDays;
+        document.getElementById('archiveMode').checked = defaultConfig.archiveMode;
+        document.getElementById('archiveSplit').value = defaultConfig.archiveSplit;
+        document.getElementById('changeReport').checked = defaultConfig.changeReport;
+        document.getElementById('threadFetchConcurrency').value = defaultConfig.threadFetchConcurrency;
+        document.getElementById('userCacheTtlHours').value = defaultConfig.userCacheTtlHours;
+        document.getElementById('messageBodySource').value = defaultConfig.messageBodySource;
         
         // Save defaults (only general settings, preserve channels)
         await saveConfig({
@@ -84,7 +142,20 @@ resetBtn.addEventListener('click', async () => {
             fileNameFormat: defaultConfig.fileNameFormat,
             includeTimestamps: defaultConfig.includeTimestamps,
             includeThreadReplies: defaultConfig.includeThreadReplies,
-            historyDays: defaultConfig.historyDays
+            includeReactions: defaultConfig.includeReactions,
+            includeChannelRoster: defaultConfig.includeChannelRoster,
+            saveRawJson: defaultConfig.saveRawJson,
+            historyDays: defaultConfig.historyDays,
+            exportStartDate: defaultConfig.exportStartDate,
+            exportEndDate: defaultConfig.exportEndDate,
+            incrementalExport: defaultConfig.incrementalExport,
+            incrementalThreadTrackDays: defaultConfig.incrementalThreadTrackDays,
+            archiveMode: defaultConfig.archiveMode,
+            archiveSplit: defaultConfig.archiveSplit,
+            changeReport: defaultConfig.changeReport,
+            threadFetchConcurrency: defaultConfig.threadFetchConcurrency,
+            userCacheTtlHours: defaultConfig.userCacheTtlHours,
+            messageBodySource: defaultConfig.messageBodySource
         });
         showStatus('Settings reset to defaults', 'success');
         
@@ -117,6 +188,15 @@ saveChannelsBtn.addEventListener('click', async () => {
             if (ch.type !== undefined && !['channel', 'dm', 'group'].includes(ch.type)) {
                 throw new Error(`Invalid type for "${ch.name}": must be channel, dm, or group`);
             }
+            if (ch.incremental !== undefined && typeof ch.incremental !== 'boolean') {
+                throw new Error(`Invalid incremental for "${ch.name}": must be true or false`);
+            }
+            if (ch.archive !== undefined && typeof ch.archive !== 'boolean') {
+                throw new Error(`Invalid archive for "${ch.name}": must be true or false`);
+            }
+            if (ch.changeReport !== undefined && typeof ch.changeReport !== 'boolean') {
+                throw new Error(`Invalid changeReport for "${ch.name}": must be true or false`);
+            }
         }
 
         await saveConfig({ channels: parsed });
@@ -187,6 +267,183 @@ addChannelBtn.addEventListener('click', async () => {
     }
 });
 
+// ── Scheduled exports ──────────────────────────────────────────────
+
+/**
+ * Save schedules from JSON editor
+ */
+saveSchedulesBtn.addEventListener('click', async () => {
+    try {
+        const parsed = JSON.parse(schedulesJsonEl.value);
+        if (!Array.isArray(parsed)) {
+            throw new Error('Schedules must be a JSON array');
+        }
+
+        const ids = new Set();
+        for (const schedule of parsed) {
+            window.SlackExportExtensionSchedule.validateSchedule(schedule);
+            if (ids.has(schedule.id)) {
+                throw new Error(`Duplicate schedule id "${schedule.id}"`);
+            }
+            ids.add(schedule.id);
+        }
+
+        // The background service worker re-arms its alarms when schedules change
+        await saveConfig({ schedules: parsed });
+        showScheduleStatus(`Saved ${parsed.length} schedules`, 'success');
+
+        schedulesJsonEl.value = JSON.stringify(parsed, null, 2);
+        renderScheduleList(parsed, (await getConfig()).channels || []);
+    } catch (error) {
+        showScheduleStatus(`Error: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Handle "Run now" buttons
+ */
+scheduleListEl.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-schedule-id]');
+    if (!button) return;
+
+    button.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'SCHEDULE_RUN_NOW', scheduleId: button.dataset.scheduleId });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Could not start the export');
+        }
+        showScheduleStatus(response.queued ? 'Export queued behind the running one' : 'Export started', 'success');
+    } catch (error) {
+        showScheduleStatus(`Error: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+});
+
+/**
+ * Handle "Retry failed" buttons in the export history
+ */
+exportHistoryEl.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-job-id]');
+    if (!button) return;
+
+    button.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'BATCH_JOB_RETRY_FAILED', jobId: Number(button.dataset.jobId) });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Could not start the export');
+        }
+        showScheduleStatus(response.queued ? 'Retry queued behind the running export' : 'Retry started', 'success');
+    } catch (error) {
+        showScheduleStatus(`Error: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+});
+
+/**
+ * Refresh the history when a run finishes
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.exportHistory) {
+        renderExportHistory();
+    }
+});
+
+/**
+ * Render the saved schedules with their next run and channel count
+ * @param {Array<Object>} schedules
+ * @param {Array<Object>} channels - Configured batch channels
+ */
+function renderScheduleList(schedules, channels) {
+    const { getNextScheduleRun, getScheduleChannels } = window.SlackExportExtensionSchedule;
+    scheduleListEl.innerHTML = '';
+    for (const schedule of schedules) {
+        const nextRun = getNextScheduleRun(schedule);
+        const channelCount = getScheduleChannels(schedule, channels).length;
+
+        const item = document.createElement('div');
+        item.className = 'schedule-item';
+        const info = document.createElement('div');
+        info.className = 'schedule-info';
+        const name = document.createElement('strong');
+        name.textContent = schedule.name || schedule.id;
+        const details = document.createElement('div');
+        details.className = 'description';
+        details.textContent = `${channelCount} channel${channelCount !== 1 ? 's' : ''} · `
+            + (nextRun ? `next run ${new Date(nextRun).toLocaleString()}` : 'disabled');
+        info.appendChild(name);
+        info.appendChild(details);
+
+        const runBtn = document.createElement('button');
+        runBtn.type = 'button';
+        runBtn.className = 'reset-btn';
+        runBtn.dataset.scheduleId = schedule.id;
+        runBtn.textContent = 'Run now';
+
+        item.appendChild(info);
+        item.appendChild(runBtn);
+        scheduleListEl.appendChild(item);
+    }
+}
+
+/**
+ * Render the export history kept by the background service worker
+ */
+async function renderExportHistory() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_EXPORT_HISTORY' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response');
+        }
+
+        exportHistoryEl.innerHTML = '';
+        if (response.history.length === 0) {
+            exportHistoryEl.innerHTML = '<div class="empty">No exports yet</div>';
+            return;
+        }
+        for (const entry of response.history) {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            const info = document.createElement('div');
+            info.className = 'history-info';
+            const title = document.createElement('div');
+            const label = entry.trigger === 'schedule' ? entry.scheduleName
+                : entry.trigger === 'retry' ? `Retry of failed channels${entry.scheduleName ? ` (${entry.scheduleName})` : ''}`
+                : 'Manual export';
+            title.textContent = `${new Date(entry.startedAt).toLocaleString()} · ${label}`;
+            const details = document.createElement('div');
+            details.className = 'description';
+            const failed = entry.results.filter(r => !r.success);
+            details.textContent = entry.error
+                || `${entry.succeeded}/${entry.totalChannels} channels, ${entry.messageCount} messages`
+                    + (failed.length > 0 ? ` · failed: ${failed.map(r => `${r.channel} (${r.error})`).join(', ')}` : '');
+            info.appendChild(title);
+            info.appendChild(details);
+            item.appendChild(info);
+
+            if (entry.jobId && failed.some(r => r.channelId)) {
+                const retryBtn = document.createElement('button');
+                retryBtn.type = 'button';
+                retryBtn.className = 'reset-btn';
+                retryBtn.dataset.jobId = entry.jobId;
+                retryBtn.textContent = 'Retry failed';
+                item.appendChild(retryBtn);
+            }
+
+            const status = document.createElement('span');
+            status.className = `history-status ${entry.status}`;
+            status.textContent = entry.status;
+
+            item.appendChild(status);
+            exportHistoryEl.appendChild(item);
+        }
+    } catch (error) {
+        console.error('Failed to load export history:', error);
+        exportHistoryEl.innerHTML = '<div class="empty">Export history unavailable</div>';
+    }
+}
+
 // ── Helpers ────────────────────────────────────────────────────────
 
 /**
@@ -213,4 +470,17 @@ function showChannelStatus(message, type) {
     setTimeout(() => {
         channelStatusDiv.style.display = 'none';
     }, 3000);
+}
+
+/**
+ * Show status message for schedules
+ */
+function showScheduleStatus(message, type) {
+    scheduleStatusDiv.textContent = message;
+    scheduleStatusDiv.className = `status ${type}`;
+    scheduleStatusDiv.style.display = 'block';
+    
+    setTimeout(() => {
+        scheduleStatusDiv.style.display = 'none';
+    }, 3000);
 } 
\ No newline at end of file
@@ -1,6 +1,7 @@
 /**
  * Slack Export Extension Batch Export Popup
- * Orchestrates multi-channel export via the content script running on the Slack page.
+ * Starts batch export jobs, which the background service worker runs, and
+ * shows their progress. Closing the popup does not stop a running job.
  */
 
 // ── State ──────────────────────────────────────────────────────────
@@ -10,10 +11,8 @@ let config = {};
 let lastExportTimestamps = {};
 let activeTab = null;
 let isExporting = false;
-let activeExportChannelId = null;
+let currentJobId = null;
 let liveStats = { messages: 0, attachments: 0 };
-let completedStats = { messages: 0, attachments: 0 };
-let channelLiveStats = { messages: 0, attachments: 0 };
 
 // ── DOM references ─────────────────────────────────────────────────
 
@@ -22,6 +21,11 @@ const noChannelsEl = document.getElementById('noChannels');
 const notOnSlackEl = document.getElementById('notOnSlack');
 const exportBtn = document.getElementById('exportBtn');
 const combinedExportCb = document.getElementById('combinedExport');
+const slackExportZipCb = document.getElementById('slackExportZip');
+const bundleZipCb = document.getElementById('bundleZip');
+const rangeStartInput = document.getElementById('rangeStart');
+const rangeEndInput = document.getElementById('rangeEnd');
+const rangeClearBtn = document.getElementById('rangeClearBtn');
 const progressSection = document.getElementById('progressSection');
 const progressBar = document.getElementById('progressBar');
 const progressText = document.getElementById('progressText');
@@ -29,7 +33,12 @@ const activityText = document.getElementById('activityText');
 const progressMessages = document.getElementById('progressMessages');
 const progressAttachments = document.getElementById('progressAttachments');
 const progressSpinner = document.getElementById('progressSpinner');
+const pauseBtn = document.getElementById('pauseBtn');
+const resumeBtn = document.getElementById('resumeBtn');
+const cancelBtn = document.getElementById('cancelBtn');
 const summarySection = document.getElementById('summarySection');
+const retryControls = document.getElementById('retryControls');
+const retryFailedBtn = document.getElementById('retryFailedBtn');
 const exportControls = document.getElementById('exportControls');
 const settingsBtn = document.getElementById('settingsBtn');
 const quickAddBtn = document.getElementById('quickAddBtn');
@@ -67,9 +76,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Load combined export preference
     combinedExportCb.checked = config.combinedExport || false;
+    slackExportZipCb.checked = config.slackExportZip || false;
+    bundleZipCb.checked = config.bundleZip || false;
+
+    // Date range defaults from settings; edits apply to this run only
+    rangeStartInput.value = config.exportStartDate || '';
+    rangeEndInput.value = config.exportEndDate || '';
 
     renderChannels();
-    await restoreExportUiState();
+    await restoreExportState();
     updateExportButton();
   } catch (error) {
     console.error('Popup init error:', error);
@@ -95,13 +110,36 @@ combinedExportCb.addEventListener('change', async () => {
   await saveConfig({ combinedExport: combinedExportCb.checked });
 });
 
+slackExportZipCb.addEventListener('change', async () => {
+  await saveConfig({ slackExportZip: slackExportZipCb.checked });
+});
+
+bundleZipCb.addEventListener('change', async () => {
+  await saveConfig({ bundleZip: bundleZipCb.checked });
+});
+
+rangeClearBtn.addEventListener('click', () => {
+  rangeStartInput.value = '';
+  rangeEndInput.value = '';
+});
+
 quickAddBtn.addEventListener('click', quickAddCurrentChannel);
 cleanupChannelsBtn.addEventListener('click', cleanupInvalidChannels);
 
-chrome.runtime.onMessage.addListener((message) => {
-  if (!isExporting || !message || message.action !== 'BATCH_EXPORT_PROGRESS') return;
-  if (activeExportChannelId && message.channelId && message.channelId !== activeExportChannelId) return;
-  handleLiveProgressUpdate(message);
+pauseBtn.addEventListener('click', () => controlExportJob('BATCH_JOB_PAUSE', pauseBtn));
+resumeBtn.addEventListener('click', () => controlExportJob('BATCH_JOB_RESUME', resumeBtn));
+cancelBtn.addEventListener('click', () => controlExportJob('BATCH_JOB_CANCEL', cancelBtn));
+retryFailedBtn.addEventListener('click', retryFailedChannels);
+
+// The background persists job progress; the popup only renders it
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.batchExportState?.newValue) {
+    renderExportState(changes.batchExportState.newValue);
+  }
+  if (areaName === 'sync' && changes.lastExportTimestamps) {
+    lastExportTimestamps = changes.lastExportTimestamps.newValue || {};
+    channels.forEach(ch => refreshChannelLastExportMeta(ch.channelId));
+  }
 });
 
 // ── Render ─────────────────────────────────────────────────────────
@@ -240,237 +278,63 @@ function updateTierCheckbox(tier) {
   tierCb.indeterminate = checkedCbs.length > 0 && checkedCbs.length < tierCbs.length;
 }
 
-// ── Batch export orchestration ─────────────────────────────────────
+// ── Batch export ───────────────────────────────────────────────────
 
 async function exportSelected() {
   const selected = getSelectedChannels();
   if (selected.length === 0) return;
 
-  isExporting = true;
-  exportBtn.disabled = true;
-  progressSection.style.display = 'block';
-  summarySection.style.display = 'none';
-  exportControls.style.display = 'none';
-  await notifyExportSession('start', { totalChannels: selected.length });
-
-  // Disable all checkboxes during export
-  channelListEl.querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.disabled = true; });
-
-  const results = [];
-  let combinedMarkdown = '';
-  completedStats = { messages: 0, attachments: 0 };
-  channelLiveStats = { messages: 0, attachments: 0 };
-  if (progressSpinner) progressSpinner.style.animationPlayState = 'running';
-  setLiveStats(0, 0);
-
-  for (let i = 0; i < selected.length; i++) {
-    const channel = selected[i];
-    activeExportChannelId = channel.channelId;
-    channelLiveStats = { messages: 0, attachments: 0 };
-    setLiveStats(completedStats.messages, completedStats.attachments);
-    updateProgress(i, selected.length, channel.name);
-    setActivity(`Starting ${channel.name}...`);
-    setChannelStatus(channel.channelId, 'active');
-    await notifyExportSession('channel_start', {
-      channelId: channel.channelId,
-      channelName: channel.name
-    });
-
-    try {
-      if (!isSlackConversationId(channel.channelId)) {
-        setChannelStatus(channel.channelId, 'error');
-        results.push({
-          channel: channel.name,
-          success: false,
-          error: `Invalid conversation ID: ${channel.channelId}`
-        });
-        continue;
-      }
-
-      // Calculate oldestTimestamp based on historyDays from now
-      // Always respect historyDays by going back from current time
-      const historyDaysMs = (config.historyDays || 7) * 86400 * 1000;
-      const oldestTimestamp = Date.now() - historyDaysMs;
-
-      const response = await chrome.tabs.sendMessage(activeTab.id, {
-        action: 'BATCH_EXPORT_CHANNEL',
-        channelId: channel.channelId,
-        channelName: channel.name,
-        oldestTimestamp: oldestTimestamp
-      });
-
-      if (response && response.success) {
-        const channelMessageCount = Number(response.messageCount || 0);
-        const channelAttachmentCount = Number(response.attachmentCount || 0);
-        setLiveStats(
-          completedStats.messages + channelMessageCount,
-          completedStats.attachments + channelAttachmentCount
-        );
-
-        // Always download markdown file, regardless of message count
-        // Ensure markdown exists - generate fallback if missing
-        let markdownToDownload = response.markdown;
-        if (!markdownToDownload || !markdownToDownload.trim()) {
-          console.warn(`⚠️ No markdown content for ${channel.name}, generating fallback...`);
-          const now = new Date();
-          const exportTime = now.toLocaleString();
-          markdownToDownload = `# Slack Export Extension Export: ${channel.name}\n*Exported: ${exportTime}*\n\n---\n\n*Note: No messages found or export encountered errors*\n\n`;
-        }
-
-        console.log(`💾 Downloading markdown for ${channel.name} (${response.messageCount || 0} messages, ${markdownToDownload.length} chars)`);
-
-        // If content script already saved markdown, avoid duplicate file.
-        let channelSaved = false;
-        if (response.markdownSavedByContent) {
-          console.log(`✅ Markdown already saved by content script for ${channel.name}`);
-          channelSaved = true;
-        } else {
-          // Trigger download via background script - always create file
-          // Retry download if it fails
-          let downloadSuccess = false;
-          let downloadError = null;
-          for (let retry = 0; retry < 3; retry++) {
-            try {
-              const downloadResponse = await chrome.runtime.sendMessage({
-                action: 'DOWNLOAD_FILE',
-                data: {
-                  filename: generateFilename(channel.name),
-                  content: markdownToDownload,
-                  directory: config.downloadDirectory || 'slack-exports'
-                }
-              });
-
-              if (downloadResponse && downloadResponse.success) {
-                downloadSuccess = true;
-                channelSaved = true;
-                break;
-              } else {
-                downloadError = downloadResponse?.error || 'Download failed';
-                if (retry < 2) {
-                  console.warn(`⚠️ Download attempt ${retry + 1} failed, retrying...`);
-                  await new Promise(resolve => setTimeout(resolve, 1000));
-                }
-              }
-            } catch (downloadErr) {
-              downloadError = downloadErr.message;
-              if (retry < 2) {
-                console.warn(`⚠️ Download attempt ${retry + 1} threw error, retrying...`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-              }
-            }
-          }
-
-          if (!downloadSuccess) {
-            console.error(`❌ Download failed for ${channel.name} after 3 attempts:`, downloadError);
-            setChannelStatus(channel.channelId, 'error');
-            results.push({ channel: channel.name, success: false, error: downloadError || 'Download failed' });
-            continue;
-          }
-
-          console.log(`✅ Successfully downloaded markdown for ${channel.name}`);
-        }
-
-        // Accumulate for combined file (only if there are messages)
-        if (combinedExportCb.checked && response.messageCount > 0) {
-          combinedMarkdown += `\n\n---\n\n## ${channel.name}\n\n` + response.markdown.split('\n').slice(3).join('\n');
-        }
-
-        // Update last exported timestamp for any successful channel export.
-        // This reflects export completion even when save path differs.
-        lastExportTimestamps[channel.channelId] = Date.now();
-        await saveConfig({ lastExportTimestamps });
-        refreshChannelLastExportMeta(channel.channelId);
-
-        setChannelStatus(channel.channelId, 'success');
-        await notifyExportSession('channel_done', {
-          channelId: channel.channelId,
-          channelName: channel.name,
-          status: 'success'
-        });
-        completedStats.messages += channelMessageCount;
-        completedStats.attachments += channelAttachmentCount;
-        setLiveStats(completedStats.messages, completedStats.attachments);
-        results.push({
-          channel: channel.name,
-          success: true,
-          count: channelMessageCount,
-          attachments: channelAttachmentCount
-        });
-      } else {
-        setChannelStatus(channel.channelId, 'error');
-        await notifyExportSession('channel_done', {
-          channelId: channel.channelId,
-          channelName: channel.name,
-          status: 'error'
-        });
-        results.push({ channel: channel.name, success: false, error: response?.error || 'Unknown error' });
-      }
-    } catch (error) {
-      setChannelStatus(channel.channelId, 'error');
-      await notifyExportSession('channel_done', {
+  if (rangeStartInput.value && rangeEndInput.value && rangeStartInput.value > rangeEndInput.value) {
+    summarySection.className = 'summary-section has-errors';
+    summarySection.textContent = 'Start date must be on or before end date';
+    summarySection.style.display = 'block';
+    return;
+  }
+  const { oldestTimestamp, latestTimestamp } = getExportDateRange(config, {
+    startDate: rangeStartInput.value,
+    endDate: rangeEndInput.value
+  });
+  // An explicit date range for this run always means a full export
+  const hasExplicitRange = !!(rangeStartInput.value || rangeEndInput.value);
+
+  const job = {
+    tabId: activeTab.id,
+    channels: selected.map(channel => {
+      // Archives only need what changed since the last run; an explicit range backfills them
+      const archive = channel.archive ?? config.archiveMode;
+      return {
         channelId: channel.channelId,
-        channelName: channel.name,
-        status: 'error'
-      });
-      results.push({ channel: channel.name, success: false, error: error.message });
-    }
+        name: channel.name,
+        archive,
+        incremental: !hasExplicitRange && (archive || (channel.incremental ?? config.incrementalExport)),
+        changeReport: channel.changeReport ?? config.changeReport
+      };
+    }),
+    oldestTimestamp,
+    latestTimestamp,
+    combinedExport: combinedExportCb.checked,
+    slackExportZip: slackExportZipCb.checked,
+    bundleZip: bundleZipCb.checked
+  };
 
-    // Rate limit delay between channels (skip after last)
-    if (i < selected.length - 1) {
-      updateProgress(i + 1, selected.length, 'Waiting (rate limit)...');
-      setActivity('Waiting for rate limit...');
-      await sleep(2500);
+  exportBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'BATCH_JOB_START', job });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not start export');
     }
-  }
-
-  // Download combined file if enabled
-  if (combinedExportCb.checked && combinedMarkdown) {
-    const now = new Date();
-    const header = `# Slack Export Extension Combined Export\n*Exported: ${now.toLocaleString()}*\n`;
-    try {
-      await chrome.runtime.sendMessage({
-        action: 'DOWNLOAD_FILE',
-        data: {
-          filename: generateFilename('combined'),
-          content: header + combinedMarkdown,
-          directory: config.downloadDirectory || 'slack-exports'
-        }
-      });
-    } catch (e) {
-      console.error('Failed to download combined file:', e);
+    if (response.queued) {
+      summarySection.className = 'summary-section';
+      summarySection.textContent = 'Export queued; it starts when the current export finishes';
+      summarySection.style.display = 'block';
     }
+  } catch (error) {
+    console.error('Failed to start export:', error);
+    summarySection.className = 'summary-section has-errors';
+    summarySection.textContent = `Export failed to start: ${error.message}`;
+    summarySection.style.display = 'block';
+    updateExportButton();
   }
-
-  // Show summary
-  activeExportChannelId = null;
-  updateProgress(selected.length, selected.length, 'Done!');
-  setActivity('Export complete');
-  setLiveStats(completedStats.messages, completedStats.attachments);
-  if (progressSpinner) progressSpinner.style.animationPlayState = 'paused';
-  showSummary(results);
-  await notifyExportSession('finish');
-
-  isExporting = false;
-
-  // Re-enable checkboxes
-  channelListEl.querySelectorAll('input[type="checkbox"]').forEach(cb => {
-    const channelId = cb.dataset.channelId;
-    const ch = channels.find(c => c.channelId === channelId);
-    if (ch && ch.enabled && ch.channelId) {
-      cb.disabled = false;
-    }
-    // Tier checkboxes
-    if (cb.dataset.tier && !cb.dataset.channelId) {
-      cb.disabled = false;
-    }
-  });
-  // Also re-enable tier-level checkboxes
-  channelListEl.querySelectorAll('.tier-header input[type="checkbox"]').forEach(cb => {
-    cb.disabled = false;
-  });
-
-  exportControls.style.display = 'block';
-  updateExportButton();
 }
 
 // ── Progress & status helpers ──────────────────────────────────────
@@ -494,100 +358,133 @@ function setLiveStats(messages, attachments) {
   if (progressAttachments) progressAttachments.textContent = `Attachments: ${liveStats.attachments}`;
 }
 
-function handleLiveProgressUpdate(message) {
-  const stage = message.stage || '';
-  if (typeof message.messageCount === 'number' || typeof message.attachmentCount === 'number') {
-    channelLiveStats.messages = Math.max(channelLiveStats.messages, Number(message.messageCount || 0));
-    channelLiveStats.attachments = Math.max(channelLiveStats.attachments, Number(message.attachmentCount || 0));
-    setLiveStats(
-      completedStats.messages + channelLiveStats.messages,
-      completedStats.attachments + channelLiveStats.attachments
-    );
-  }
-
-  if (stage === 'fetching_messages') {
-    setActivity('Fetching messages from Slack API...');
-  } else if (stage === 'fetching_thread_replies') {
-    setActivity(`Fetching thread replies (${message.fetchedThreads || 0}/${message.totalThreads || 0})...`);
-  } else if (stage === 'enriching_messages') {
-    setActivity(`Processing messages (${message.processed || 0}/${message.total || 0})...`);
-  } else if (stage === 'downloading_attachments') {
-    setActivity(`Downloading attachments (${message.downloaded || 0}/${message.total || 0})...`);
-  } else if (stage === 'building_markdown') {
-    setActivity('Building markdown files...');
-  } else if (stage === 'done') {
-    setActivity('Channel export finished');
+/**
+ * Pause, resume or cancel the export shown in the progress section
+ * @param {string} action - BATCH_JOB_PAUSE, BATCH_JOB_RESUME or BATCH_JOB_CANCEL
+ * @param {HTMLButtonElement} button - Button that was clicked
+ */
+async function controlExportJob(action, button) {
+  if (!currentJobId) return;
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action, jobId: currentJobId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response');
+    }
+  } catch (error) {
+    console.error(`${action} failed:`, error);
+    setActivity(`Error: ${error.message}`);
+  } finally {
+    button.disabled = false;
   }
 }
 
-async function notifyExportSession(event, extra = {}) {
+/**
+ * Export the channels the last export failed on again, with the same settings
+ */
+async function retryFailedChannels() {
+  if (!currentJobId) return;
+  retryFailedBtn.disabled = true;
   try {
-    await chrome.runtime.sendMessage({
-      action: 'BATCH_EXPORT_SESSION',
-      event,
-      ...extra
+    const response = await chrome.runtime.sendMessage({
+      action: 'BATCH_JOB_RETRY_FAILED',
+      jobId: currentJobId,
+      // The background finds a Slack tab itself when the popup is opened elsewhere
+      tabId: activeTab?.url?.includes('slack.com') ? activeTab.id : null
     });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response');
+    }
+    retryControls.style.display = 'none';
   } catch (error) {
-    console.warn('Failed to sync export session state:', error);
+    console.error('Retry failed:', error);
+    summarySection.className = 'summary-section has-errors';
+    summarySection.textContent = `Retry failed to start: ${error.message}`;
+    summarySection.style.display = 'block';
+  } finally {
+    retryFailedBtn.disabled = false;
   }
 }
 
-async function restoreExportUiState() {
+async function restoreExportState() {
   try {
     const response = await chrome.runtime.sendMessage({ action: 'GET_BATCH_EXPORT_STATE' });
-    const state = response?.state;
-    if (!response?.success || !state) return;
-
-    if (state.channelStatuses && typeof state.channelStatuses === 'object') {
-      for (const [channelId, status] of Object.entries(state.channelStatuses)) {
-        if (status === 'active' || status === 'success' || status === 'error') {
-          setChannelStatus(channelId, status);
-        }
+    if (response?.success && response.state) {
+      renderExportState(response.state);
+    }
+  } catch (error) {
+    console.warn('Failed to restore export UI state:', error);
+  }
+}
+
+/**
+ * Show the batch export state kept by the background service worker
+ * @param {Object} state - See DEFAULT_BATCH_EXPORT_STATE in background.js
+ */
+function renderExportState(state) {
+  if (state.channelStatuses && typeof state.channelStatuses === 'object') {
+    for (const [channelId, status] of Object.entries(state.channelStatuses)) {
+      if (status === 'active' || status === 'paused' || status === 'success' || status === 'error') {
+        setChannelStatus(channelId, status);
       }
     }
+  }
 
-    if (!state.active) return;
+  const wasExporting = isExporting;
+  // A paused export still owns the channel list until it is resumed or cancelled
+  isExporting = !!(state.active || state.paused);
+  currentJobId = state.jobId;
 
-    isExporting = true;
-    exportBtn.disabled = true;
+  if (isExporting) {
     progressSection.style.display = 'block';
     exportControls.style.display = 'none';
     summarySection.style.display = 'none';
+    retryControls.style.display = 'none';
+    pauseBtn.style.display = state.paused ? 'none' : '';
+    resumeBtn.style.display = state.paused ? '' : 'none';
+    cancelBtn.style.display = '';
+    if (progressSpinner) progressSpinner.style.animationPlayState = state.paused ? 'paused' : 'running';
+    updateProgress(state.completedChannels || 0, state.totalChannels || 0, state.currentChannelName || 'Export in progress');
+    setActivity(state.activityText || 'Export in progress...');
+    setLiveStats(state.messageCount, state.attachmentCount);
+    channelListEl.querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.disabled = true; });
+    return;
+  }
 
-    activeExportChannelId = state.currentChannelId || null;
-    completedStats.messages = Number(state.messageCount || 0);
-    completedStats.attachments = Number(state.attachmentCount || 0);
-    channelLiveStats = { messages: 0, attachments: 0 };
-    setLiveStats(completedStats.messages, completedStats.attachments);
-    if (progressSpinner) progressSpinner.style.animationPlayState = 'running';
-
-    if (typeof state.progressPercent === 'number') {
-      progressBar.style.width = `${Math.max(0, Math.min(100, state.progressPercent))}%`;
-    }
-
-    if (state.totalChannels > 0) {
-      progressText.textContent = `${state.completedChannels || 0}/${state.totalChannels} — ${state.currentChannelName || 'Export in progress'}`;
-    } else {
-      progressText.textContent = 'Export in progress...';
-    }
+  if (wasExporting) {
+    const cancelled = state.stage === 'cancelled';
+    updateProgress(
+      cancelled ? state.completedChannels || 0 : state.totalChannels || 0,
+      state.totalChannels || 0,
+      cancelled ? 'Cancelled' : 'Done!'
+    );
+    setActivity(state.activityText || 'Export complete');
+    setLiveStats(state.messageCount, state.attachmentCount);
+    if (progressSpinner) progressSpinner.style.animationPlayState = 'paused';
+    pauseBtn.style.display = 'none';
+    resumeBtn.style.display = 'none';
+    cancelBtn.style.display = 'none';
+    enableChannelCheckboxes();
+    exportControls.style.display = 'block';
+  }
+  if ((state.stage === 'done' || state.stage === 'cancelled') && Array.isArray(state.results)) {
+    showSummary(state.results, { cancelled: state.stage === 'cancelled', totalChannels: state.totalChannels });
+  }
+  updateExportButton();
+}
 
-    const stage = String(state.stage || '');
-    if (stage === 'fetching_thread_replies') {
-      setActivity(`Fetching thread replies (${state.fetchedThreads || 0}/${state.totalThreads || 0})...`);
-    } else if (stage === 'downloading_attachments') {
-      setActivity('Downloading attachments...');
-    } else if (stage === 'enriching_messages') {
-      setActivity('Processing messages...');
-    } else if (stage === 'building_markdown') {
-      setActivity('Building markdown files...');
-    } else {
-      setActivity(state.activityText || 'Export in progress...');
+function enableChannelCheckboxes() {
+  channelListEl.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+    const channelId = cb.dataset.channelId;
+    const ch = channels.find(c => c.channelId === channelId);
+    if (ch && ch.enabled && ch.channelId && isSlackConversationId(ch.channelId)) {
+      cb.disabled = false;
     }
-
-    channelListEl.querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.disabled = true; });
-  } catch (error) {
-    console.warn('Failed to restore export UI state:', error);
-  }
+  });
+  // Also re-enable tier-level checkboxes
+  channelListEl.querySelectorAll('.tier-header input[type="checkbox"]').forEach(cb => {
+    cb.disabled = false;
+  });
 }
 
 function setChannelStatus(channelId, status) {
@@ -600,12 +497,19 @@ function setChannelStatus(channelId, status) {
     el.textContent = '\u2713';
   } else if (status === 'error') {
     el.textContent = '\u2717';
+  } else if (status === 'paused') {
+    el.textContent = '\u23F8';
   } else {
     el.textContent = '';
   }
 }
 
-function showSummary(results) {
+/**
+ * Show the results of a finished or cancelled export
+ * @param {Array<Object>} results - Per-channel results from the background job
+ * @param {Object} options - { cancelled, totalChannels }
+ */
+function showSummary(results, { cancelled = false, totalChannels = 0 } = {}) {
   const successes = results.filter(r => r.success);
   const failures = results.filter(r => !r.success);
   const totalMessages = successes.reduce((sum, r) => sum + (r.count || 0), 0);
@@ -618,13 +522,41 @@ function showSummary(results) {
   } else {
     html = `${successes.length} exported, ${failures.length} failed`;
     if (failures.length > 0) {
-      html += '<br>' + failures.map(f => `${f.channel}: ${f.error}`).join('<br>');
+      html += '<br>' + failures
+        .map(f => `${f.channel}: ${f.error}${f.retries ? ` (after ${f.retries} ${f.retries !== 1 ? 'retries' : 'retry'})` : ''}`)
+        .join('<br>');
     }
     summarySection.className = 'summary-section has-errors';
   }
+  if (cancelled) {
+    const skipped = Math.max(0, totalChannels - results.length);
+    html = `Cancelled; ${skipped} channel${skipped !== 1 ? 's' : ''} not exported<br>${html}`;
+    summarySection.className = 'summary-section has-errors';
+  }
+
+  // Threads whose replies could not all be fetched are exported, but flagged
+  const partial = successes.filter(r => r.partialThreads > 0);
+  if (partial.length > 0) {
+    html += '<br>' + partial
+      .map(r => `${r.channel}: ${r.partialThreads} thread${r.partialThreads !== 1 ? 's' : ''} incomplete`)
+      .join('<br>');
+    summarySection.className = 'summary-section has-errors';
+  }
+
+  const reported = successes.filter(r => r.changeCount !== undefined);
+  if (reported.length > 0) {
+    html += '<br>' + reported
+      .map(r => `${r.channel}: ${r.changeCount} change${r.changeCount !== 1 ? 's' : ''} since last export`)
+      .join('<br>');
+  }
 
   summarySection.innerHTML = html;
   summarySection.style.display = 'block';
+
+  // Run-level failures (e.g. the ZIP) have no channel to export again
+  const retryable = failures.filter(f => f.channelId);
+  retryFailedBtn.textContent = `Retry failed (${retryable.length})`;
+  retryControls.style.display = retryable.length > 0 ? 'flex' : 'none';
 }
 
 function refreshChannelLastExportMeta(channelId) {
@@ -763,34 +695,12 @@ function formatLastExported(channelId) {
   return `${days}d ago`;
 }
 
-function generateFilename(channelName) {
-  const now = new Date();
-  const yyyy = now.getFullYear();
-  const mm = String(now.getMonth() + 1).padStart(2, '0');
-  const dd = String(now.getDate()).padStart(2, '0');
-  const hh = String(now.getHours()).padStart(2, '0');
-  const min = String(now.getMinutes()).padStart(2, '0');
-  const dateStr = `${yyyy}${mm}${dd}-${hh}${min}`;
-  const cleanChannel = channelName.replace(/[^a-zA-Z0-9\-_]/g, '-').replace(/-+/g, '-').toLowerCase();
-
-  const fmt = (config.fileNameFormat || 'YYYYMMDD-HHmm-{channel}.md');
-  return fmt.replace('YYYYMMDD-HHmm', dateStr).replace('{channel}', cleanChannel);
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
   return div.innerHTML;
 }
 
-function isSlackConversationId(value) {
-  return /^[CDG][A-Z0-9]{8,}$/i.test(String(value || '').trim());
-}
-
 function inferChannelType(channelId) {
   const id = String(channelId || '').toUpperCase();
   if (id.startsWith('D')) return 'dm';
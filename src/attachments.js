@@ -0,0 +1,137 @@
+/**
+ * Legacy attachment and link unfurl rendering for Slack Export Extension
+ *
+ * Integrations (GitHub, Jira, PagerDuty...) and link previews put their
+ * content in `message.attachments` rather than in `text` or `blocks`.
+ */
+
+// Slack's named attachment colors
+const ATTACHMENT_NAMED_COLORS = {
+  good: '#2eb67d',
+  warning: '#ecb22e',
+  danger: '#e01e5a'
+};
+
+/**
+ * Render all attachments of a message to markdown.
+ * @param {Array<Object>} attachments - Slack `message.attachments`
+ * @param {Object} context - Rendering context
+ * @param {Object} context.userMap - Map of user IDs to display names
+ * @param {Function} context.renderBlocks - Renders attachment `blocks` to markdown
+ * @param {Function} context.formatTimestamp - Formats a Slack timestamp for display
+ * @returns {string} Markdown for every renderable attachment
+ */
+function renderAttachments(attachments, context = {}) {
+  if (!Array.isArray(attachments)) return '';
+  return attachments
+    .map(attachment => renderAttachment(attachment, context))
+    .filter(markdown => markdown && markdown.trim())
+    .join('\n\n');
+}
+
+/**
+ * Render a single attachment (or unfurl) to markdown.
+ * @param {Object} attachment - Slack attachment object
+ * @param {Object} context - Rendering context (see renderAttachments)
+ * @returns {string} Markdown, or '' when nothing is renderable
+ */
+function renderAttachment(attachment, context = {}) {
+  if (!attachment || typeof attachment !== 'object') return '';
+
+  const mrkdwn = window.SlackExportExtensionMrkdwn;
+  const utils = window.SlackExportExtensionUtils;
+  const convert = (text) => mrkdwn.convertSlackMrkdwn(text, { userMap: context.userMap || {} });
+  const literal = (text) => mrkdwn.escapeMarkdownLiteral(mrkdwn.slackMrkdwnToPlainText(text));
+  // Link labels also need their brackets escaped, as in blockkit.js markdownLink
+  const linkLabel = (text) => literal(text).replace(/\\.|[\[\]]/g, match => (match.length === 2 ? match : `\\${match}`));
+  const lines = [];
+
+  // Unfurls name their source ("GitHub", "YouTube"); shared messages name their author
+  const source = attachment.service_name || attachment.author_name || attachment.author_subname;
+  if (source) {
+    const sourceLink = attachment.author_link || attachment.service_url;
+    lines.push(sourceLink
+      ? `**[${linkLabel(source)}](${mrkdwn.encodeMrkdwnUrl(sourceLink)})**`
+      : `**${literal(source)}**`);
+  }
+
+  if (attachment.title) {
+    const titleLink = attachment.title_link || attachment.from_url;
+    lines.push(titleLink
+      ? `**[${linkLabel(attachment.title)}](${mrkdwn.encodeMrkdwnUrl(titleLink)})**`
+      : `**${literal(attachment.title)}**`);
+  }
+
+  if (attachment.text) {
+    lines.push(convert(attachment.text));
+  }
+
+  if (Array.isArray(attachment.fields) && attachment.fields.length > 0) {
+    const rows = attachment.fields
+      .filter(field => field && (field.title || field.value))
+      .map(field => [literal(field.title || ''), convert(field.value || '')]);
+    if (rows.length > 0) {
+      lines.push(utils.formatMarkdownTable(['Field', 'Value'], rows));
+    }
+  }
+
+  if (Array.isArray(attachment.blocks) && attachment.blocks.length > 0 && typeof context.renderBlocks === 'function') {
+    const blocksMarkdown = context.renderBlocks(attachment.blocks);
+    if (blocksMarkdown && blocksMarkdown.trim()) {
+      lines.push(blocksMarkdown);
+    }
+  }
+
+  const imageUrl = attachment.image_url || attachment.thumb_url;
+  if (imageUrl) {
+    const alt = literal(attachment.title || attachment.service_name || 'preview').replace(/[\[\]]/g, '');
+    lines.push(`![${alt}](${mrkdwn.encodeMrkdwnUrl(imageUrl)})`);
+  }
+
+  const footerParts = [];
+  if (attachment.footer) {
+    footerParts.push(mrkdwn.slackMrkdwnToPlainText(attachment.footer));
+  }
+  if (attachment.ts) {
+    footerParts.push(typeof context.formatTimestamp === 'function'
+      ? context.formatTimestamp(String(attachment.ts))
+      : new Date(Number(attachment.ts) * 1000).toISOString());
+  }
+  if (footerParts.length > 0) {
+    lines.push(`_${mrkdwn.escapeMarkdownLiteral(footerParts.join(' · '))}_`);
+  }
+
+  // Nothing structured - fall back to the plain-text summary Slack provides
+  if (lines.length === 0 && attachment.fallback) {
+    lines.push(convert(attachment.fallback));
+  }
+
+  if (lines.length === 0) return '';
+
+  const body = utils.wrapMarkdownContainer('attachment', lines.join('\n\n'), {
+    color: normalizeAttachmentColor(attachment.color)
+  });
+  return attachment.pretext ? `${convert(attachment.pretext)}\n\n${body}` : body;
+}
+
+/**
+ * Normalize an attachment color ("good", "36a64f", "#36a64f") to a hex color.
+ * @param {string} color - Slack attachment color
+ * @returns {string} Hex color, or '' when invalid
+ */
+function normalizeAttachmentColor(color) {
+  const value = String(color || '').trim().toLowerCase();
+  if (!value) return '';
+  if (ATTACHMENT_NAMED_COLORS[value]) return ATTACHMENT_NAMED_COLORS[value];
+  const hex = value.startsWith('#') ? value.slice(1) : value;
+  return /^[0-9a-f]{3}([0-9a-f]{3})?$/.test(hex) ? `#${hex}` : '';
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackExportExtensionAttachments = {
+    renderAttachments,
+    renderAttachment,
+    normalizeAttachmentColor
+  };
+}
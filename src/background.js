@@ -2,12 +2,33 @@
  * Background service worker for Slack Export Extension
  */
 
+importScripts('/src/config.js', '/src/utils.js', '/src/slack-api.js', '/src/store.js', '/src/zip.js', '/src/official-export.js', '/src/schedule.js');
+
 const BATCH_EXPORT_STATE_KEY = 'batchExportState';
 const BATCH_EXPORT_STATE_STALE_MS = 45000;
+// Extension API calls reset the service worker's idle timer while a job waits on a long channel export
+const BATCH_JOB_KEEPALIVE_MS = 20000;
+// Retries of a channel whose tab stopped answering (e.g. reloaded); the export resumes from its checkpoint
+const BATCH_CHANNEL_RECONNECT_ATTEMPTS = 3;
+const BATCH_CHANNEL_RECONNECT_DELAY_MS = 5000;
+// Retries of a channel that failed with a transient error (rate limits, network), after 30s, 60s and 120s
+const BATCH_CHANNEL_RETRY_ATTEMPTS = 3;
+const BATCH_CHANNEL_RETRY_BASE_DELAY_MS = 30000;
+// Finished batch runs, newest first, shown on the options page
+const EXPORT_HISTORY_KEY = 'exportHistory';
+const EXPORT_HISTORY_LIMIT = 50;
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+// How long a scheduled run or retry waits for a Slack tab it opened to load its content script
+const SLACK_TAB_READY_TIMEOUT_MS = 60000;
+const SLACK_TAB_READY_POLL_MS = 2000;
 const DEFAULT_BATCH_EXPORT_STATE = {
   active: false,
+  paused: false,
+  jobId: null,
   totalChannels: 0,
   completedChannels: 0,
+  completedMessageCount: 0,
+  completedAttachmentCount: 0,
   currentChannelId: '',
   currentChannelName: '',
   activityText: '',
@@ -18,14 +39,31 @@ const DEFAULT_BATCH_EXPORT_STATE = {
   totalThreads: 0,
   progressPercent: 0,
   channelStatuses: {},
+  results: null,
   updatedAt: 0
 };
 
+// Running job loop, if any (see startBatchJobRunner)
+let batchJobRunner = null;
+// Job the runner is exporting, and 'pause' or 'cancel' when the popup asked it to stop
+let runningBatchJobId = null;
+let batchJobStopRequest = null;
+// Ends the runner's wait before retrying a channel, when the job is paused or cancelled
+let wakeBatchJobRunner = null;
+// Serializes state updates from the job runner and content script progress
+let batchExportStateQueue = Promise.resolve();
+let exportHistoryQueue = Promise.resolve();
+// Schedules whose run is looking for a Slack tab, before its job is queued
+const startingScheduleIds = new Set();
+// Offscreen document that builds ZIPs (see ensureOffscreenDocument)
+let offscreenDocumentPromise = null;
+
 async function getBatchExportState() {
   try {
     const result = await chrome.storage.local.get(BATCH_EXPORT_STATE_KEY);
     const state = { ...DEFAULT_BATCH_EXPORT_STATE, ...(result[BATCH_EXPORT_STATE_KEY] || {}) };
-    if (state.active && state.updatedAt && (Date.now() - state.updatedAt) > BATCH_EXPORT_STATE_STALE_MS) {
+    // A job this service worker is running is not stale, however quiet it is
+    if (state.active && !batchJobRunner && state.updatedAt && (Date.now() - state.updatedAt) > BATCH_EXPORT_STATE_STALE_MS) {
       const staleState = {
         ...state,
         active: false,
@@ -53,6 +91,20 @@ async function saveBatchExportState(nextState) {
   return state;
 }
 
+/**
+ * Update the batch export state, one update at a time.
+ * @param {Function} update - Receives the current state, returns the fields to change
+ * @returns {Promise<Object>} New state
+ */
+function updateBatchExportState(update) {
+  const next = batchExportStateQueue.then(async () => {
+    const current = await getBatchExportState();
+    return saveBatchExportState({ ...current, ...update(current) });
+  });
+  batchExportStateQueue = next.catch(() => {});
+  return next;
+}
+
 function calcProgressPercent(completedChannels, totalChannels) {
   if (!totalChannels || totalChannels <= 0) return 0;
   const pct = Math.round((completedChannels / totalChannels) * 100);
@@ -101,7 +153,7 @@ chrome.action.onClicked.addListener(async (tab) => {
       try {
         await chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['src/config.js', 'src/utils.js', 'src/content.js']
+          files: ['src/config.js', 'src/utils.js', 'src/slack-api.js', 'src/user-directory.js', 'src/mrkdwn.js', 'src/blockkit.js', 'src/attachments.js', 'src/render.js', 'src/content.js']
         });
         
         console.log('✅ Manual injection successful, retrying message...');
@@ -195,135 +247,211 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return;
   }
 
-  if (message.action === 'BATCH_EXPORT_SESSION') {
-    (async () => {
-      try {
-        const current = await getBatchExportState();
-        const { event, channelId, channelName, totalChannels, status } = message;
-
-        if (event === 'start') {
-          const total = Number(totalChannels || 0);
-          await saveBatchExportState({
-            active: true,
-            totalChannels: total,
-            completedChannels: 0,
-            currentChannelId: '',
-            currentChannelName: '',
-            activityText: 'Preparing export...',
-            stage: 'starting',
-            messageCount: 0,
-            attachmentCount: 0,
-            fetchedThreads: 0,
-            totalThreads: 0,
-            progressPercent: 0,
-            channelStatuses: {}
-          });
-        } else if (event === 'channel_start') {
-          const nextStatuses = { ...(current.channelStatuses || {}) };
-          if (channelId) nextStatuses[channelId] = 'active';
-          await saveBatchExportState({
-            ...current,
-            active: true,
-            currentChannelId: channelId || current.currentChannelId,
-            currentChannelName: channelName || current.currentChannelName,
-            stage: 'channel_start',
-            activityText: channelName ? `Starting ${channelName}...` : 'Starting channel...',
-            channelStatuses: nextStatuses
-          });
-        } else if (event === 'channel_done') {
-          const nextStatuses = { ...(current.channelStatuses || {}) };
-          if (channelId) {
-            nextStatuses[channelId] = status === 'error' ? 'error' : 'success';
-          }
-          const completed = Math.min(
-            Number(current.completedChannels || 0) + 1,
-            Number(current.totalChannels || 0)
-          );
-          await saveBatchExportState({
-            ...current,
-            completedChannels: completed,
-            progressPercent: calcProgressPercent(completed, Number(current.totalChannels || 0)),
-            channelStatuses: nextStatuses
-          });
-        } else if (event === 'finish') {
-          await saveBatchExportState({
-            ...current,
-            active: false,
-            currentChannelId: '',
-            currentChannelName: '',
-            stage: 'done',
-            activityText: 'Export complete',
-            fetchedThreads: 0,
-            totalThreads: 0,
-            progressPercent: 100
-          });
-        }
+  if (message.action === 'BATCH_JOB_START') {
+    startBatchJob(message.job)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('❌ Background: BATCH_JOB_START failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
 
-        sendResponse({ success: true });
-      } catch (error) {
-        console.error('Failed to update batch export session state:', error);
+  if (message.action === 'BATCH_JOB_PAUSE' || message.action === 'BATCH_JOB_RESUME' || message.action === 'BATCH_JOB_CANCEL') {
+    const handlers = { BATCH_JOB_PAUSE: pauseBatchJob, BATCH_JOB_RESUME: resumeBatchJob, BATCH_JOB_CANCEL: cancelBatchJob };
+    handlers[message.action](message.jobId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error(`❌ Background: ${message.action} failed:`, error);
         sendResponse({ success: false, error: error.message });
-      }
-    })();
+      });
     return true;
   }
 
   if (message.action === 'BATCH_EXPORT_PROGRESS') {
-    (async () => {
-      try {
-        const current = await getBatchExportState();
-        const nextStatuses = { ...(current.channelStatuses || {}) };
-        const previousStatus = message.channelId ? nextStatuses[message.channelId] : null;
-        let completedChannels = Number(current.completedChannels || 0);
-
-        if (message.channelId && message.stage !== 'done') {
-          nextStatuses[message.channelId] = 'active';
-        } else if (message.channelId && message.stage === 'done') {
-          nextStatuses[message.channelId] = message.success === false ? 'error' : 'success';
-          if (previousStatus !== 'success' && previousStatus !== 'error') {
-            completedChannels += 1;
-          }
-        }
+    updateBatchExportState(current => {
+      // Channel completion is recorded by the job runner; progress only describes the current channel
+      if (!current.active) return {};
+      const channelStatuses = { ...(current.channelStatuses || {}) };
+      if (message.channelId && message.stage !== 'done') {
+        channelStatuses[message.channelId] = 'active';
+      }
+      return {
+        currentChannelId: message.channelId || current.currentChannelId,
+        currentChannelName: message.channelName || current.currentChannelName,
+        stage: message.stage || current.stage,
+        activityText: message.activityText || describeBatchExportStage(message) || current.activityText,
+        messageCount: Number(current.completedMessageCount || 0) + Number(message.messageCount || 0),
+        attachmentCount: Number(current.completedAttachmentCount || 0) + Number(message.attachmentCount || 0),
+        fetchedThreads: Number(message.fetchedThreads ?? current.fetchedThreads ?? 0),
+        totalThreads: Number(message.totalThreads ?? current.totalThreads ?? 0),
+        channelStatuses
+      };
+    })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Failed to persist batch export progress:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
 
-        const totalChannels = Number(current.totalChannels || 0);
-        const isBatchComplete = message.stage === 'done' && totalChannels > 0 && completedChannels >= totalChannels;
-        const stage = isBatchComplete ? 'done' : (message.stage || current.stage);
-        let activityText = message.activityText || current.activityText;
-        if (!message.activityText) {
-          if (stage === 'fetching_messages') activityText = 'Fetching messages from Slack API...';
-          else if (stage === 'fetching_thread_replies') activityText = `Fetching thread replies (${message.fetchedThreads || 0}/${message.totalThreads || 0})...`;
-          else if (stage === 'enriching_messages') activityText = 'Processing messages...';
-          else if (stage === 'downloading_attachments') activityText = 'Downloading attachments...';
-          else if (stage === 'building_markdown') activityText = 'Building markdown files...';
-          else if (stage === 'done') activityText = 'Export complete';
-        }
+  if (message.action === 'ARCHIVE_STATS') {
+    countArchiveRecords(message.channelId)
+      .then(count => sendResponse({ success: true, count }))
+      .catch(error => {
+        console.error('❌ Background: ARCHIVE_STATS failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
 
-        await saveBatchExportState({
-          ...current,
-          active: isBatchComplete ? false : (current.active || message.stage !== 'done'),
-          currentChannelId: isBatchComplete ? '' : (message.channelId || current.currentChannelId),
-          currentChannelName: isBatchComplete ? '' : (message.channelName || current.currentChannelName),
-          completedChannels,
-          progressPercent: isBatchComplete
-            ? 100
-            : calcProgressPercent(completedChannels, totalChannels),
-          stage,
-          messageCount: Number(message.messageCount ?? current.messageCount ?? 0),
-          attachmentCount: Number(message.attachmentCount ?? current.attachmentCount ?? 0),
-          fetchedThreads: isBatchComplete ? 0 : Number(message.fetchedThreads ?? current.fetchedThreads ?? 0),
-          totalThreads: isBatchComplete ? 0 : Number(message.totalThreads ?? current.totalThreads ?? 0),
-          activityText,
-          channelStatuses: nextStatuses
-        });
-        sendResponse({ success: true });
+  if (message.action === 'ARCHIVE_MERGE') {
+    (async () => {
+      try {
+        const { added, updated } = await mergeArchiveRecords(message.channelId, message.records || []);
+        console.log(`🗄️ Archive ${message.channelId}: ${added} added, ${updated} updated`);
+        const records = await getArchiveRecords(message.channelId);
+        const files = await getArchiveFiles(message.channelId);
+        sendResponse({ success: true, added, updated, records, files });
       } catch (error) {
-        console.error('Failed to persist batch export progress:', error);
+        console.error('❌ Background: ARCHIVE_MERGE failed:', error);
         sendResponse({ success: false, error: error.message });
       }
     })();
     return true;
   }
 
+  if (message.action === 'ARCHIVE_SAVE_FILES') {
+    saveArchiveFiles(message.channelId, message.files)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('❌ Background: ARCHIVE_SAVE_FILES failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'SNAPSHOT_GET') {
+    getChannelSnapshot(message.channelId)
+      .then(snapshot => sendResponse({ success: true, snapshot }))
+      .catch(error => {
+        console.error('❌ Background: SNAPSHOT_GET failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'SNAPSHOT_SAVE') {
+    saveChannelSnapshot(message.snapshot)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('❌ Background: SNAPSHOT_SAVE failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'TRACKED_THREADS_GET') {
+    getTrackedThreads(message.channelId)
+      .then(threads => sendResponse({ success: true, threads }))
+      .catch(error => {
+        console.error('❌ Background: TRACKED_THREADS_GET failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'TRACKED_THREADS_SAVE') {
+    saveTrackedThreads(message.channelId, message.threads)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('❌ Background: TRACKED_THREADS_SAVE failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'CHECKPOINT_GET') {
+    getExportCheckpoint(message.key)
+      .then(checkpoint => sendResponse({ success: true, checkpoint }))
+      .catch(error => {
+        console.error('❌ Background: CHECKPOINT_GET failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'CHECKPOINT_UPDATE') {
+    updateExportCheckpoint(message.key, message.fields || {}, message.item || null)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('❌ Background: CHECKPOINT_UPDATE failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'RAW_EXPORT_SAVE') {
+    saveRawExport(message.raw)
+      .then(id => sendResponse({ success: true, id }))
+      .catch(error => {
+        console.error('❌ Background: RAW_EXPORT_SAVE failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'BUILD_SLACK_EXPORT_ZIP') {
+    handleSlackExportZip(message.data)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('❌ Background: BUILD_SLACK_EXPORT_ZIP failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'BUNDLE_FINISH') {
+    handleBundleFinish(message.data)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('❌ Background: BUNDLE_FINISH failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'BATCH_JOB_RETRY_FAILED') {
+    retryFailedBatchJob(message.jobId, message.tabId || null)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('❌ Background: BATCH_JOB_RETRY_FAILED failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'GET_EXPORT_HISTORY') {
+    getExportHistory()
+      .then(history => sendResponse({ success: true, history }))
+      .catch(error => {
+        console.error('❌ Background: GET_EXPORT_HISTORY failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'SCHEDULE_RUN_NOW') {
+    runScheduledExport(message.scheduleId)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('❌ Background: SCHEDULE_RUN_NOW failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
   if (message.action === 'GET_BATCH_EXPORT_STATE') {
     (async () => {
       try {
@@ -341,13 +469,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 /**
  * Handle file download request
- * @param {Object} data - Download data containing filename and content
+ * @param {Object} data - Download data containing filename and content (with a bundleId, the
+ *   file is added to that run's bundle instead of downloaded)
  * @returns {Promise<void>}
  */
 async function handleFileDownload(data) {
   try {
     console.log('📥 Starting background file download (fallback method)...');
-    const { filename, content, directory, mimeType = 'text/markdown' } = data;
+    const { filename, content, directory, mimeType = 'text/markdown', conflictAction = 'uniquify', bundleId } = data;
     console.log('Download details:', {
       filename,
       contentLength: content?.length,
@@ -359,10 +488,6 @@ async function handleFileDownload(data) {
       throw new Error('No content provided for download');
     }
     
-    // Convert content to data URL (works in service workers)
-    const dataUrl = `data:${mimeType};charset=utf-8,` + encodeURIComponent(content);
-    console.log('📝 Created data URL');
-    
     // Ensure directory path is properly formatted
     let downloadPath = filename;
     if (directory && directory.trim()) {
@@ -371,12 +496,22 @@ async function handleFileDownload(data) {
       downloadPath = `${cleanDirectory}/${filename}`;
     }
     console.log('📂 Download path:', downloadPath);
+
+    if (bundleId) {
+      await saveBundleEntry(bundleId, downloadPath, content);
+      console.log('🗜️ Added to bundle:', downloadPath);
+      return;
+    }
+    
+    // Convert content to data URL (works in service workers)
+    const dataUrl = `data:${mimeType};charset=utf-8,` + encodeURIComponent(content);
+    console.log('📝 Created data URL');
     
     const downloadOptions = {
       url: dataUrl,
       filename: downloadPath,
       saveAs: false,
-      conflictAction: 'uniquify' // Auto-rename if file exists
+      conflictAction // Auto-rename if file exists, unless the caller overwrites
     };
     
     console.log('📤 Download options:', downloadOptions);
@@ -396,15 +531,63 @@ async function handleFileDownload(data) {
 }
 
 /**
- * Handle Slack file download (fetches file from Slack and downloads it)
- * Tries files.download API endpoint first, falls back to direct URL
- * @param {Object} data - Download data containing fileId, fileUrl, filename, mimetype, and token
+ * Get a fresh private URL for a Slack file from files.info
+ * @param {string} fileId - Slack file ID
+ * @param {string} token - Slack auth token
+ * @returns {Promise<string|null>} url_private, or null when unavailable
+ */
+async function getFreshFileUrl(fileId, token) {
+  try {
+    const client = SlackApiClient.forToken(token, { baseUrl: 'https://slack.com/api/', authHeader: true });
+    const infoData = await client.call('files.info', { file: fileId });
+    if (infoData.file && infoData.file.url_private) {
+      console.log(`✅ Got fresh URL from files.info API`);
+      return infoData.file.url_private;
+    }
+    return null;
+  } catch (error) {
+    console.error('❌ Error getting fresh URL:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle Slack file download. A file that should go into a run's bundle but
+ * cannot be fetched (as happens with Slack PDFs) is downloaded directly
+ * instead, and the bundle's manifest lists it.
+ * @param {Object} data - See downloadSlackFile
  * @returns {Promise<void>}
  */
 async function handleSlackFileDownload(data) {
+  if (!data.bundleId) {
+    await downloadSlackFile(data);
+    return;
+  }
+  try {
+    await downloadSlackFile(data);
+  } catch (error) {
+    console.warn(`⚠️ Could not add ${data.filename} to the bundle, downloading it separately:`, error.message);
+    try {
+      await downloadSlackFile({ ...data, bundleId: null });
+    } catch (directError) {
+      await saveBundleNote(data.bundleId, data.filename, { outcome: 'failed', error: directError.message });
+      throw directError;
+    }
+    await saveBundleNote(data.bundleId, data.filename, { outcome: 'downloaded separately', error: error.message });
+  }
+}
+
+/**
+ * Download a Slack file (fetches file from Slack and downloads it)
+ * Tries files.download API endpoint first, falls back to direct URL
+ * @param {Object} data - Download data containing fileId, fileUrl, filename, mimetype, and token,
+ *   plus a bundleId to add the file to a run's bundle instead of downloading it
+ * @returns {Promise<void>}
+ */
+async function downloadSlackFile(data) {
   try {
     console.log('📥 Starting Slack file download...');
-    const { fileId, fileUrl, filename, mimetype, token } = data;
+    const { fileId, fileUrl, filename, mimetype, token, bundleId } = data;
     console.log('Slack file download details:', {
       filename,
       mimetype,
@@ -426,58 +609,18 @@ async function handleSlackFileDownload(data) {
     // PDF URLs expire quickly, so we need fresh ones
     if ((isPdf || isPdfByName) && fileId) {
       console.log(`📄 PDF detected (mimetype: ${mimetype}, filename: ${filename}), getting fresh URL from files.info API for file ID: ${fileId}...`);
-      try {
-        const infoParams = new URLSearchParams({
-          token: token,
-          file: fileId
-        });
-        
-        const infoResponse = await fetch(`https://slack.com/api/files.info?${infoParams.toString()}`, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        });
-        
-        if (infoResponse.ok) {
-          const infoData = await infoResponse.json();
-          if (infoData.ok && infoData.file && infoData.file.url_private) {
-            console.log(`✅ Got fresh PDF URL from files.info API`);
-            actualFileUrl = infoData.file.url_private;
-          } else {
-            console.warn(`⚠️ files.info API response not OK or missing URL for PDF:`, infoData);
-          }
-        } else {
-          console.warn(`⚠️ files.info API request failed for PDF (${infoResponse.status})`);
-        }
-      } catch (apiError) {
-        console.warn('⚠️ files.info API error for PDF, will try original URL:', apiError.message);
+      const freshUrl = await getFreshFileUrl(fileId, token);
+      if (freshUrl) {
+        actualFileUrl = freshUrl;
+      } else {
+        console.warn('⚠️ Could not get a fresh PDF URL, will try original URL');
       }
     }
     
     // Try to get a fresh URL from Slack API if we have a file ID
     if (fileId && !actualFileUrl) {
       console.log(`🔄 No URL provided, fetching file info from API for file ID: ${fileId}...`);
-      try {
-        const infoResponse = await fetch(`https://slack.com/api/files.info?file=${fileId}`, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        });
-        
-        if (infoResponse.ok) {
-          const infoData = await infoResponse.json();
-          if (infoData.ok && infoData.file && infoData.file.url_private) {
-            actualFileUrl = infoData.file.url_private;
-            console.log(`✅ Got fresh URL from API`);
-          }
-        }
-      } catch (apiError) {
-        console.warn('⚠️ Failed to get file info from API:', apiError.message);
-      }
+      actualFileUrl = await getFreshFileUrl(fileId, token);
     }
     
     if (!actualFileUrl) {
@@ -486,55 +629,28 @@ async function handleSlackFileDownload(data) {
 
     // First attempt: direct authenticated download.
     // This avoids service-worker fetch/CORS issues seen with Slack PDFs.
-    try {
-      const isSlackUrl = /(^https?:\/\/)?([a-z0-9-]+\.)*slack\.com\//i.test(actualFileUrl);
-      const directDownloadOptions = {
-        url: actualFileUrl,
-        filename: filename,
-        saveAs: false,
-        conflictAction: 'uniquify'
-      };
-      if (isSlackUrl) {
-        directDownloadOptions.headers = [
-          { name: 'Authorization', value: `Bearer ${token}` }
-        ];
-      }
-
-      console.log('📤 Attempting direct Chrome download for Slack file...');
-      const directDownloadId = await chrome.downloads.download(directDownloadOptions);
-      console.log('✅ Direct Slack file download started with ID:', directDownloadId);
-      return;
-    } catch (directDownloadError) {
-      console.warn('⚠️ Direct Chrome download failed, falling back to fetch method:', directDownloadError.message);
-    }
-    
-    // Helper function to get fresh file URL
-    async function getFreshFileUrl(fileId, token) {
+    // Bundled files are fetched instead, since their bytes are needed.
+    if (!bundleId) {
       try {
-        const infoParams = new URLSearchParams({
-          token: token,
-          file: fileId
-        });
-        
-        const infoResponse = await fetch(`https://slack.com/api/files.info?${infoParams.toString()}`, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        });
-        
-        if (infoResponse.ok) {
-          const infoData = await infoResponse.json();
-          if (infoData.ok && infoData.file && infoData.file.url_private) {
-            console.log(`✅ Got fresh URL from files.info API`);
-            return infoData.file.url_private;
-          }
+        const isSlackUrl = /(^https?:\/\/)?([a-z0-9-]+\.)*slack\.com\//i.test(actualFileUrl);
+        const directDownloadOptions = {
+          url: actualFileUrl,
+          filename: filename,
+          saveAs: false,
+          conflictAction: 'uniquify'
+        };
+        if (isSlackUrl) {
+          directDownloadOptions.headers = [
+            { name: 'Authorization', value: `Bearer ${token}` }
+          ];
         }
-        return null;
-      } catch (error) {
-        console.error('❌ Error getting fresh URL:', error.message);
-        return null;
+
+        console.log('📤 Attempting direct Chrome download for Slack file...');
+        const directDownloadId = await chrome.downloads.download(directDownloadOptions);
+        console.log('✅ Direct Slack file download started with ID:', directDownloadId);
+        return;
+      } catch (directDownloadError) {
+        console.warn('⚠️ Direct Chrome download failed, falling back to fetch method:', directDownloadError.message);
       }
     }
     
@@ -611,6 +727,12 @@ async function handleSlackFileDownload(data) {
     const arrayBuffer = await response.arrayBuffer();
     const fileSize = arrayBuffer.byteLength;
     console.log(`✅ Read ${fileSize} bytes`);
+
+    if (bundleId) {
+      await saveBundleEntry(bundleId, filename, new Uint8Array(arrayBuffer));
+      console.log('🗜️ Added Slack file to bundle:', filename);
+      return;
+    }
     
     // Chrome has limits on data URL size (typically 2MB)
     // For larger files, we need to chunk the base64 conversion or use a different method
@@ -711,10 +833,969 @@ async function handleBlobDownload(data) {
   }
 }
 
+/**
+ * Build a Slack official-format export ZIP from stored raw exports and download it
+ * (or add it to the run's bundle)
+ * @param {Object} data - { rawExportIds, filename, directory, bundleId }
+ * @returns {Promise<{conversationCount: number}>}
+ */
+async function handleSlackExportZip(data) {
+  const { rawExportIds = [], filename, directory, bundleId } = data;
+  const cleanDirectory = (directory || '').trim().replace(/[\/\\]/g, '');
+  const downloadPath = cleanDirectory ? `${cleanDirectory}/${filename}` : filename;
+  if (!bundleId) {
+    // Built by the offscreen document, which reads the raw exports itself
+    const { conversationCount } = await downloadOffscreenZip({ action: 'OFFSCREEN_SLACK_EXPORT_ZIP', rawExportIds }, downloadPath);
+    return { conversationCount };
+  }
+
+  const raws = [];
+  for (const id of rawExportIds) {
+    const raw = await getRawExport(id);
+    if (raw) raws.push(raw);
+  }
+  if (raws.length === 0) {
+    throw new Error('No export data available for the ZIP');
+  }
+
+  console.log(`🗜️ Building Slack export ZIP from ${raws.length} export(s)...`);
+  await saveBundleEntry(bundleId, downloadPath, await createZip(buildOfficialExportEntries(raws)));
+  console.log('🗜️ Added Slack export ZIP to bundle:', downloadPath);
+
+  return { conversationCount: new Set(raws.map(raw => raw.parameters.channelId)).size };
+}
+
+/**
+ * Zip the files a batch run collected in its bundle, with a manifest, and
+ * download the ZIP. The bundle is deleted once the download has ended.
+ * @param {Object} data - { bundleId, filename, directory, manifest }
+ * @returns {Promise<{fileCount: number}>}
+ */
+async function handleBundleFinish(data) {
+  const { bundleId, filename, directory, manifest = {} } = data;
+  const cleanDirectory = (directory || '').trim().replace(/[\/\\]/g, '');
+  const prefix = cleanDirectory ? `${cleanDirectory}/` : '';
+  try {
+    const { fileCount } = await downloadOffscreenZip({ action: 'OFFSCREEN_BUNDLE_ZIP', bundleId, directory, manifest }, prefix + filename);
+    return { fileCount };
+  } finally {
+    await deleteBundle(bundleId);
+  }
+}
+
+/**
+ * Have the offscreen document build a ZIP and download it. Service workers
+ * cannot create Blob URLs, and data URLs are too small for exports.
+ * @param {Object} request - OFFSCREEN_BUNDLE_ZIP or OFFSCREEN_SLACK_EXPORT_ZIP message
+ * @param {string} downloadPath - Path relative to the Downloads folder
+ * @returns {Promise<Object>} The offscreen document's response
+ */
+async function downloadOffscreenZip(request, downloadPath) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ ...request, target: 'offscreen' });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Could not build the ZIP');
+  }
+
+  try {
+    const downloadId = await chrome.downloads.download({
+      url: response.url,
+      filename: downloadPath,
+      saveAs: false,
+      conflictAction: 'uniquify'
+    });
+    console.log(`✅ ZIP (${response.size} bytes) download started with ID:`, downloadId);
+    // The Blob URL has to stay valid until the file is written
+    const state = await waitForDownloadEnd(downloadId);
+    if (state !== 'complete') {
+      throw new Error(`ZIP download ${state}`);
+    }
+  } finally {
+    await chrome.runtime.sendMessage({ action: 'OFFSCREEN_REVOKE_URL', target: 'offscreen', url: response.url });
+  }
+  return response;
+}
+
+/**
+ * Open the offscreen document that builds ZIPs, unless it is open already.
+ * @returns {Promise<void>}
+ */
+function ensureOffscreenDocument() {
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['BLOBS'],
+      justification: 'Build export ZIPs as Blob URLs to download'
+    }).catch(error => {
+      // The document outlives service worker restarts
+      if (/single offscreen document/i.test(error.message)) return;
+      offscreenDocumentPromise = null;
+      throw error;
+    });
+  }
+  return offscreenDocumentPromise;
+}
+
+/**
+ * Wait until a download finishes.
+ * @param {number} downloadId - Download ID
+ * @returns {Promise<string>} 'complete' or 'interrupted'
+ */
+function waitForDownloadEnd(downloadId) {
+  return new Promise(resolve => {
+    const finish = (state) => {
+      chrome.downloads.onChanged.removeListener(listener);
+      resolve(state);
+    };
+    const listener = (delta) => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+        finish(delta.state.current);
+      }
+    };
+    chrome.downloads.onChanged.addListener(listener);
+    // It may have finished before the listener was added
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (!item) finish('interrupted');
+      else if (item.state !== 'in_progress') finish(item.state);
+    });
+  });
+}
+
+/**
+ * Queue a batch export job and make sure the job runner is going.
+ * @param {Object} spec - { tabId, channels: [{ channelId, name, archive, incremental, changeReport }],
+ *   oldestTimestamp, latestTimestamp, combinedExport, slackExportZip, bundleZip, scheduleId, scheduleName, retryOf }
+ *   (scheduleId is set for scheduled runs, retryOf for reruns of a job's failed channels)
+ * @returns {Promise<{jobId: number, queued: boolean}>} queued is set when another job runs first
+ */
+async function startBatchJob(spec) {
+  if (!spec || !Array.isArray(spec.channels) || spec.channels.length === 0) {
+    throw new Error('No channels to export');
+  }
+
+  const queued = (await getPendingBatchJobs()).length > 0;
+  const job = {
+    ...spec,
+    status: 'queued',
+    createdAt: Date.now(),
+    nextIndex: 0,
+    results: [],
+    rawExportIds: [],
+    combinedMarkdown: '',
+    // Files of a bundled run are collected here and downloaded as one ZIP at the end
+    bundleId: spec.bundleZip ? Date.now() : null
+  };
+  job.id = await saveBatchJob(job);
+  console.log(`📋 Batch job ${job.id} queued (${job.channels.length} channels)`);
+
+  startBatchJobRunner();
+  return { jobId: job.id, queued };
+}
+
+/**
+ * Pause the running batch job. The channel being exported stops right away
+ * and continues from its checkpoint when the job is resumed.
+ * @param {number} jobId - Batch job ID
+ * @returns {Promise<void>}
+ */
+async function pauseBatchJob(jobId) {
+  const job = await getBatchJob(jobId);
+  if (!job || runningBatchJobId !== job.id) {
+    throw new Error('Export is not running');
+  }
+  batchJobStopRequest = 'pause';
+  await updateBatchExportState(() => ({ activityText: 'Pausing...' }));
+  wakeBatchJobRunner?.();
+  await abortBatchJobChannel(job);
+}
+
+/**
+ * Resume a paused batch job.
+ * @param {number} jobId - Batch job ID
+ * @returns {Promise<void>}
+ */
+async function resumeBatchJob(jobId) {
+  const job = await getBatchJob(jobId);
+  if (!job || job.status !== 'paused') {
+    throw new Error('Export is not paused');
+  }
+  job.status = 'running';
+  await saveBatchJob(job);
+  startBatchJobRunner();
+}
+
+/**
+ * Cancel a running, paused or queued batch job. Files already saved stay;
+ * a single ZIP that was being collected is dropped.
+ * @param {number} jobId - Batch job ID
+ * @returns {Promise<void>}
+ */
+async function cancelBatchJob(jobId) {
+  const job = await getBatchJob(jobId);
+  if (!job || job.status === 'done' || job.status === 'cancelled') {
+    throw new Error('Export has already finished');
+  }
+  if (runningBatchJobId === job.id) {
+    batchJobStopRequest = 'cancel';
+    await updateBatchExportState(() => ({ activityText: 'Cancelling...' }));
+    wakeBatchJobRunner?.();
+    await abortBatchJobChannel(job);
+    return;
+  }
+  await finishCancelledBatchJob(job);
+  // Jobs queued behind a paused one can run now
+  startBatchJobRunner();
+}
+
+/**
+ * Queue a new job that exports the channels a finished job failed on, with
+ * the same date range and options.
+ * @param {number} jobId - Finished batch job ID
+ * @param {number|null} tabId - Slack tab to export through; defaults to the job's tab, or
+ *   another Slack tab when that one is gone
+ * @returns {Promise<{jobId: number, queued: boolean}>}
+ */
+async function retryFailedBatchJob(jobId, tabId = null) {
+  const job = await getBatchJob(jobId);
+  if (!job) {
+    throw new Error('Export not found; it may have been cleaned up');
+  }
+  if (!FINISHED_BATCH_JOB_STATUSES.includes(job.status)) {
+    throw new Error('Export has not finished');
+  }
+  const failedIds = new Set(job.results.filter(r => !r.success && r.channelId).map(r => r.channelId));
+  const channels = job.channels.filter(channel => failedIds.has(channel.channelId));
+  if (channels.length === 0) {
+    throw new Error('No failed channels to retry');
+  }
+
+  if (!tabId) {
+    tabId = (await isSlackTabReady(job.tabId)) ? job.tabId : await getSlackExportTab();
+  }
+  console.log(`🔁 Retrying ${channels.length} failed channels of batch job ${job.id}`);
+  return startBatchJob({
+    tabId,
+    channels,
+    oldestTimestamp: job.oldestTimestamp,
+    latestTimestamp: job.latestTimestamp,
+    combinedExport: job.combinedExport,
+    slackExportZip: job.slackExportZip,
+    bundleZip: job.bundleZip,
+    scheduleName: job.scheduleName,
+    retryOf: job.id
+  });
+}
+
+/**
+ * Wait before exporting a channel again after a transient error. Pausing or
+ * cancelling the job ends the wait early.
+ * @param {Object} job - Batch job
+ * @param {Object} channel - Job channel
+ * @param {Object} result - The failed result
+ * @returns {Promise<void>}
+ */
+async function waitBeforeBatchChannelRetry(job, channel, result) {
+  job.channelRetries = (job.channelRetries || 0) + 1;
+  await saveBatchJob(job);
+
+  const delay = BATCH_CHANNEL_RETRY_BASE_DELAY_MS * Math.pow(2, job.channelRetries - 1);
+  console.log(`🔄 ${channel.name} failed (${result.error}), retrying in ${delay / 1000}s (${job.channelRetries}/${BATCH_CHANNEL_RETRY_ATTEMPTS})...`);
+  await updateBatchExportState(() => ({
+    stage: 'retry_wait',
+    activityText: `${channel.name} failed (${result.error}); retrying in ${delay / 1000}s...`
+  }));
+
+  await new Promise(resolve => {
+    const wake = () => {
+      clearTimeout(timer);
+      wakeBatchJobRunner = null;
+      resolve();
+    };
+    const timer = setTimeout(wake, delay);
+    wakeBatchJobRunner = wake;
+  });
+}
+
+/**
+ * Ask the content script to stop the channel export in progress.
+ * @param {Object} job - Batch job
+ * @returns {Promise<void>}
+ */
+async function abortBatchJobChannel(job) {
+  try {
+    await chrome.tabs.sendMessage(job.tabId, { action: 'BATCH_EXPORT_ABORT' });
+  } catch (error) {
+    // Without the tab there is nothing to abort; the runner stops after the current step
+    console.warn('⚠️ Could not reach the export tab to stop it:', error.message);
+  }
+}
+
+/**
+ * Run queued batch jobs one after another, unless already running. Also
+ * called when the service worker starts, to resume a job it was running
+ * before being stopped. A paused job holds up the jobs queued after it.
+ */
+function startBatchJobRunner() {
+  if (batchJobRunner) return;
+  batchJobRunner = (async () => {
+    const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), BATCH_JOB_KEEPALIVE_MS);
+    try {
+      let job;
+      while ((job = (await getPendingBatchJobs())[0]) && job.status !== 'paused') {
+        runningBatchJobId = job.id;
+        batchJobStopRequest = null;
+        await runBatchJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Batch job runner failed:', error);
+    } finally {
+      clearInterval(keepAlive);
+      batchJobRunner = null;
+      runningBatchJobId = null;
+      batchJobStopRequest = null;
+    }
+  })();
+}
+
+/**
+ * Export a job's remaining channels through the content script of its tab,
+ * saving progress after each channel, until it is done, paused or cancelled.
+ * @param {Object} job - Batch job
+ * @returns {Promise<void>}
+ */
+async function runBatchJob(job) {
+  const total = job.channels.length;
+  if (job.status === 'queued') {
+    job.status = 'running';
+    await saveBatchJob(job);
+    await saveBatchExportState({
+      active: true,
+      jobId: job.id,
+      totalChannels: total,
+      activityText: 'Preparing export...',
+      stage: 'starting'
+    });
+  } else {
+    // The channel that was paused or interrupted continues from its checkpoint
+    console.log(`🔁 Resuming batch job ${job.id} at channel ${job.nextIndex + 1}/${total}`);
+    await updateBatchExportState(() => ({
+      active: true,
+      paused: false,
+      jobId: job.id,
+      totalChannels: total,
+      stage: 'resuming',
+      activityText: 'Resuming export...'
+    }));
+  }
+
+  while (job.nextIndex < total) {
+    const channel = job.channels[job.nextIndex];
+    // A pause or cancel requested between channels stops the job before the next one starts
+    let result = batchJobStopRequest
+      ? { channel: channel.name, channelId: channel.channelId, aborted: true }
+      : await exportBatchJobChannel(job, channel);
+    if (result.transient && !batchJobStopRequest && (job.channelRetries || 0) < BATCH_CHANNEL_RETRY_ATTEMPTS) {
+      // The channel runs again from its checkpoint unless the job is paused or cancelled meanwhile
+      await waitBeforeBatchChannelRetry(job, channel, result);
+      if (!batchJobStopRequest) continue;
+      result = { ...result, aborted: true };
+    }
+    const stopRequest = batchJobStopRequest;
+    if (result.aborted && !stopRequest) {
+      result = { channel: channel.name, channelId: channel.channelId, success: false, error: 'Export aborted' };
+    }
+
+    if (!result.aborted) {
+      await deleteExportCheckpoint(getBatchCheckpointKey(job, channel));
+      if (job.channelRetries) result.retries = job.channelRetries;
+      job.results.push(result);
+      job.nextIndex++;
+      job.channelStartedAt = null;
+      job.channelRetries = 0;
+    }
+    if (stopRequest === 'pause') {
+      await pauseRunningBatchJob(job);
+      return;
+    }
+    if (stopRequest === 'cancel') {
+      await finishCancelledBatchJob(job);
+      return;
+    }
+    await saveBatchJob(job);
+
+    const succeeded = job.results.filter(r => r.success);
+    await updateBatchExportState(current => ({
+      active: true,
+      completedChannels: job.nextIndex,
+      progressPercent: calcProgressPercent(job.nextIndex, total),
+      completedMessageCount: succeeded.reduce((sum, r) => sum + (r.count || 0), 0),
+      completedAttachmentCount: succeeded.reduce((sum, r) => sum + (r.attachments || 0), 0),
+      channelStatuses: { ...(current.channelStatuses || {}), [channel.channelId]: result.success ? 'success' : 'error' }
+    }));
+  }
+
+  await finishBatchJob(job);
+}
+
+/**
+ * Export one channel of a batch job.
+ * @param {Object} job - Batch job
+ * @param {Object} channel - { channelId, name, archive, incremental, changeReport }
+ * @returns {Promise<Object>} Result for the summary ({ channel, channelId, success, count, attachments, ... }),
+ *   or { aborted } when the export was stopped part way
+ */
+async function exportBatchJobChannel(job, channel) {
+  const { channelId, name } = channel;
+  await updateBatchExportState(current => ({
+    currentChannelId: channelId,
+    currentChannelName: name,
+    stage: 'channel_start',
+    activityText: `Starting ${name}...`,
+    messageCount: current.completedMessageCount,
+    attachmentCount: current.completedAttachmentCount,
+    fetchedThreads: 0,
+    totalThreads: 0,
+    channelStatuses: { ...(current.channelStatuses || {}), [channelId]: 'active' }
+  }));
+
+  if (!isSlackConversationId(channelId)) {
+    return { channel: name, channelId, success: false, error: `Invalid conversation ID: ${channelId}` };
+  }
+
+  try {
+    const config = await getConfig();
+    // Messages posted while this channel exports are picked up by the next incremental run. A
+    // resumed export keeps its start time, as the pages fetched before the interruption end there.
+    if (!job.channelStartedAt) {
+      job.channelStartedAt = Date.now();
+      await saveBatchJob(job);
+    }
+    const channelStartedAt = job.channelStartedAt;
+    const incrementalSince = channel.incremental ? (config.lastExportTimestamps[channelId] || null) : null;
+
+    // The abort message only reaches an export that has started, so check once more before starting it
+    if (batchJobStopRequest) {
+      return { channel: name, channelId, aborted: true };
+    }
+    const response = await sendBatchChannelMessage(job.tabId, {
+      action: 'BATCH_EXPORT_CHANNEL',
+      channelId,
+      channelName: name,
+      oldestTimestamp: job.oldestTimestamp,
+      latestTimestamp: job.latestTimestamp,
+      incrementalSince,
+      archive: channel.archive,
+      changeReport: channel.changeReport,
+      slackExportZip: job.slackExportZip,
+      bundleId: job.bundleId,
+      checkpointKey: getBatchCheckpointKey(job, channel)
+    });
+    if (response && response.aborted) {
+      return { channel: name, channelId, aborted: true };
+    }
+    if (!response || !response.success) {
+      return { channel: name, channelId, success: false, error: response?.error || 'Unknown error', transient: !!response?.transient };
+    }
+
+    // The content script saves its files itself; this covers the case where it could not
+    if (response.markdownSavedByContent) {
+      console.log(`✅ Markdown already saved by content script for ${name}`);
+    } else {
+      await saveBatchChannelFallback(job, channel, response, config);
+    }
+
+    // Accumulate for combined file (only if there are messages)
+    if (job.combinedExport && response.messageCount > 0) {
+      job.combinedMarkdown += `\n\n---\n\n## ${name}\n\n` + response.markdown.split('\n').slice(3).join('\n');
+    }
+    if (response.rawExportId) {
+      job.rawExportIds.push(response.rawExportId);
+    }
+    // The content script saved a file noting the error, but the channel was not exported
+    if (response.error) {
+      return { channel: name, channelId, success: false, error: response.error };
+    }
+
+    // Update last exported timestamp for any successful channel export that
+    // reached "now", so incremental runs continue from where this one started.
+    if (!job.latestTimestamp) {
+      const { lastExportTimestamps } = await getConfig();
+      await saveConfig({ lastExportTimestamps: { ...lastExportTimestamps, [channelId]: channelStartedAt } });
+    }
+
+    return {
+      channel: name,
+      channelId,
+      success: true,
+      count: Number(response.messageCount || 0),
+      attachments: Number(response.attachmentCount || 0),
+      partialThreads: Array.isArray(response.partialThreads) ? response.partialThreads.length : 0,
+      changeCount: response.changeCount
+    };
+  } catch (error) {
+    return { channel: name, channelId, success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a channel export request to the job's tab. When the tab stops
+ * answering (it reloaded, or its content script was replaced), the request is
+ * sent again after a while; the new content script resumes the export from
+ * its checkpoint.
+ * @param {number} tabId - Tab ID
+ * @param {Object} message - BATCH_EXPORT_CHANNEL message
+ * @returns {Promise<Object>} Content script response
+ */
+async function sendBatchChannelMessage(tabId, message) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      const disconnected = /Receiving end does not exist|message (port|channel) closed/i.test(error.message);
+      if (!disconnected || attempt >= BATCH_CHANNEL_RECONNECT_ATTEMPTS || batchJobStopRequest) {
+        throw error;
+      }
+      console.log(`🔌 Lost the export tab (${error.message}), retrying ${message.channelName} in ${BATCH_CHANNEL_RECONNECT_DELAY_MS / 1000}s (${attempt + 1}/${BATCH_CHANNEL_RECONNECT_ATTEMPTS})...`);
+      await new Promise(resolve => setTimeout(resolve, BATCH_CHANNEL_RECONNECT_DELAY_MS));
+    }
+  }
+}
+
+/**
+ * Get the key a job's channel export saves its checkpoint under.
+ * @param {Object} job - Batch job
+ * @param {Object} channel - Job channel
+ * @returns {string}
+ */
+function getBatchCheckpointKey(job, channel) {
+  return `batch-${job.id}-${channel.channelId}`;
+}
+
+/**
+ * Save a channel's markdown when the content script could not, retrying a
+ * few times.
+ * @param {Object} job - Batch job
+ * @param {Object} channel - Job channel
+ * @param {Object} response - BATCH_EXPORT_CHANNEL response
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>} Rejects when the files could not be saved
+ */
+async function saveBatchChannelFallback(job, channel, response, config) {
+  // Always download markdown file, regardless of message count
+  let markdown = response.markdown;
+  if (!markdown || !markdown.trim()) {
+    console.warn(`⚠️ No markdown content for ${channel.name}, generating fallback...`);
+    markdown = `# Slack Export Extension Export: ${channel.name}\n*Exported: ${new Date().toLocaleString()}*\n\n---\n\n*Note: No messages found or export encountered errors*\n\n`;
+  }
+
+  const filesToSave = response.archiveFiles
+    ? response.archiveFiles.map(file => ({ filename: file.filename, content: file.markdown, conflictAction: 'overwrite' }))
+    : [{ filename: generateFilename(channel.name, config, { delta: !!response.delta }), content: markdown }];
+  if (response.changesMarkdown) {
+    filesToSave.push({ filename: generateFilename(channel.name, config, { suffix: 'changes' }), content: response.changesMarkdown });
+  }
+
+  let lastError = null;
+  for (let retry = 0; retry < 3 && filesToSave.length > 0; retry++) {
+    try {
+      while (filesToSave.length > 0) {
+        await handleFileDownload({
+          ...filesToSave[0],
+          directory: config.downloadDirectory || 'slack-exports',
+          bundleId: job.bundleId
+        });
+        filesToSave.shift();
+      }
+    } catch (error) {
+      lastError = error;
+      if (retry < 2) {
+        console.warn(`⚠️ Download attempt ${retry + 1} failed, retrying...`);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+  if (filesToSave.length > 0) {
+    console.error(`❌ Download failed for ${channel.name} after 3 attempts:`, lastError);
+    throw new Error(lastError?.message || 'Download failed');
+  }
+}
+
+/**
+ * Produce a job's run-level files (combined markdown, Slack export ZIP,
+ * single ZIP) and mark it done.
+ * @param {Object} job - Batch job
+ * @returns {Promise<void>}
+ */
+async function finishBatchJob(job) {
+  const config = await getConfig();
+  const directory = config.downloadDirectory || 'slack-exports';
+  const zipFilename = (name) => generateFilename(name, config).replace(/\.(md|markdown)$/i, '') + '.zip';
+
+  // Download combined file if enabled
+  if (job.combinedExport && job.combinedMarkdown) {
+    const header = `# Slack Export Extension Combined Export\n*Exported: ${new Date().toLocaleString()}*\n`;
+    try {
+      await handleFileDownload({
+        filename: generateFilename('combined', config),
+        content: header + job.combinedMarkdown,
+        directory,
+        bundleId: job.bundleId
+      });
+    } catch (error) {
+      console.error('Failed to download combined file:', error);
+    }
+  }
+
+  // Build the Slack export ZIP from the raw data each channel export stored
+  if (job.slackExportZip && job.rawExportIds.length > 0) {
+    await updateBatchExportState(() => ({ activityText: 'Building Slack export ZIP...' }));
+    try {
+      await handleSlackExportZip({ rawExportIds: job.rawExportIds, filename: zipFilename('slack-export'), directory, bundleId: job.bundleId });
+    } catch (error) {
+      console.error('Failed to build Slack export ZIP:', error);
+      job.results.push({ channel: 'Slack export ZIP', success: false, error: error.message });
+    }
+  }
+
+  if (job.bundleId) {
+    await updateBatchExportState(() => ({ activityText: 'Building ZIP...' }));
+    try {
+      await handleBundleFinish({
+        bundleId: job.bundleId,
+        filename: zipFilename('export'),
+        directory,
+        manifest: { exportedAt: new Date(job.bundleId).toISOString(), channels: job.results }
+      });
+    } catch (error) {
+      console.error('Failed to build export ZIP:', error);
+      job.results.push({ channel: 'Export ZIP', success: false, error: error.message });
+    }
+  }
+
+  job.status = 'done';
+  job.finishedAt = Date.now();
+  job.combinedMarkdown = '';
+  await saveBatchJob(job);
+  await recordBatchJobHistory(job);
+
+  const succeeded = job.results.filter(r => r.success);
+  await updateBatchExportState(() => ({
+    active: false,
+    currentChannelId: '',
+    currentChannelName: '',
+    stage: 'done',
+    activityText: 'Export complete',
+    messageCount: succeeded.reduce((sum, r) => sum + (r.count || 0), 0),
+    attachmentCount: succeeded.reduce((sum, r) => sum + (r.attachments || 0), 0),
+    fetchedThreads: 0,
+    totalThreads: 0,
+    progressPercent: 100,
+    results: job.results
+  }));
+  console.log(`✅ Batch job ${job.id} finished: ${succeeded.length}/${job.channels.length} channels exported`);
+}
+
+/**
+ * Save a job the popup paused and show it as paused.
+ * @param {Object} job - Batch job
+ * @returns {Promise<void>}
+ */
+async function pauseRunningBatchJob(job) {
+  job.status = 'paused';
+  await saveBatchJob(job);
+
+  const channel = job.channels[job.nextIndex];
+  await updateBatchExportState(current => {
+    const channelStatuses = { ...(current.channelStatuses || {}) };
+    if (channel && channelStatuses[channel.channelId] === 'active') {
+      channelStatuses[channel.channelId] = 'paused';
+    }
+    return {
+      active: false,
+      paused: true,
+      stage: 'paused',
+      activityText: channel ? `Paused at ${channel.name}` : 'Paused',
+      messageCount: current.completedMessageCount,
+      attachmentCount: current.completedAttachmentCount,
+      completedChannels: job.nextIndex,
+      progressPercent: calcProgressPercent(job.nextIndex, job.channels.length),
+      channelStatuses
+    };
+  });
+  console.log(`⏸️ Batch job ${job.id} paused at channel ${job.nextIndex + 1}/${job.channels.length}`);
+}
+
+/**
+ * Mark a job cancelled, dropping its bundle and the checkpoint of the
+ * channel it stopped in.
+ * @param {Object} job - Batch job
+ * @returns {Promise<void>}
+ */
+async function finishCancelledBatchJob(job) {
+  if (job.bundleId) {
+    await deleteBundle(job.bundleId);
+  }
+  if (job.nextIndex < job.channels.length) {
+    await deleteExportCheckpoint(getBatchCheckpointKey(job, job.channels[job.nextIndex]));
+  }
+  job.status = 'cancelled';
+  job.finishedAt = Date.now();
+  job.channelStartedAt = null;
+  job.combinedMarkdown = '';
+  await saveBatchJob(job);
+  await recordBatchJobHistory(job);
+
+  const succeeded = job.results.filter(r => r.success);
+  await updateBatchExportState(current => {
+    // A queued job cancelled while another runs leaves that job's progress alone
+    if (current.jobId !== job.id) return {};
+    const channelStatuses = { ...(current.channelStatuses || {}) };
+    for (const [channelId, status] of Object.entries(channelStatuses)) {
+      if (status === 'active' || status === 'paused') delete channelStatuses[channelId];
+    }
+    return {
+      active: false,
+      paused: false,
+      jobId: job.id,
+      totalChannels: job.channels.length,
+      completedChannels: job.nextIndex,
+      currentChannelId: '',
+      currentChannelName: '',
+      stage: 'cancelled',
+      activityText: 'Export cancelled',
+      messageCount: succeeded.reduce((sum, r) => sum + (r.count || 0), 0),
+      attachmentCount: succeeded.reduce((sum, r) => sum + (r.attachments || 0), 0),
+      fetchedThreads: 0,
+      totalThreads: 0,
+      channelStatuses,
+      results: job.results
+    };
+  });
+  console.log(`⏹️ Batch job ${job.id} cancelled after ${job.nextIndex}/${job.channels.length} channels`);
+}
+
+/**
+ * Get the export history, newest first.
+ * @returns {Promise<Array<Object>>}
+ */
+async function getExportHistory() {
+  const result = await chrome.storage.local.get(EXPORT_HISTORY_KEY);
+  return result[EXPORT_HISTORY_KEY] || [];
+}
+
+/**
+ * Add an entry to the export history, one at a time, keeping the newest
+ * EXPORT_HISTORY_LIMIT entries.
+ * @param {Object} entry - { trigger: 'manual' | 'schedule' | 'retry', scheduleId, scheduleName, jobId, status,
+ *   startedAt, finishedAt, totalChannels, succeeded, messageCount, results, error }
+ * @returns {Promise<void>}
+ */
+function addExportHistoryEntry(entry) {
+  const next = exportHistoryQueue.then(async () => {
+    const history = await getExportHistory();
+    await chrome.storage.local.set({ [EXPORT_HISTORY_KEY]: [entry, ...history].slice(0, EXPORT_HISTORY_LIMIT) });
+  });
+  exportHistoryQueue = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Record a finished or cancelled batch job in the export history.
+ * @param {Object} job - Batch job
+ * @returns {Promise<void>}
+ */
+async function recordBatchJobHistory(job) {
+  const succeeded = job.results.filter(r => r.success);
+  try {
+    await addExportHistoryEntry({
+      trigger: job.retryOf ? 'retry' : (job.scheduleId ? 'schedule' : 'manual'),
+      scheduleId: job.scheduleId || null,
+      scheduleName: job.scheduleName || '',
+      jobId: job.id,
+      status: job.status,
+      startedAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      totalChannels: job.channels.length,
+      succeeded: succeeded.length,
+      messageCount: succeeded.reduce((sum, r) => sum + (r.count || 0), 0),
+      results: job.results.map(r => ({
+        channel: r.channel,
+        channelId: r.channelId || '',
+        success: r.success,
+        count: r.count || 0,
+        error: r.error || '',
+        retries: r.retries || 0
+      }))
+    });
+  } catch (error) {
+    console.warn('⚠️ Failed to record export history:', error);
+  }
+}
+
+/**
+ * Arm one alarm per enabled schedule for its next run and clear the alarms
+ * of schedules that were removed or disabled.
+ * @param {number} after - Unix ms the next runs are computed from
+ * @returns {Promise<void>}
+ */
+async function syncScheduleAlarms(after = Date.now()) {
+  const config = await getConfig();
+  const alarms = await chrome.alarms.getAll();
+  const armed = new Map(alarms.filter(alarm => alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)).map(alarm => [alarm.name, alarm]));
+
+  for (const schedule of config.schedules || []) {
+    const name = SCHEDULE_ALARM_PREFIX + schedule.id;
+    const alarm = armed.get(name);
+    armed.delete(name);
+
+    const nextRun = getNextScheduleRun(schedule, after);
+    if (nextRun === null) {
+      if (schedule.enabled !== false) {
+        console.warn(`⚠️ Schedule ${schedule.id} is invalid or never runs`);
+      }
+      if (alarm) await chrome.alarms.clear(name);
+      continue;
+    }
+    // An alarm that is already due (e.g. Chrome just started) still fires for the missed run
+    if (alarm && (alarm.scheduledTime === nextRun || alarm.scheduledTime <= Date.now())) continue;
+    await chrome.alarms.create(name, { when: nextRun });
+    console.log(`⏰ Schedule ${schedule.id} next runs at ${new Date(nextRun).toLocaleString()}`);
+  }
+
+  for (const name of armed.keys()) {
+    await chrome.alarms.clear(name);
+  }
+}
+
+/**
+ * Queue a schedule's batch export: its channels in incremental mode, through
+ * a Slack tab that is found or opened for it. Failures before the job starts
+ * are recorded in the export history.
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<{jobId: number, queued: boolean}>}
+ */
+async function runScheduledExport(scheduleId) {
+  const config = await getConfig();
+  const schedule = (config.schedules || []).find(s => s.id === scheduleId);
+  if (!schedule) {
+    throw new Error(`Unknown schedule: ${scheduleId}`);
+  }
+
+  const startedAt = Date.now();
+  let starting = false;
+  try {
+    if (startingScheduleIds.has(schedule.id) || (await getPendingBatchJobs()).some(job => job.scheduleId === schedule.id)) {
+      throw new Error('The previous run of this schedule has not finished');
+    }
+    startingScheduleIds.add(schedule.id);
+    starting = true;
+    const channels = getScheduleChannels(schedule, config.channels);
+    if (channels.length === 0) {
+      throw new Error('No enabled channels with IDs match this schedule');
+    }
+
+    const tabId = await getSlackExportTab();
+    // Channels without a previous export start from the history window
+    const { oldestTimestamp } = getExportDateRange(config, { startDate: '', endDate: '' });
+    const result = await startBatchJob({
+      tabId,
+      channels: channels.map(channel => ({
+        channelId: channel.channelId,
+        name: channel.name,
+        archive: channel.archive ?? config.archiveMode,
+        incremental: true,
+        changeReport: channel.changeReport ?? config.changeReport
+      })),
+      oldestTimestamp,
+      latestTimestamp: null,
+      combinedExport: config.combinedExport,
+      slackExportZip: config.slackExportZip,
+      bundleZip: config.bundleZip,
+      scheduleId: schedule.id,
+      scheduleName: schedule.name || schedule.id
+    });
+    console.log(`⏰ Scheduled export ${schedule.id} queued as batch job ${result.jobId}`);
+    return result;
+  } catch (error) {
+    await addExportHistoryEntry({
+      trigger: 'schedule',
+      scheduleId: schedule.id,
+      scheduleName: schedule.name || schedule.id,
+      jobId: null,
+      status: 'failed',
+      startedAt,
+      finishedAt: Date.now(),
+      totalChannels: 0,
+      succeeded: 0,
+      messageCount: 0,
+      results: [],
+      error: error.message
+    });
+    throw error;
+  } finally {
+    if (starting) startingScheduleIds.delete(schedule.id);
+  }
+}
+
+/**
+ * Find a Slack tab whose content script answers, or open one in the
+ * background and wait for it to load. Used by runs started without the
+ * popup (schedules, retries whose tab was closed).
+ * @returns {Promise<number>} Tab ID
+ */
+async function getSlackExportTab() {
+  const tabs = await chrome.tabs.query({ url: '*://app.slack.com/*' });
+  for (const tab of tabs) {
+    if (await isSlackTabReady(tab.id)) return tab.id;
+  }
+
+  console.log('🌐 No Slack tab ready, opening one for the export');
+  const tab = await chrome.tabs.create({ url: 'https://app.slack.com/client', active: false });
+  const deadline = Date.now() + SLACK_TAB_READY_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, SLACK_TAB_READY_POLL_MS));
+    if (await isSlackTabReady(tab.id)) return tab.id;
+  }
+  throw new Error('Slack did not load in the tab opened for the export; is the browser signed in to Slack?');
+}
+
+/**
+ * Check whether a tab's content script answers messages.
+ * @param {number} tabId
+ * @returns {Promise<boolean>}
+ */
+async function isSlackTabReady(tabId) {
+  try {
+    return !!(await chrome.tabs.sendMessage(tabId, { action: 'GET_CURRENT_CHANNEL' }));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Describe a content script progress stage for the popup.
+ * @param {Object} progress - BATCH_EXPORT_PROGRESS message
+ * @returns {string} Activity text, or '' for unknown stages
+ */
+function describeBatchExportStage(progress) {
+  switch (progress.stage) {
+    case 'fetching_messages': return 'Fetching messages from Slack API...';
+    case 'fetching_thread_replies': return `Fetching thread replies (${progress.fetchedThreads || 0}/${progress.totalThreads || 0})...`;
+    case 'enriching_messages': return `Processing messages (${progress.processed || 0}/${progress.total || 0})...`;
+    case 'downloading_attachments': return `Downloading attachments (${progress.downloaded || 0}/${progress.total || 0})...`;
+    case 'building_markdown': return 'Building markdown files...';
+    case 'done': return 'Channel export finished';
+    default: return '';
+  }
+}
+
 /**
  * Handle extension installation
  */
 chrome.runtime.onInstalled.addListener((details) => {
+  // Updates clear the extension's alarms
+  syncScheduleAlarms().catch(error => console.error('❌ Failed to arm schedule alarms:', error));
+
   if (details.reason === 'install') {
     console.log('Slack Export Extension installed');
     
@@ -730,4 +1811,32 @@ chrome.runtime.onInstalled.addListener((details) => {
       combinedExport: false
     });
   }
-}); 
\ No newline at end of file
+}); 
+
+/**
+ * Run a schedule when its alarm fires and arm its next run
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+  const scheduleId = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length);
+  console.log(`⏰ Scheduled export ${scheduleId} is due`);
+
+  // From the scheduled time, so an alarm that fires a little early is not armed for the same run
+  syncScheduleAlarms(Math.max(Date.now(), alarm.scheduledTime))
+    .catch(error => console.error('❌ Failed to arm schedule alarms:', error));
+  runScheduledExport(scheduleId)
+    .catch(error => console.error(`❌ Scheduled export ${scheduleId} failed:`, error));
+});
+
+/**
+ * Re-arm alarms when schedules are edited on the options page
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.schedules) {
+    syncScheduleAlarms().catch(error => console.error('❌ Failed to arm schedule alarms:', error));
+  }
+});
+
+// Pick up a job that was running when the service worker was last stopped
+startBatchJobRunner();
+syncScheduleAlarms().catch(error => console.error('❌ Failed to arm schedule alarms:', error));
@@ -0,0 +1,567 @@
+/**
+ * Block Kit rendering for Slack Export Extension
+ *
+ * Bots, apps and Workflow Builder post their content as Block Kit `blocks`.
+ * Every block type is rendered to markdown; interactive elements become
+ * static labels and layout blocks use container markers so the HTML export
+ * can style them.
+ */
+
+// Placeholder shown for interactive elements without a current value
+const BLOCK_KIT_EMPTY_VALUE = '—';
+
+/**
+ * Render a list of blocks to markdown.
+ * @param {Array<Object>} blocks - Slack `blocks` array
+ * @param {Object} context - Rendering context
+ * @param {Object} context.userMap - Map of user IDs to display names
+ * @param {Object} context.channelMap - Map of channel IDs to names
+ * @param {Object} context.usergroupMap - Map of usergroup IDs to handles
+ * @param {Function} context.formatTimestamp - Formats a Slack timestamp for display
+ * @param {string} context.messageTs - Message timestamp, used in warnings
+ * @returns {string} Markdown, or '' when no block could be rendered
+ */
+function renderBlocks(blocks, context = {}) {
+  if (!Array.isArray(blocks)) return '';
+
+  const parts = [];
+  for (const block of blocks) {
+    try {
+      const markdown = renderBlock(block, context);
+      if (markdown && markdown.trim()) {
+        parts.push(markdown);
+      }
+    } catch (error) {
+      console.warn('⚠️ Error rendering block:', error, 'type:', block && block.type, 'for message:', context.messageTs);
+    }
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Render a single block to markdown.
+ * @param {Object} block - Block Kit block
+ * @param {Object} context - Rendering context (see renderBlocks)
+ * @returns {string} Markdown, or '' for unsupported/empty blocks
+ */
+function renderBlock(block, context = {}) {
+  if (!block || typeof block !== 'object') return '';
+
+  const utils = window.SlackExportExtensionUtils;
+  switch (block.type) {
+    case 'rich_text':
+      return renderRichText(block.elements, context);
+
+    case 'section':
+      return renderSectionBlock(block, context);
+
+    case 'header':
+      return block.text ? `### ${renderTextObject(block.text, context).replace(/\n+/g, ' ')}` : '';
+
+    case 'divider':
+      return '---';
+
+    case 'context': {
+      const items = (block.elements || [])
+        .map(element => (element.type === 'image'
+          ? renderImageElement(element)
+          : renderTextObject(element, context)))
+        .filter(Boolean);
+      return items.length > 0
+        ? utils.wrapMarkdownContainer('context', items.join(' · '))
+        : '';
+    }
+
+    case 'actions': {
+      const items = (block.elements || [])
+        .map(element => renderBlockElement(element, context))
+        .filter(Boolean);
+      return items.length > 0
+        ? utils.wrapMarkdownContainer('actions', items.join(' '))
+        : '';
+    }
+
+    case 'image':
+      return renderImageBlock(block, context);
+
+    case 'input':
+      return renderInputBlock(block, context);
+
+    case 'table':
+      return renderTableBlock(block, context);
+
+    case 'markdown':
+      // The markdown block already carries standard markdown
+      return String(block.text || '');
+
+    case 'video': {
+      const title = block.title ? plainTextOf(block.title) : 'Video';
+      const url = block.title_url || block.video_url;
+      const lines = [url ? `🎬 ${markdownLink(title, url)}` : `🎬 ${literalText(title)}`];
+      if (block.description) {
+        lines.push(renderTextObject(block.description, context));
+      }
+      return lines.join('\n\n');
+    }
+
+    case 'file':
+      return `📎 File: ${literalText(block.external_id || block.file_id || 'remote file')}`;
+
+    default:
+      // Unknown/future block types: keep whatever text they carry
+      return block.text ? renderTextObject(block.text, context) : '';
+  }
+}
+
+/**
+ * Render a section block: text, fields (as a two-column table) and accessory.
+ * @param {Object} block - section block
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderSectionBlock(block, context) {
+  const utils = window.SlackExportExtensionUtils;
+  const parts = [];
+
+  if (block.text) {
+    const text = renderTextObject(block.text, context);
+    if (text.trim()) parts.push(text);
+  }
+
+  if (Array.isArray(block.fields) && block.fields.length > 0) {
+    // Slack lays fields out two per row
+    const rows = [];
+    for (let i = 0; i < block.fields.length; i += 2) {
+      rows.push(block.fields.slice(i, i + 2).map(field => renderTextObject(field, context)));
+    }
+    parts.push(utils.formatMarkdownTable(['', ''], rows));
+  }
+
+  if (block.accessory) {
+    if (block.accessory.type === 'image') {
+      parts.push(renderImageElement(block.accessory));
+    } else {
+      const accessory = renderBlockElement(block.accessory, context);
+      if (accessory) {
+        parts.push(utils.wrapMarkdownContainer('actions', accessory));
+      }
+    }
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Render an image block with its title as a caption.
+ * @param {Object} block - image block
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderImageBlock(block, context) {
+  const parts = [renderImageElement(block)];
+  if (block.title) {
+    parts.push(`_${renderTextObject(block.title, context)}_`);
+  }
+  return parts.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Render an image element (image_url or slack_file) as a markdown image.
+ * @param {Object} element - image block or element
+ * @returns {string} Markdown
+ */
+function renderImageElement(element) {
+  const alt = literalText(element.alt_text || 'image').replace(/[\[\]]/g, '');
+  const url = element.image_url || (element.slack_file && element.slack_file.url);
+  return url
+    ? `![${alt}](${window.SlackExportExtensionMrkdwn.encodeMrkdwnUrl(url)})`
+    : `🖼️ ${alt}`;
+}
+
+/**
+ * Render an input block: bold label, the element's current value and hint.
+ * @param {Object} block - input block
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderInputBlock(block, context) {
+  const lines = [];
+  if (block.label) {
+    lines.push(`**${renderTextObject(block.label, context)}**${block.optional ? ' _(optional)_' : ''}`);
+  }
+  if (block.element) {
+    const element = renderBlockElement(block.element, context);
+    if (element) lines.push(element);
+  }
+  if (block.hint) {
+    lines.push(`_${renderTextObject(block.hint, context)}_`);
+  }
+  return lines.length > 0
+    ? window.SlackExportExtensionUtils.wrapMarkdownContainer('input', lines.join('\n\n'))
+    : '';
+}
+
+/**
+ * Render a table block; the first row is the header.
+ * @param {Object} block - table block
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown table
+ */
+function renderTableBlock(block, context) {
+  const rows = (block.rows || []).map(row => (row || []).map(cell => renderTableCell(cell, context)));
+  if (rows.length === 0) return '';
+  return window.SlackExportExtensionUtils.formatMarkdownTable(rows[0], rows.slice(1));
+}
+
+/**
+ * Render a table cell (raw_text or rich_text).
+ * @param {Object} cell - Table cell
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderTableCell(cell, context) {
+  if (!cell) return '';
+  if (cell.type === 'rich_text') return renderRichText(cell.elements, context);
+  if (cell.type === 'raw_text') return literalText(cell.text);
+  return renderTextObject(cell, context);
+}
+
+/**
+ * Render an interactive element (button, select, picker, input...) as a
+ * static inline label showing its current value.
+ * @param {Object} element - Block element
+ * @param {Object} context - Rendering context
+ * @returns {string} Inline markdown, or '' when nothing is worth showing
+ */
+function renderBlockElement(element, context = {}) {
+  if (!element || typeof element !== 'object') return '';
+
+  const userMap = context.userMap || {};
+  const optionText = option => (option && option.text ? plainTextOf(option.text) : '');
+  const currentValue = (...values) => {
+    const value = values.find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+    return value !== undefined ? String(value) : '';
+  };
+  const placeholder = element.placeholder ? plainTextOf(element.placeholder) : '';
+
+  switch (element.type) {
+    case 'button':
+    case 'workflow_button': {
+      const label = element.text ? plainTextOf(element.text) : 'Button';
+      return element.url ? markdownLink(inlineCode(label), element.url, true) : inlineCode(label);
+    }
+
+    case 'static_select':
+    case 'external_select':
+    case 'users_select':
+    case 'conversations_select':
+    case 'channels_select': {
+      const value = currentValue(
+        optionText(element.initial_option),
+        element.initial_user && `@${userMap[element.initial_user] || element.initial_user}`,
+        element.initial_conversation && `#${element.initial_conversation}`,
+        element.initial_channel && `#${element.initial_channel}`,
+        placeholder
+      );
+      return inlineCode(`${value || BLOCK_KIT_EMPTY_VALUE} ▾`);
+    }
+
+    case 'multi_static_select':
+    case 'multi_external_select':
+    case 'multi_users_select':
+    case 'multi_conversations_select':
+    case 'multi_channels_select': {
+      const selected = [
+        ...(element.initial_options || []).map(optionText),
+        ...(element.initial_users || []).map(id => `@${userMap[id] || id}`),
+        ...(element.initial_conversations || []).map(id => `#${id}`),
+        ...(element.initial_channels || []).map(id => `#${id}`)
+      ].filter(Boolean);
+      return inlineCode(`${selected.length > 0 ? selected.join(', ') : (placeholder || BLOCK_KIT_EMPTY_VALUE)} ▾`);
+    }
+
+    case 'overflow':
+      return inlineCode('⋯');
+
+    case 'datepicker':
+      return inlineCode(`📅 ${currentValue(element.initial_date, placeholder) || BLOCK_KIT_EMPTY_VALUE}`);
+
+    case 'timepicker':
+      return inlineCode(`🕒 ${currentValue(element.initial_time, placeholder) || BLOCK_KIT_EMPTY_VALUE}`);
+
+    case 'datetimepicker': {
+      const value = element.initial_date_time && typeof context.formatTimestamp === 'function'
+        ? context.formatTimestamp(String(element.initial_date_time))
+        : currentValue(element.initial_date_time);
+      return inlineCode(`📅 ${value || BLOCK_KIT_EMPTY_VALUE}`);
+    }
+
+    case 'checkboxes':
+    case 'radio_buttons': {
+      const selected = new Set([
+        ...(element.initial_options || []),
+        ...(element.initial_option ? [element.initial_option] : [])
+      ].map(option => option.value));
+      const [on, off] = element.type === 'checkboxes' ? ['☑', '☐'] : ['◉', '○'];
+      return (element.options || [])
+        .map(option => `${selected.has(option.value) ? on : off} ${literalText(optionText(option))}`)
+        .join('  \n');
+    }
+
+    case 'plain_text_input':
+    case 'email_text_input':
+    case 'url_text_input':
+    case 'number_input': {
+      if (element.initial_value !== undefined && element.initial_value !== '') {
+        return literalText(element.initial_value);
+      }
+      return placeholder ? `_${literalText(placeholder)}_` : inlineCode(BLOCK_KIT_EMPTY_VALUE);
+    }
+
+    case 'rich_text_input':
+      return element.initial_value
+        ? renderRichText(element.initial_value.elements, context)
+        : (placeholder ? `_${literalText(placeholder)}_` : inlineCode(BLOCK_KIT_EMPTY_VALUE));
+
+    case 'file_input':
+      return inlineCode('📎 Upload file');
+
+    case 'image':
+      return renderImageElement(element);
+
+    default:
+      return element.text ? inlineCode(plainTextOf(element.text)) : '';
+  }
+}
+
+/**
+ * Render a Block Kit text object (plain_text or mrkdwn) to markdown.
+ * @param {Object} textObject - { type, text }
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderTextObject(textObject, context = {}) {
+  if (!textObject) return '';
+  if (typeof textObject === 'string') return literalText(textObject);
+
+  const text = String(textObject.text || '');
+  if (textObject.type === 'mrkdwn') {
+    return window.SlackExportExtensionMrkdwn.convertSlackMrkdwn(text, { userMap: context.userMap || {} });
+  }
+  return literalText(window.SlackExportExtensionMrkdwn.decodeSlackEntities(text));
+}
+
+/**
+ * Get the plain text of a text object, without markdown syntax.
+ * @param {Object} textObject - { type, text }
+ * @returns {string}
+ */
+function plainTextOf(textObject) {
+  if (!textObject) return '';
+  if (typeof textObject === 'string') return textObject;
+
+  const text = String(textObject.text || '');
+  return textObject.type === 'mrkdwn'
+    ? window.SlackExportExtensionMrkdwn.slackMrkdwnToPlainText(text)
+    : window.SlackExportExtensionMrkdwn.decodeSlackEntities(text);
+}
+
+/**
+ * Escape plain text for markdown.
+ * @param {string} text
+ * @returns {string}
+ */
+function literalText(text) {
+  return window.SlackExportExtensionMrkdwn.escapeMarkdownLiteral(String(text || ''));
+}
+
+/**
+ * Render text as an inline code span (used for static button/select labels).
+ * @param {string} text
+ * @returns {string}
+ */
+function inlineCode(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.includes('`') ? `\`\` ${value} \`\`` : `\`${value}\``;
+}
+
+/**
+ * Build a markdown link.
+ * @param {string} label - Link label (plain text, or markdown when isMarkdown)
+ * @param {string} url - Target URL
+ * @param {boolean} isMarkdown - Whether the label is already markdown
+ * @returns {string}
+ */
+function markdownLink(label, url, isMarkdown = false) {
+  const text = isMarkdown ? label : literalText(label).replace(/(?<!\\)([\[\]])/g, '\\$1');
+  return `[${text}](${window.SlackExportExtensionMrkdwn.encodeMrkdwnUrl(url)})`;
+}
+
+/**
+ * Render a rich_text block's elements to markdown, honouring inline styles,
+ * list ordering/nesting, quotes and preformatted sections.
+ * @param {Array} elements - rich_text block elements array
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown text
+ */
+function renderRichText(elements, context = {}) {
+  if (!Array.isArray(elements)) return '';
+
+  const parts = [];
+  for (const element of elements) {
+    if (element.type === 'rich_text_section') {
+      parts.push(renderRichTextInline(element.elements, context).replace(/\n+$/, ''));
+    } else if (element.type === 'rich_text_list') {
+      parts.push(renderRichTextList(element, context));
+    } else if (element.type === 'rich_text_quote') {
+      const quoted = renderRichTextInline(element.elements, context).replace(/\n+$/, '');
+      parts.push(quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+    } else if (element.type === 'rich_text_preformatted') {
+      const code = renderRichTextInline(element.elements, context, { plain: true }).replace(/\n+$/, '');
+      const fence = code.includes('```') ? '~~~' : '```';
+      parts.push(`${fence}\n${code}\n${fence}`);
+    } else {
+      // Inline elements occasionally appear at the top level of a block.
+      parts.push(renderRichTextInline([element], context));
+    }
+  }
+
+  return parts.filter(part => part !== '').join('\n');
+}
+
+/**
+ * Render a rich_text_list (bullet or ordered) with its indent level.
+ * @param {Object} list - rich_text_list element
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown list lines
+ */
+function renderRichTextList(list, context) {
+  const items = Array.isArray(list.elements) ? list.elements : [];
+  const indent = '    '.repeat(Math.max(0, Number(list.indent) || 0));
+  const ordered = list.style === 'ordered';
+  const offset = Math.max(0, Number(list.offset) || 0);
+
+  return items.map((item, index) => {
+    const marker = ordered ? `${offset + index + 1}.` : '-';
+    const body = renderRichTextInline(item.elements, context).replace(/\n+$/, '');
+    const continuation = ' '.repeat(indent.length + marker.length + 1);
+    return `${indent}${marker} ${body.split('\n').join(`\n${continuation}`)}`;
+  }).join('\n');
+}
+
+/**
+ * Render inline rich text elements (text, links, mentions, emoji...).
+ * @param {Array} elements - Inline elements
+ * @param {Object} context - Rendering context
+ * @param {Object} options - { plain: true } renders without markdown syntax (code blocks)
+ * @returns {string} Rendered text
+ */
+function renderRichTextInline(elements, context = {}, options = {}) {
+  if (!Array.isArray(elements)) return '';
+  const userMap = context.userMap || {};
+  const channelMap = context.channelMap || {};
+  const usergroupMap = context.usergroupMap || {};
+  const plain = !!options.plain;
+  const literal = plain ? (text => String(text || '')) : literalText;
+
+  return elements.map(element => {
+    const style = element.style || {};
+    switch (element.type) {
+      case 'text':
+        return plain ? literal(element.text) : applyRichTextStyle(element.text, style, literal);
+      case 'link': {
+        const label = element.text || element.url;
+        if (plain) return label;
+        const labelLiteral = text => literal(text).replace(/(?<!\\)([\[\]])/g, '\\$1');
+        const url = window.SlackExportExtensionMrkdwn.encodeMrkdwnUrl(element.url);
+        return `[${applyRichTextStyle(label, style, labelLiteral)}](${url})`;
+      }
+      case 'user':
+        return applyRichTextStyle(`@${userMap[element.user_id] || element.user_id || 'unknown'}`, plain ? {} : style, literal);
+      case 'usergroup': {
+        const handle = usergroupMap[element.usergroup_id] || element.usergroup_id || 'group';
+        return applyRichTextStyle(handle.startsWith('@') ? handle : `@${handle}`, plain ? {} : style, literal);
+      }
+      case 'channel':
+        return applyRichTextStyle(`#${channelMap[element.channel_id] || element.channel_id || 'channel'}`, plain ? {} : style, literal);
+      case 'broadcast':
+        return applyRichTextStyle(`@${element.range || 'here'}`, plain ? {} : style, literal);
+      case 'emoji':
+        return renderRichTextEmoji(element);
+      case 'date': {
+        const formatted = typeof context.formatTimestamp === 'function'
+          ? context.formatTimestamp(String(element.timestamp || ''))
+          : String(element.timestamp || '');
+        return literal(element.fallback || formatted);
+      }
+      case 'color':
+        return literal(element.value || '');
+      case 'team':
+        return literal(element.team_id || '');
+      default:
+        return element.text ? literal(element.text) : '';
+    }
+  }).join('');
+}
+
+/**
+ * Wrap rich text in markdown style markers. Markers are applied per line and
+ * kept inside surrounding whitespace, since CommonMark ignores "** bold**".
+ * @param {string} text - Raw text
+ * @param {Object} style - { bold, italic, strike, code }
+ * @param {Function} literal - Escapes plain text for markdown
+ * @returns {string} Styled markdown
+ */
+function applyRichTextStyle(text, style, literal) {
+  const value = String(text || '');
+  if (!style || !(style.bold || style.italic || style.strike || style.code)) {
+    return literal(value);
+  }
+
+  return value.split('\n').map(line => {
+    const match = line.match(/^(\s*)(.*?)(\s*)$/);
+    const [, leading, core, trailing] = match;
+    if (!core) return line;
+
+    let styled;
+    if (style.code) {
+      styled = core.includes('`') ? `\`\` ${core} \`\`` : `\`${core}\``;
+    } else {
+      styled = literal(core);
+    }
+    if (style.strike) styled = `~~${styled}~~`;
+    if (style.italic) styled = `_${styled}_`;
+    if (style.bold) styled = `**${styled}**`;
+    return `${leading}${styled}${trailing}`;
+  }).join('\n');
+}
+
+/**
+ * Render an emoji element as its unicode character when known, else :name:.
+ * @param {Object} element - emoji element
+ * @returns {string}
+ */
+function renderRichTextEmoji(element) {
+  if (element.unicode) {
+    try {
+      return element.unicode
+        .split('-')
+        .map(code => String.fromCodePoint(parseInt(code, 16)))
+        .join('');
+    } catch (error) {
+      // Fall through to the shortcode for malformed code points.
+    }
+  }
+  return `:${element.name || 'emoji'}:`;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackExportExtensionBlockKit = {
+    renderBlocks,
+    renderBlock,
+    renderBlockElement,
+    renderTextObject,
+    renderRichText
+  };
+}
@@ -8,10 +8,58 @@ const DEFAULT_CONFIG = {
   includeThreadReplies: true,
   historyDays: 9999,
 
+  // Optional fixed date range (YYYY-MM-DD, local time). A start date replaces
+  // historyDays; the end date is inclusive. The popup can override both per run.
+  exportStartDate: '',
+  exportEndDate: '',
+
+  // Incremental mode: export only what changed since each channel's last
+  // successful export, into "-delta" files. Channels can override this with
+  // their own `incremental` flag. Threads started before the last export are
+  // checked for new replies when an earlier export saw them and their last reply
+  // is at most incrementalThreadTrackDays old (0 turns this off).
+  incrementalExport: false,
+  incrementalThreadTrackDays: 90,
+
+  // Archive mode: keep every fetched message per channel (IndexedDB, by `ts`),
+  // merge each incremental fetch into it and rewrite one canonical file per
+  // channel ('none') or per month ('month'). Channels can override this with
+  // their own `archive` flag.
+  archiveMode: false,
+  archiveSplit: 'none',
+
+  // Change report: keep the previous raw fetch of each channel and write a
+  // "-changes" file listing messages edited, deleted or added since then.
+  // Channels can override this with their own `changeReport` flag.
+  changeReport: false,
+
+  // Which part of a message is rendered as its body:
+  // 'blocks' - prefer rich blocks, fall back to `text` when blocks are absent or render nothing
+  // 'text'   - always use the plain `text` field
+  // 'both'   - render both (useful when debugging fidelity problems)
+  messageBodySource: 'blocks',
+  includeReactions: true,
+  includeChannelRoster: true, // Member table (name, title, status) in each export header
+  saveRawJson: false, // Also write a {channel}.raw.json sidecar with the raw API data
+
+  // Number of threads whose replies are fetched in parallel. Requests are
+  // still paced by the API client, so this only overlaps request latency.
+  threadFetchConcurrency: 4,
+
+  // How long resolved user names are cached (chrome.storage.local) before
+  // being fetched again
+  userCacheTtlHours: 24,
+
   // Batch export configuration
   channels: [],              // Array of channel config objects
   lastExportTimestamps: {},  // { channelId: unixTimestamp }
-  combinedExport: false      // Whether to also produce a combined file
+  combinedExport: false,     // Whether to also produce a combined file
+  slackExportZip: false,     // Whether to also produce a Slack official-format export ZIP
+  bundleZip: false,          // Whether to save everything a batch run produces as one ZIP
+
+  // Scheduled batch exports (see src/schedule.js), run by the background
+  // service worker with chrome.alarms
+  schedules: []
 };
 
 /**
@@ -56,10 +104,39 @@ async function saveConfig(config) {
   }
 }
 
+/**
+ * Resolve the export time window from config and optional per-run overrides
+ * @param {Object} config - Configuration object
+ * @param {Object} overrides - { startDate, endDate } as YYYY-MM-DD; undefined falls back to config
+ * @returns {{oldestTimestamp: number, latestTimestamp: number|null}} Unix ms; latest is null when open-ended
+ */
+function getExportDateRange(config, overrides = {}) {
+  const parseDate = (value) => {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  };
+
+  const start = parseDate(overrides.startDate !== undefined ? overrides.startDate : config.exportStartDate);
+  const end = parseDate(overrides.endDate !== undefined ? overrides.endDate : config.exportEndDate);
+
+  const oldestTimestamp = start
+    ? start.getTime()
+    : Date.now() - (config.historyDays || 7) * 86400 * 1000;
+  let latestTimestamp = null;
+  if (end) {
+    // Inclusive: up to the last millisecond of the end date
+    end.setDate(end.getDate() + 1);
+    latestTimestamp = end.getTime() - 1;
+  }
+
+  return { oldestTimestamp, latestTimestamp };
+}
+
 // Make functions available globally
 if (typeof window !== 'undefined') {
   window.getConfig = getConfig;
   window.saveConfig = saveConfig;
+  window.getExportDateRange = getExportDateRange;
   window.DEFAULT_CONFIG = DEFAULT_CONFIG;
   window.INITIAL_CHANNELS = INITIAL_CHANNELS;
 } 
\ No newline at end of file
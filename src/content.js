@@ -3,6 +3,9 @@
  * Uses Slack's API for reliable message and user data extraction
  */
 
+// Batch channel export in progress: { checkpointKey, controller, promise }
+let activeBatchExport = null;
+
 /**
  * Message listener for background script commands
  */
@@ -50,108 +53,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.action === 'BATCH_EXPORT_CHANNEL') {
     console.log('📦 Batch export request for channel:', message.channelName);
-    const { channelId, channelName, oldestTimestamp } = message;
-    const emitBatchProgress = (stage, extra = {}) => {
-      try {
-        chrome.runtime.sendMessage({
-          action: 'BATCH_EXPORT_PROGRESS',
-          channelId,
-          channelName,
-          stage,
-          ...extra
-        });
-      } catch (e) {
-        // Popup may be closed; progress updates are best effort only.
-      }
-    };
-    (async () => {
-      try {
-        emitBatchProgress('fetching_messages', { messageCount: 0, attachmentCount: 0 });
-        const result = await exportChannelViaAPI(channelId, channelName, oldestTimestamp, emitBatchProgress);
-        console.log(`✅ Batch export completed for ${channelName}:`, {
-          messageCount: result.messageCount,
-          attachmentCount: result.attachmentCount,
-          markdownLength: result.markdown?.length,
-          hasMarkdown: !!result.markdown
-        });
-
-        let markdown = result.markdown;
-        if (!markdown || !markdown.trim()) {
-          console.warn('⚠️ No markdown generated for', channelName, '- generating fallback');
-          const config = await getConfig();
-          markdown = convertToMarkdown([], channelName, config);
-        }
-
-        // Save markdown from content script too, so this does not depend on popup lifecycle.
-        let markdownSavedByContent = false;
-        let markdownSaveError = null;
-        try {
-          const saveRes = await saveBatchChannelMarkdown(channelName, markdown);
-          markdownSavedByContent = !!saveRes.success;
-          markdownSaveError = saveRes.error || null;
-        } catch (saveError) {
-          markdownSaveError = saveError.message;
-          console.warn(`⚠️ Failed to save markdown from content script for ${channelName}:`, saveError);
-        }
-
-        sendResponse({
-          success: true,
-          ...result,
-          markdown,
-          markdownSavedByContent,
-          markdownSaveError
-        });
-        emitBatchProgress('done', {
-          success: true,
-          messageCount: result.messageCount || 0,
-          attachmentCount: result.attachmentCount || 0
-        });
-      } catch (error) {
-        console.error('❌ Batch export error for', channelName, ':', error);
-        try {
-          const config = await getConfig();
-          const errorMarkdown = convertToMarkdown([], channelName, config);
-          const saveRes = await saveBatchChannelMarkdown(channelName, errorMarkdown);
-          sendResponse({
-            success: true,
-            messageCount: 0,
-            attachmentCount: 0,
-            markdown: errorMarkdown,
-            channelName,
-            markdownSavedByContent: !!saveRes.success,
-            markdownSaveError: saveRes.error || null,
-            error: error.message
-          });
-          emitBatchProgress('done', { success: false, messageCount: 0, attachmentCount: 0 });
-        } catch (fallbackError) {
-          console.error('❌ Failed to generate fallback markdown:', fallbackError);
-          const minimalMarkdown = `# Slack Export Extension Export: ${channelName}\n*Exported: ${new Date().toLocaleString()}*\n\n---\n\n*Note: Export encountered errors: ${error.message}*\n\n`;
-          let saveErrorMessage = null;
-          let markdownSavedByContent = false;
-          try {
-            const saveRes = await saveBatchChannelMarkdown(channelName, minimalMarkdown);
-            markdownSavedByContent = !!saveRes.success;
-            saveErrorMessage = saveRes.error || null;
-          } catch (saveError) {
-            saveErrorMessage = saveError.message;
-          }
-          sendResponse({
-            success: true,
-            messageCount: 0,
-            attachmentCount: 0,
-            markdown: minimalMarkdown,
-            channelName,
-            markdownSavedByContent,
-            markdownSaveError: saveErrorMessage,
-            error: error.message
-          });
-          emitBatchProgress('done', { success: false, messageCount: 0, attachmentCount: 0 });
-        }
-      }
-    })();
+    // A repeated request (the service worker restarted while waiting) gets the result of the export already running
+    if (!activeBatchExport || !message.checkpointKey || activeBatchExport.checkpointKey !== message.checkpointKey) {
+      const controller = new AbortController();
+      const run = {
+        checkpointKey: message.checkpointKey,
+        controller,
+        promise: runBatchChannelExport(message, controller.signal).finally(() => {
+          if (activeBatchExport === run) activeBatchExport = null;
+        })
+      };
+      activeBatchExport = run;
+    }
+    activeBatchExport.promise.then(sendResponse);
     return true; // async response
   }
 
+  if (message.action === 'BATCH_EXPORT_ABORT') {
+    // Pause or cancel from the popup: stop fetching; the export's checkpoint is kept
+    const running = !!activeBatchExport;
+    if (running) {
+      activeBatchExport.controller.abort();
+    }
+    sendResponse({ success: true, running });
+    return;
+  }
+
   if (message.action === 'GET_CURRENT_CHANNEL') {
     // Used by the popup's "Quick-add current channel" feature
     const channelId = getCurrentChannelId();
@@ -163,6 +90,157 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('❓ Unknown message action:', message.action);
 });
 
+/**
+ * Export one channel of a batch job and save its files
+ * @param {Object} message - BATCH_EXPORT_CHANNEL message from the background job runner
+ * @param {AbortSignal} signal - Aborted when the job is paused or cancelled
+ * @returns {Promise<Object>} Response for the job runner ({ success, messageCount, markdown, ... },
+ *   or { aborted: true } when stopped part way)
+ */
+async function runBatchChannelExport(message, signal) {
+  const { channelId, channelName, oldestTimestamp, latestTimestamp, incrementalSince, archive, changeReport, slackExportZip, bundleId, checkpointKey } = message;
+  const emitBatchProgress = (stage, extra = {}) => {
+    try {
+      chrome.runtime.sendMessage({
+        action: 'BATCH_EXPORT_PROGRESS',
+        channelId,
+        channelName,
+        stage,
+        ...extra
+      });
+    } catch (e) {
+      // Popup may be closed; progress updates are best effort only.
+    }
+  };
+  try {
+    emitBatchProgress('fetching_messages', { messageCount: 0, attachmentCount: 0 });
+    const result = await exportChannelViaAPI(channelId, channelName, oldestTimestamp, emitBatchProgress, latestTimestamp, {
+      incrementalSince,
+      archive,
+      changeReport,
+      slackExportZip,
+      bundleId,
+      signal,
+      checkpointKey
+    });
+    console.log(`✅ Batch export completed for ${channelName}:`, {
+      messageCount: result.messageCount,
+      attachmentCount: result.attachmentCount,
+      markdownLength: result.markdown?.length,
+      hasMarkdown: !!result.markdown
+    });
+
+    let markdown = result.markdown;
+    if (!markdown || !markdown.trim()) {
+      console.warn('⚠️ No markdown generated for', channelName, '- generating fallback');
+      const config = await getConfig();
+      markdown = convertToMarkdown([], channelName, config);
+    }
+
+    // Save markdown from content script too, so this does not depend on popup lifecycle.
+    let markdownSavedByContent = false;
+    let markdownSaveError = null;
+    try {
+      const config = await getConfig();
+      let saveRes = { success: true };
+      if (result.archiveFiles) {
+        // Archives keep stable names and are overwritten in place
+        for (const file of result.archiveFiles) {
+          saveRes = await saveBatchChannelMarkdown(channelName, file.markdown, { filename: file.filename, overwrite: true, bundleId });
+          if (!saveRes.success) break;
+        }
+      } else {
+        saveRes = await saveBatchChannelMarkdown(channelName, markdown, { delta: !!result.delta, bundleId });
+      }
+      if (saveRes.success && result.raw && config.saveRawJson) {
+        const rawBase = result.archiveFiles
+          ? window.SlackExportExtensionUtils.generateArchiveFilename(channelName)
+          : saveRes.filename;
+        await saveRawJsonSidecar(rawBase, result.raw, config, bundleId);
+      }
+      if (saveRes.success && result.changesMarkdown) {
+        saveRes = await saveBatchChannelMarkdown(channelName, result.changesMarkdown, {
+          filename: window.SlackExportExtensionUtils.generateFilename(channelName, config, { suffix: 'changes' }),
+          bundleId
+        });
+      }
+      markdownSavedByContent = !!saveRes.success;
+      markdownSaveError = saveRes.error || null;
+    } catch (saveError) {
+      markdownSaveError = saveError.message;
+      console.warn(`⚠️ Failed to save markdown from content script for ${channelName}:`, saveError);
+    }
+
+    // Raw data is too large to pass back to the popup; it gets the stored export's ID instead
+    const { raw, ...exportResult } = result;
+    const rawExportId = raw ? await keepRawExport(raw) : null;
+    emitBatchProgress('done', {
+      success: true,
+      messageCount: result.messageCount || 0,
+      attachmentCount: result.attachmentCount || 0
+    });
+    return {
+      success: true,
+      ...exportResult,
+      rawExportId,
+      markdown,
+      markdownSavedByContent,
+      markdownSaveError
+    };
+  } catch (error) {
+    if (signal.aborted) {
+      // Its checkpoint stays in the store for when the export is resumed
+      console.log(`⏸️ Batch export of ${channelName} stopped`);
+      return { success: false, aborted: true };
+    }
+    console.error('❌ Batch export error for', channelName, ':', error);
+    if (window.SlackExportExtensionApi.isTransientSlackApiError(error)) {
+      // The background retries the channel later, from its checkpoint
+      emitBatchProgress('done', { success: false, messageCount: 0, attachmentCount: 0 });
+      return { success: false, error: error.message, transient: true };
+    }
+    try {
+      const config = await getConfig();
+      const errorMarkdown = convertToMarkdown([], channelName, config);
+      const saveRes = await saveBatchChannelMarkdown(channelName, errorMarkdown, { bundleId });
+      emitBatchProgress('done', { success: false, messageCount: 0, attachmentCount: 0 });
+      return {
+        success: true,
+        messageCount: 0,
+        attachmentCount: 0,
+        markdown: errorMarkdown,
+        channelName,
+        markdownSavedByContent: !!saveRes.success,
+        markdownSaveError: saveRes.error || null,
+        error: error.message
+      };
+    } catch (fallbackError) {
+      console.error('❌ Failed to generate fallback markdown:', fallbackError);
+      const minimalMarkdown = `# Slack Export Extension Export: ${channelName}\n*Exported: ${new Date().toLocaleString()}*\n\n---\n\n*Note: Export encountered errors: ${error.message}*\n\n`;
+      let saveErrorMessage = null;
+      let markdownSavedByContent = false;
+      try {
+        const saveRes = await saveBatchChannelMarkdown(channelName, minimalMarkdown, { bundleId });
+        markdownSavedByContent = !!saveRes.success;
+        saveErrorMessage = saveRes.error || null;
+      } catch (saveError) {
+        saveErrorMessage = saveError.message;
+      }
+      emitBatchProgress('done', { success: false, messageCount: 0, attachmentCount: 0 });
+      return {
+        success: true,
+        messageCount: 0,
+        attachmentCount: 0,
+        markdown: minimalMarkdown,
+        channelName,
+        markdownSavedByContent,
+        markdownSaveError: saveErrorMessage,
+        error: error.message
+      };
+    }
+  }
+}
+
 /**
  * Main export function - orchestrates the entire export process
  * @returns {Promise<void>}
@@ -688,20 +766,27 @@ function extractTextContent(element) {
  * This prevents losing the main .md if popup closes during a long export.
  * @param {string} channelName
  * @param {string} markdown
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @param {Object} options - { delta, filename, overwrite, bundleId }: mark an incremental export, or
+ *   save under a fixed filename, replacing an existing file when `overwrite` is set; with a
+ *   bundleId the files go into that run's bundle
+ * @returns {Promise<{success: boolean, filename?: string, error?: string}>}
  */
-async function saveBatchChannelMarkdown(channelName, markdown) {
+async function saveBatchChannelMarkdown(channelName, markdown, options = {}) {
   const config = await getConfig();
-  const filename = window.SlackExportExtensionUtils.generateFilename(channelName, config);
+  const filename = options.filename ||
+    window.SlackExportExtensionUtils.generateFilename(channelName, config, { delta: !!options.delta });
   const htmlFilename = getHtmlFilename(filename);
   const html = convertMarkdownToHtmlDocument(markdown, channelName);
+  const conflictAction = options.overwrite ? 'overwrite' : 'uniquify';
 
   const response = await chrome.runtime.sendMessage({
     action: 'DOWNLOAD_FILE',
     data: {
       filename,
       content: markdown,
-      directory: config.downloadDirectory || 'slack-exports'
+      directory: config.downloadDirectory || 'slack-exports',
+      conflictAction,
+      bundleId: options.bundleId
     }
   });
 
@@ -715,7 +800,9 @@ async function saveBatchChannelMarkdown(channelName, markdown) {
       filename: htmlFilename,
       content: html,
       directory: config.downloadDirectory || 'slack-exports',
-      mimeType: 'text/html'
+      mimeType: 'text/html',
+      conflictAction,
+      bundleId: options.bundleId
     }
   });
 
@@ -723,479 +810,56 @@ async function saveBatchChannelMarkdown(channelName, markdown) {
     return { success: false, error: htmlResponse?.error || 'DOWNLOAD_FILE failed for HTML' };
   }
 
-  return { success: true };
-}
-
-/**
- * Get HTML export filename from markdown filename.
- * @param {string} markdownFilename
- * @returns {string}
- */
-function getHtmlFilename(markdownFilename) {
-  if (!markdownFilename || typeof markdownFilename !== 'string') {
-    return 'slack-export.html';
-  }
-
-  if (/\.(md|markdown)$/i.test(markdownFilename)) {
-    return markdownFilename.replace(/\.(md|markdown)$/i, '.html');
-  }
-
-  return `${markdownFilename}.html`;
+  return { success: true, filename };
 }
 
 /**
- * Convert messages to markdown format
- * @param {Array<Object>} messages - Array of message objects
- * @param {string} channelName - Channel name
+ * Save the raw API data of an export next to its markdown file (best effort).
+ * @param {string} markdownFilename - Filename of the markdown export
+ * @param {Object} raw - Raw export data (see buildRawExport)
  * @param {Object} config - Configuration object
- * @returns {string} Markdown content
- */
-function convertToMarkdown(messages, channelName, config) {
-  const now = new Date();
-  const exportTime = now.toLocaleString();
-  
-  let markdown = `# Slack Export Extension Export: ${channelName}\n`;
-  markdown += `*Exported: ${exportTime}*\n\n`;
-  markdown += `---\n\n`;
-  
-  for (const message of messages) {
-    // Add sender and timestamp
-    if (message.sender) {
-      markdown += `**${window.SlackExportExtensionUtils.escapeMarkdown(message.sender)}**`;
-      
-      if (config.includeTimestamps && message.timestamp) {
-        console.log('🔍 Formatting timestamp:', message.timestamp, typeof message.timestamp);
-        const formattedTime = formatTimestamp(message.timestamp);
-        console.log('✅ Formatted result:', formattedTime);
-        markdown += ` (${formattedTime})`;
-      }
-      
-      markdown += `:\n`;
-    }
-    
-    // Add message content
-    if (message.content) {
-      markdown += `${message.content}\n\n`;
-    }
-    
-    // Add thread replies if enabled
-    if (config.includeThreadReplies && message.threadReplies.length > 0) {
-      markdown += `**Thread Replies:**\n`;
-      for (const reply of message.threadReplies) {
-        if (reply.sender) {
-          markdown += `  • **${window.SlackExportExtensionUtils.escapeMarkdown(reply.sender)}**: `;
-        }
-        if (reply.content) {
-          markdown += `${reply.content}\n`;
-        }
-      }
-      markdown += `\n`;
-    }
-  }
-  
-  return normalizeFenceBoundaries(markdown);
-}
-
-/**
- * Convert messages to standalone HTML format.
- * @param {Array<Object>} messages
- * @param {string} channelName
- * @param {Object} config
- * @returns {string}
- */
-function convertToHtml(messages, channelName, config) {
-  const markdown = convertToMarkdown(messages, channelName, config);
-  return convertMarkdownToHtmlDocument(markdown, channelName);
-}
-
-/**
- * Convert markdown text to a simple standalone HTML document.
- * @param {string} markdown
- * @param {string} channelName
- * @returns {string}
- */
-function convertMarkdownToHtmlDocument(markdown, channelName) {
-  const safeTitle = escapeHtml(channelName || 'Slack Export Extension Export');
-  const bodyHtml = markdownToBasicHtml(normalizeFenceBoundaries(markdown || ''));
-
-  return `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>Slack Export Extension Export: ${safeTitle}</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; line-height: 1.5; color: #111827; }
-    h1, h2, h3 { margin-top: 1.4em; margin-bottom: 0.5em; }
-    p { margin: 0.6em 0; white-space: pre-wrap; }
-    hr { border: 0; border-top: 1px solid #d1d5db; margin: 1.2em 0; }
-    code { background: #f3f4f6; padding: 0.1em 0.25em; border-radius: 4px; }
-    pre { background: #f3f4f6; padding: 12px; border-radius: 6px; overflow-x: auto; }
-    blockquote { border-left: 3px solid #d1d5db; margin: 0.8em 0; padding-left: 10px; color: #4b5563; }
-    ul { margin: 0.5em 0 0.8em 1.2em; }
-    img { max-width: 100%; height: auto; border-radius: 6px; }
-  </style>
-</head>
-<body>
-${bodyHtml}
-</body>
-</html>`;
-}
-
-/**
- * Normalize malformed fence boundaries so trailing text does not remain inside <pre>.
- * @param {string} markdown
- * @returns {string}
- */
-function normalizeFenceBoundaries(markdown) {
-  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
-  const out = [];
-  let inCodeBlock = false;
-  let codeFenceMarker = null;
-  const messageHeaderPattern = /^\*\*.+\*\* \([^)]+\):$/;
-
-  const closeFenceIfOpen = () => {
-    if (inCodeBlock && codeFenceMarker) {
-      out.push(codeFenceMarker);
-      inCodeBlock = false;
-      codeFenceMarker = null;
-    }
-  };
-
-  for (const rawLine of lines) {
-    const line = rawLine || '';
-    const trimmed = line.trim();
-    const openFenceMatch = trimmed.match(/^(```|~~~)\s*[A-Za-z0-9_-]*\s*$/);
-
-    if (!inCodeBlock && openFenceMatch) {
-      inCodeBlock = true;
-      codeFenceMarker = openFenceMatch[1];
-      out.push(trimmed);
-      continue;
-    }
-
-    if (inCodeBlock) {
-      // Guardrail: never let malformed fences swallow the next message block.
-      if (messageHeaderPattern.test(trimmed)) {
-        closeFenceIfOpen();
-        out.push(line);
-        continue;
-      }
-
-      // Handle inline closing fences: "code...```" or "code...~~~".
-      const inlineCloseIndex = (codeFenceMarker ? line.indexOf(codeFenceMarker) : -1);
-      if (inlineCloseIndex >= 0) {
-        const codePart = line.slice(0, inlineCloseIndex);
-        const trailing = line.slice(inlineCloseIndex + codeFenceMarker.length).trim();
-        if (codePart) {
-          out.push(codePart);
-        }
-        out.push(codeFenceMarker);
-        inCodeBlock = false;
-        codeFenceMarker = null;
-        if (trailing) {
-          out.push(trailing);
-        }
-        continue;
-      }
-
-      const startsWithFence = trimmed.startsWith(codeFenceMarker || '');
-      if (startsWithFence) {
-        const trailing = trimmed.slice(codeFenceMarker.length).trim();
-        out.push(codeFenceMarker);
-        inCodeBlock = false;
-        codeFenceMarker = null;
-        if (trailing) {
-          out.push(trailing);
-        }
-        continue;
-      }
-    }
-
-    if (!inCodeBlock) {
-      // Normalize inline full fences in a single line: "prefix ```code``` suffix".
-      const inlineFullFenceMatch = line.match(/^(.*?)(```|~~~)(.+?)\2(.*)$/);
-      if (inlineFullFenceMatch) {
-        const [, prefix, marker, code, suffix] = inlineFullFenceMatch;
-        if (prefix && prefix.trim()) {
-          out.push(prefix.trimEnd());
-        }
-        out.push(marker);
-        out.push(code);
-        out.push(marker);
-        if (suffix && suffix.trim()) {
-          out.push(suffix.trimStart());
-        }
-        continue;
-      }
-
-      // Normalize trailing opening fences: "text ...```".
-      const trailingOpenFenceMatch = line.match(/^(.*?)(```|~~~)\s*$/);
-      if (trailingOpenFenceMatch) {
-        const [, prefix, marker] = trailingOpenFenceMatch;
-        if (prefix && prefix.trim()) {
-          out.push(prefix.trimEnd());
-        }
-        inCodeBlock = true;
-        codeFenceMarker = marker;
-        out.push(marker);
-        continue;
-      }
-    }
-
-    out.push(line);
-  }
-
-  closeFenceIfOpen();
-  return out.join('\n');
-}
-
-/**
- * Convert markdown subset used by exports into HTML.
- * @param {string} markdown
- * @returns {string}
+ * @param {number|null} bundleId - Run bundle to add the file to, if any
+ * @returns {Promise<void>}
  */
-function markdownToBasicHtml(markdown) {
-  const lines = String(markdown).replace(/\r\n/g, '\n').split('\n');
-  const html = [];
-  let inCodeBlock = false;
-  let codeLines = [];
-  let codeFenceMarker = null;
-  let inList = false;
-
-  const closeList = () => {
-    if (inList) {
-      html.push('</ul>');
-      inList = false;
-    }
-  };
-
-  for (const rawLine of lines) {
-    const line = rawLine || '';
-    const trimmedForFence = line.trim();
-    const openFenceMatch = trimmedForFence.match(/^(```|~~~)\s*[A-Za-z0-9_-]*\s*$/);
-    const closeFenceWithTailMatch = inCodeBlock && codeFenceMarker
-      ? trimmedForFence.match(new RegExp(`^${codeFenceMarker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(.*)$`))
-      : null;
-
-    if (!inCodeBlock && openFenceMatch) {
-      if (!inCodeBlock) {
-        closeList();
-        inCodeBlock = true;
-        codeLines = [];
-        codeFenceMarker = openFenceMatch[1];
-      }
-      continue;
-    }
-
-    if (inCodeBlock && closeFenceWithTailMatch) {
-      html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
-      inCodeBlock = false;
-      codeFenceMarker = null;
-      const trailing = (closeFenceWithTailMatch[1] || '').trim();
-      if (trailing) {
-        html.push(`<p>${inlineMarkdownToHtml(trailing)}</p>`);
-      }
-      continue;
-    }
-
-    if (inCodeBlock) {
-      codeLines.push(line);
-      continue;
-    }
-
-    const trimmed = line.trim();
-
-    if (!trimmed) {
-      closeList();
-      continue;
-    }
-
-    if (trimmed === '---') {
-      closeList();
-      html.push('<hr>');
-      continue;
-    }
-
-    if (trimmed.startsWith('# ')) {
-      closeList();
-      html.push(`<h1>${inlineMarkdownToHtml(trimmed.slice(2))}</h1>`);
-      continue;
-    }
-
-    if (trimmed.startsWith('## ')) {
-      closeList();
-      html.push(`<h2>${inlineMarkdownToHtml(trimmed.slice(3))}</h2>`);
-      continue;
-    }
-
-    if (trimmed.startsWith('### ')) {
-      closeList();
-      html.push(`<h3>${inlineMarkdownToHtml(trimmed.slice(4))}</h3>`);
-      continue;
-    }
-
-    if (trimmed.startsWith('> ')) {
-      closeList();
-      html.push(`<blockquote>${inlineMarkdownToHtml(trimmed.slice(2))}</blockquote>`);
-      continue;
-    }
-
-    if (trimmed.startsWith('- ') || trimmed.startsWith('* ') || trimmed.startsWith('• ')) {
-      if (!inList) {
-        html.push('<ul>');
-        inList = true;
+async function saveRawJsonSidecar(markdownFilename, raw, config, bundleId = null) {
+  const filename = getRawJsonFilename(markdownFilename);
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'DOWNLOAD_FILE',
+      data: {
+        filename,
+        content: JSON.stringify(raw, null, 2),
+        directory: config.downloadDirectory || 'slack-exports',
+        mimeType: 'application/json',
+        conflictAction: raw.parameters.archive ? 'overwrite' : 'uniquify',
+        bundleId
       }
-      const itemText = trimmed.slice(2);
-      html.push(`<li>${inlineMarkdownToHtml(itemText)}</li>`);
-      continue;
+    });
+    if (!response || !response.success) {
+      console.warn(`⚠️ Failed to save ${filename}:`, response?.error);
     }
-
-    closeList();
-    html.push(`<p>${inlineMarkdownToHtml(trimmed)}</p>`);
-  }
-
-  if (inCodeBlock) {
-    html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+  } catch (error) {
+    console.warn(`⚠️ Failed to save ${filename}:`, error);
   }
-  closeList();
-
-  return html.join('\n');
-}
-
-/**
- * Convert simple inline markdown markers to HTML.
- * @param {string} text
- * @returns {string}
- */
-function inlineMarkdownToHtml(text) {
-  let safe = escapeHtml(text || '');
-  safe = safe.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, href) => {
-    const normalizedHref = normalizeHref(href);
-    if (!normalizedHref) {
-      return match;
-    }
-    return `<img src="${normalizedHref}" alt="${alt}" loading="lazy">`;
-  });
-  safe = safe.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
-    const normalizedHref = normalizeHref(href);
-    if (!normalizedHref) {
-      return label;
-    }
-    return `<a href="${normalizedHref}" target="_blank" rel="noopener noreferrer">${label}</a>`;
-  });
-  safe = safe.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-  safe = safe.replace(/\*(.+?)\*/g, '<em>$1</em>');
-  safe = safe.replace(/`(.+?)`/g, '<code>$1</code>');
-  return safe;
-}
-
-/**
- * Allow safe link targets for exported HTML links and images.
- * @param {string} href
- * @returns {string}
- */
-function normalizeHref(href) {
-  const value = String(href || '').trim();
-  if (!value) return '';
-
-  // Allow web/mail links and relative file paths generated by exports.
-  const isAllowed =
-    /^(https?:\/\/|mailto:|#|\/|\.\.?\/)/i.test(value) ||
-    /^[A-Za-z0-9._-]+\/[A-Za-z0-9._%\-\/]+$/.test(value);
-
-  return isAllowed ? value : '';
-}
-
-/**
- * Escape HTML special characters.
- * @param {string} text
- * @returns {string}
- */
-function escapeHtml(text) {
-  return String(text || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
 }
 
 /**
- * Format timestamp for display with date
- * @param {string} timestamp - Raw timestamp
- * @returns {string} Formatted timestamp with date
+ * Keep the raw API data of an export in the extension, for the exports page
+ * and the Slack export ZIP (best effort).
+ * @param {Object} raw - Raw export data (see buildRawExport)
+ * @returns {Promise<number|null>} Stored export ID
  */
-function formatTimestamp(timestamp) {
+async function keepRawExport(raw) {
   try {
-    console.log('📅 formatTimestamp called with:', timestamp, 'type:', typeof timestamp);
-    
-    // Check if this is already a formatted string like "Wednesday 11:47 AM" or "Yesterday 05:00 AM"
-    const timestampStr = String(timestamp);
-    const hasRelativeDay = /(Today|Yesterday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)/i.test(timestampStr);
-    if (hasRelativeDay) {
-      console.error('❌ ERROR: Received pre-formatted timestamp string:', timestamp);
-      console.error('❌ This should not happen - timestamps should be Unix timestamps from API');
-      // We can't convert this back to a date, so return as-is for now
-      return timestamp;
-    }
-    
-    let date = null;
-    
-    // Handle API timestamps (ISO format from our conversion)
-    if (timestamp && typeof timestamp === 'string' && timestamp.includes('T')) {
-      date = new Date(timestamp);
-      console.log('📅 Parsed as ISO:', date);
-    }
-    // Handle raw Unix timestamps from API (like "1753160757.123400" or "1753160757")
-    // Also handle numeric timestamps
-    else if (timestamp && (typeof timestamp === 'number' || /^\d{10}(\.\d+)?$/.test(String(timestamp)))) {
-      const unixTimestamp = parseFloat(timestamp) * 1000; // Convert to milliseconds
-      date = new Date(unixTimestamp);
-      console.log('📅 Parsed as Unix timestamp:', timestamp, '->', date);
-    }
-    // Try parsing Slack's permalink timestamp formats
-    else if (timestamp && String(timestamp).includes('p')) {
-      const match = String(timestamp).match(/p(\d{10})\d*/);
-      if (match) {
-        const unixTimestamp = parseInt(match[1]) * 1000;
-        date = new Date(unixTimestamp);
-      }
-    }
-    // Try parsing as regular timestamp
-    if (!date || isNaN(date.getTime())) {
-      date = new Date(timestamp);
+    const response = await chrome.runtime.sendMessage({ action: 'RAW_EXPORT_SAVE', raw });
+    if (response && response.success) {
+      return response.id;
     }
-    
-    // If still can't parse, return error
-    if (!date || isNaN(date.getTime())) {
-      console.error('❌ Could not parse timestamp:', timestamp, typeof timestamp);
-      return timestamp; // Return original if parsing fails
-    }
-    
-    // Always show full date with year - use explicit formatting to avoid locale issues
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const month = months[date.getMonth()];
-    const day = date.getDate();
-    const year = date.getFullYear();
-    
-    let hours = date.getHours();
-    const minutes = date.getMinutes();
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    hours = hours % 12;
-    hours = hours ? hours : 12; // the hour '0' should be '12'
-    const minutesStr = minutes < 10 ? '0' + minutes : minutes;
-    
-    const dateStr = `${month} ${day}, ${year}`;
-    const timeStr = `${hours}:${minutesStr} ${ampm}`;
-    
-    console.log('📅 Formatted date:', dateStr, timeStr);
-    
-    return `${dateStr} ${timeStr}`;
+    console.warn('⚠️ Failed to keep raw export:', response?.error);
   } catch (error) {
-    console.error('Error formatting timestamp:', timestamp, error);
-    return timestamp;
+    console.warn('⚠️ Failed to keep raw export:', error);
   }
+  return null;
 }
 
 /**
@@ -1224,6 +888,15 @@ function getSlackAuthToken() {
   }
 }
 
+/**
+ * Get the shared rate-limited API client for a token
+ * @param {string} token - Slack auth token
+ * @returns {SlackApiClient}
+ */
+function getSlackApiClient(token) {
+  return window.SlackExportExtensionApi.SlackApiClient.forToken(token);
+}
+
 /**
  * Get current channel ID from URL or page context
  */
@@ -1279,25 +952,19 @@ function getCurrentChannelId() {
   }
 }
 
-/**
- * Validate Slack conversation IDs for API calls.
- * C = public/private channels, D = direct messages, G = group messages.
- * @param {string} value
- * @returns {boolean}
- */
-function isSlackConversationId(value) {
-  return /^[CDG][A-Z0-9]{8,}$/i.test(String(value || '').trim());
-}
-
 /**
  * Download files from Slack and save them locally
  * @param {Array<Object>} files - Array of file objects to download
  * @param {string} channelName - Channel name for directory structure
  * @param {string} token - Slack auth token
  * @param {Object} config - Configuration object
+ * @param {number|null} bundleId - Run bundle to add the files to, if any
+ * @param {AbortSignal|null} signal - Stops the downloads (before the next file) when aborted
+ * @param {Object|null} checkpoint - Export checkpoint; files it lists are not downloaded again and
+ *   each new download is recorded in it
  * @returns {Promise<Object>} Map of file URL to local path
  */
-async function downloadFiles(files, channelName, token, config, exportPrefix, onProgress = null) {
+async function downloadFiles(files, channelName, token, config, exportPrefix, onProgress = null, bundleId = null, signal = null, checkpoint = null) {
   const fileMap = {}; // Maps original URL to local path info
   const filesDir = `${config.downloadDirectory || 'slack-exports'}/${channelName}_files`;
   const emit = typeof onProgress === 'function' ? onProgress : () => {};
@@ -1323,19 +990,21 @@ async function downloadFiles(files, channelName, token, config, exportPrefix, on
   console.log(`📦 Found ${uniqueFiles.length} unique files to download`);
   emit({ downloaded: 0, total: uniqueFiles.length });
   
-  // Download files sequentially with delays to avoid rate limiting
-  // Slack has strict rate limits, so we'll download one at a time with delays
+  // Download files sequentially; any files.info lookups are paced by the API client
   for (let i = 0; i < uniqueFiles.length; i++) {
+    signal?.throwIfAborted();
     const file = uniqueFiles[i];
     emit({ downloaded: i, total: uniqueFiles.length, currentFile: file.name });
     
-    // Add delay between file downloads (except for first file)
-    if (i > 0) {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay between files
-    }
-    
     try {
-      const localPath = await downloadSingleFile(file, filesDir, token, i, exportPrefix);
+      let localPath = checkpoint?.files[file.url];
+      if (!localPath) {
+        localPath = await downloadSingleFile(file, filesDir, token, i, exportPrefix, bundleId);
+        if (localPath && checkpoint) {
+          checkpoint.files[file.url] = localPath;
+          await recordCheckpointProgress(checkpoint, {}, { kind: 'file', id: file.url, data: localPath });
+        }
+      }
       if (localPath) {
         fileMap[file.url] = {
           localPath: localPath,
@@ -1370,10 +1039,11 @@ async function downloadFiles(files, channelName, token, config, exportPrefix, on
  * @param {string} token - Slack auth token
  * @param {number} fileIndex - Unique index for this export's files
  * @param {string} exportPrefix - Export-scoped unique prefix for filenames
+ * @param {number|null} bundleId - Run bundle to add the file to, if any
  * @param {number} retryCount - Current retry attempt (internal use)
  * @returns {Promise<string>} Local file path relative to download directory
  */
-async function downloadSingleFile(file, filesDir, token, fileIndex = 0, exportPrefix = 'export', retryCount = 0) {
+async function downloadSingleFile(file, filesDir, token, fileIndex = 0, exportPrefix = 'export', bundleId = null, retryCount = 0) {
   const maxRetries = 2;
   
   try {
@@ -1392,7 +1062,8 @@ async function downloadSingleFile(file, filesDir, token, fileIndex = 0, exportPr
         fileUrl: file.url, // Use direct URL
         filename: localPath,
         mimetype: file.mimetype || 'application/octet-stream',
-        token: token
+        token: token,
+        bundleId
       }
     });
     
@@ -1403,7 +1074,7 @@ async function downloadSingleFile(file, filesDir, token, fileIndex = 0, exportPr
       if ((error.includes('401') || error.includes('Failed to fetch')) && retryCount < maxRetries) {
         console.log(`🔄 Retrying ${file.name} (attempt ${retryCount + 1}/${maxRetries})...`);
         await new Promise(resolve => setTimeout(resolve, 1000)); // Wait before retry
-        return downloadSingleFile(file, filesDir, token, fileIndex, exportPrefix, retryCount + 1);
+        return downloadSingleFile(file, filesDir, token, fileIndex, exportPrefix, bundleId, retryCount + 1);
       }
       
       throw new Error(error);
@@ -1415,7 +1086,7 @@ async function downloadSingleFile(file, filesDir, token, fileIndex = 0, exportPr
     if ((error.message.includes('401') || error.message.includes('Failed to fetch')) && retryCount < maxRetries) {
       console.log(`🔄 Retrying download of ${file.name}...`);
       await new Promise(resolve => setTimeout(resolve, 1000));
-      return downloadSingleFile(file, filesDir, token, fileIndex, exportPrefix, retryCount + 1);
+      return downloadSingleFile(file, filesDir, token, fileIndex, exportPrefix, bundleId, retryCount + 1);
     }
     
     console.error(`❌ Error downloading file ${file.name}:`, error);
@@ -1480,303 +1151,814 @@ function buildUniqueAssetFilename(originalName, exportPrefix, index) {
 }
 
 /**
- * Update file references in messages to use local paths
- * @param {Array<Object>} messages - Array of message objects
- * @param {Object} fileMap - Map of file URLs to local paths
- * @param {string} baseDirectory - Base directory to strip from paths (e.g., 'slack-exports')
+ * Export a specific channel via API (parameterized version for batch export)
+ * @param {string} channelId - The Slack channel ID to export
+ * @param {string} channelName - Human-readable channel name (used in markdown header)
+ * @param {number|null} oldestTimestamp - If provided, fetch messages since this Unix ms timestamp; otherwise use the configured range
+ * @param {Function|null} onProgress - Optional progress callback
+ * @param {number|null} latestTimestamp - If provided, fetch messages up to this Unix ms timestamp
+ * @param {Object} options - { incrementalSince, archive, changeReport, slackExportZip, bundleId }: Unix ms
+ *   of the last export (only changes since then are fetched), whether to merge into the channel archive
+ *   and render its full history, whether to compare with the previous export's snapshot, whether the
+ *   raw data (with channel details) is needed for a Slack export ZIP, and the run bundle attachments
+ *   go into instead of being downloaded; plus { signal, checkpointKey }: an AbortSignal that stops the
+ *   export, and the key its progress is saved under (see loadExportCheckpoint), so an export started
+ *   again with the same key continues where an interrupted one stopped
+ * @returns {Promise<Object>} Result with messageCount, attachmentCount, markdown, channelName
+ *   (plus archiveFiles [{ filename, markdown }] in archive mode and changesMarkdown with a change report)
+ * @throws {DOMException} The signal's reason, when aborted
  */
-function updateFileReferencesInMessages(messages, fileMap, baseDirectory = 'slack-exports') {
-  // Helper function to strip base directory from path
-  const stripBaseDirectory = (path) => {
-    if (!path) return path;
-    // Remove base directory prefix if present
-    const basePrefix = baseDirectory + '/';
-    if (path.startsWith(basePrefix)) {
-      return path.substring(basePrefix.length);
-    }
-    return path;
-  };
-
-  for (const message of messages) {
-    // Update content using stored messageFiles
-    if (message.messageFiles && message.messageFiles.length > 0) {
-      let updatedContent = message.content;
-      
-      for (const file of message.messageFiles) {
-        const fileInfo = fileMap[file.url];
-        if (fileInfo && fileInfo.localPath && !fileInfo.error) {
-          // Strip base directory from local path for markdown links
-          const relativePath = stripBaseDirectory(fileInfo.localPath);
-          
-          // Replace file URL references with relative path (without base directory)
-          const fileUrlPattern = new RegExp(escapeRegex(file.url), 'g');
-          updatedContent = updatedContent.replace(fileUrlPattern, relativePath);
-          
-          // Also replace any markdown links that reference this file
-          const linkPattern = new RegExp(`\\[([^\\]]+)\\]\\(${escapeRegex(file.url)}\\)`, 'g');
-          updatedContent = updatedContent.replace(linkPattern, `[$1](${relativePath})`);
-          
-          // For images, update image markdown syntax
-          if (file.image) {
-            const imagePattern = new RegExp(`!\\[([^\\]]*)\\]\\(${escapeRegex(file.url)}\\)`, 'g');
-            updatedContent = updatedContent.replace(imagePattern, `![$1](${relativePath})`);
-          }
-        }
-      }
-      
-      message.content = updatedContent;
-    }
-    
-    // Update thread replies
-    if (message.threadReplies) {
-      for (const reply of message.threadReplies) {
-        if (reply.messageFiles && reply.messageFiles.length > 0) {
-          let updatedReplyContent = reply.content;
-          
-          for (const file of reply.messageFiles) {
-            const fileInfo = fileMap[file.url];
-            if (fileInfo && fileInfo.localPath && !fileInfo.error) {
-              // Strip base directory from local path for markdown links
-              const relativePath = stripBaseDirectory(fileInfo.localPath);
-              const fileUrlPattern = new RegExp(escapeRegex(file.url), 'g');
-              updatedReplyContent = updatedReplyContent.replace(fileUrlPattern, relativePath);
-            }
-          }
-          
-          reply.content = updatedReplyContent;
-        }
-      }
+async function exportChannelViaAPI(channelId, channelName, oldestTimestamp = null, onProgress = null, latestTimestamp = null, options = {}) {
+  const config = await getConfig();
+  const { token, teamId } = getSlackAuthToken();
+  const archive = !!options.archive;
+  // Raw data is kept for the .raw.json sidecar and for Slack export ZIPs
+  const keepRaw = config.saveRawJson || !!options.slackExportZip;
+  const signal = options.signal || null;
+  const checkpoint = await loadExportCheckpoint(options.checkpointKey || null);
+  // Resumed exports keep their attachment file names
+  const exportPrefix = checkpoint.exportPrefix || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const channelInfo = options.slackExportZip ? await fetchChannelInfo(channelId, token, signal) : null;
+  let incrementalSince = options.incrementalSince || null;
+
+  if (archive && incrementalSince && !checkpoint.window) {
+    const stats = await chrome.runtime.sendMessage({ action: 'ARCHIVE_STATS', channelId });
+    if (!stats || !stats.success) {
+      throw new Error(`Archive unavailable: ${stats?.error || 'no response'}`);
+    }
+    if (stats.count === 0) {
+      // Nothing archived yet (new channel or cleared storage): fetch the full window
+      console.log(`🗄️ Archive for ${channelName} is empty, fetching the full history window`);
+      incrementalSince = null;
     }
   }
-}
 
-/**
- * Escape special regex characters in a string
- * @param {string} str - String to escape
- * @returns {string} Escaped string
- */
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-/**
- * Export a specific channel via API (parameterized version for batch export)
- * @param {string} channelId - The Slack channel ID to export
- * @param {string} channelName - Human-readable channel name (used in markdown header)
- * @param {number|null} oldestTimestamp - If provided, fetch messages since this Unix ms timestamp; otherwise use historyDays
- * @param {Function|null} onProgress - Optional progress callback
- * @returns {Promise<Object>} Result with messageCount, attachmentCount, markdown, channelName
- */
-async function exportChannelViaAPI(channelId, channelName, oldestTimestamp = null, onProgress = null) {
-  const config = await getConfig();
-  const { token } = getSlackAuthToken();
-  const exportPrefix = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-
-  const oldestUnix = oldestTimestamp
-    ? Math.floor(oldestTimestamp / 1000)
-    : Math.floor((Date.now() - (config.historyDays || 7) * 86400 * 1000) / 1000);
+  if (incrementalSince) {
+    // Older threads with new replies are found through the tracked threads below
+    oldestTimestamp = incrementalSince;
+    latestTimestamp = null;
+  } else if (!oldestTimestamp) {
+    // Without explicit bounds (single-channel export) use the configured range
+    const range = getExportDateRange(config);
+    oldestTimestamp = range.oldestTimestamp;
+    latestTimestamp = latestTimestamp || range.latestTimestamp;
+  }
+  let oldestUnix = Math.floor(oldestTimestamp / 1000);
+  let latestUnix = latestTimestamp ? latestTimestamp / 1000 : null;
+  if (checkpoint.window) {
+    // A resumed export keeps the window its first pages were fetched with
+    ({ incrementalSince, oldestUnix, latestUnix } = checkpoint.window);
+  }
+  await recordCheckpointProgress(checkpoint, { window: { incrementalSince, oldestUnix, latestUnix }, exportPrefix });
+  const sinceUnix = incrementalSince ? incrementalSince / 1000 : null;
+  // Archives render their full history, so nothing is labelled as "new"
+  const labelSinceUnix = archive ? null : sinceUnix;
   const emit = typeof onProgress === 'function' ? onProgress : () => {};
+  const rawParameters = () => ({
+    channelId,
+    channelName,
+    oldest: oldestUnix,
+    latest: latestUnix,
+    incrementalSince,
+    archive,
+    includeThreadReplies: config.includeThreadReplies,
+    messageBodySource: config.messageBodySource,
+    downloadDirectory: config.downloadDirectory || 'slack-exports' // File localPaths start with it
+  });
 
-  console.log(`📆 Export window for ${channelName}: since ${new Date(oldestUnix * 1000).toISOString()}`);
-  const apiMessages = await getMessagesViaHistoryAPI(channelId, oldestUnix, token, (data) => {
+  console.log(`📆 Export window for ${channelName}: since ${new Date(oldestUnix * 1000).toISOString()}${latestUnix ? ` until ${new Date(latestUnix * 1000).toISOString()}` : ''}`);
+  let apiMessages = await getMessagesViaHistoryAPI(channelId, oldestUnix, token, (data) => {
     emit('fetching_messages', data);
-  });
+  }, latestUnix, { signal, checkpoint });
+
+  // Compare the whole fetched window (before incremental filtering) with the previous export
+  let changes = null;
+  let snapshot = null;
+  let previousSnapshot = null;
+  if (options.changeReport) {
+    snapshot = { channelId, takenAt: Date.now(), oldest: oldestUnix, latest: latestUnix, messages: apiMessages || [], threads: {} };
+    const previous = await chrome.runtime.sendMessage({ action: 'SNAPSHOT_GET', channelId });
+    if (previous && previous.success && previous.snapshot) {
+      previousSnapshot = previous.snapshot;
+    } else if (!previous || !previous.success) {
+      console.warn(`⚠️ Could not load previous snapshot of ${channelName}:`, previous?.error);
+    }
+  }
 
-  if (!apiMessages || apiMessages.length === 0) {
+  // Threads started before the fetched window are only known from earlier exports
+  const trackDays = config.includeThreadReplies ? (config.incrementalThreadTrackDays ?? 90) : 0;
+  const trackedThreads = trackDays > 0 ? await loadTrackedThreads(channelId) : [];
+  let missingThreads = new Set();
+  if (sinceUnix && trackedThreads.length > 0) {
+    const updates = await fetchTrackedThreadUpdates(channelId, trackedThreads, token, {
+      sinceUnix, oldestUnix, latestUnix, signal, checkpoint, concurrency: config.threadFetchConcurrency
+    });
+    missingThreads = updates.missing;
+    if (updates.parents.length > 0) apiMessages = (apiMessages || []).concat(updates.parents);
+  }
+  const threadsToTrack = trackDays > 0
+    ? collectTrackedThreads(trackedThreads, apiMessages || [], Date.now() / 1000 - trackDays * 86400, missingThreads)
+    : null;
+
+  if (sinceUnix && apiMessages) {
+    const fetchedCount = apiMessages.length;
+    apiMessages = apiMessages.filter(msg => isMessageChangedSince(msg, sinceUnix));
+    console.log(`🔁 Incremental: ${apiMessages.length} of ${fetchedCount} messages changed since ${new Date(incrementalSince).toISOString()}`);
+  }
+
+  if (!archive && !previousSnapshot && (!apiMessages || apiMessages.length === 0)) {
     console.log(`ℹ️ No messages found for ${channelName} in the selected date range.`);
     // Always generate markdown file, even if empty - ensures file is created
-    const emptyMarkdown = convertToMarkdown([], channelName, config);
+    const emptyMarkdown = convertToMarkdown([], channelName, config, { since: incrementalSince });
     emit('building_markdown', { messageCount: 0, attachmentCount: 0 });
-    return { messageCount: 0, attachmentCount: 0, markdown: emptyMarkdown, channelName };
+    if (snapshot) await storeChannelSnapshot(snapshot);
+    const raw = keepRaw ? buildRawExport(rawParameters(), [], new Map(), {}, {}, [], channelInfo) : undefined;
+    return { messageCount: 0, attachmentCount: 0, markdown: emptyMarkdown, channelName, partialThreads: [], incrementalSince, delta: !!incrementalSince, raw };
   }
+  apiMessages = apiMessages || [];
+  const fetchedCount = apiMessages.length;
 
   // Extract unique user IDs from messages and cache thread replies
   const userIds = new Set();
   const threadRepliesCache = new Map(); // Cache thread replies to avoid fetching twice
-  let threadFetchCount = 0;
-  const totalThreadFetches = apiMessages.filter(
-    msg => config.includeThreadReplies && msg.thread_ts && msg.reply_count > 0
-  ).length;
-  
-  for (let i = 0; i < apiMessages.length; i++) {
-    const msg = apiMessages[i];
+  const partialThreads = []; // Threads whose replies could not all be fetched
+  const collectUserIds = (msg) => {
     if (msg.user) userIds.add(msg.user);
-    const mentionMatches = (msg.text || '').match(/<@([A-Z0-9]+)>/g);
-    if (mentionMatches) {
-      mentionMatches.forEach(match => {
-        const userId = match.match(/<@([A-Z0-9]+)>/)[1];
-        userIds.add(userId);
-      });
-    }
-    if (config.includeThreadReplies && msg.thread_ts && msg.reply_count > 0) {
-      // Add delay between thread reply fetches to avoid rate limiting
-      if (threadFetchCount > 0) {
-        await new Promise(resolve => setTimeout(resolve, 800)); // 800ms delay between thread fetches
+    window.SlackExportExtensionMrkdwn.extractSlackMentionIds(msg.text).forEach(userId => userIds.add(userId));
+    if (config.includeReactions) collectReactionUserIds(msg).forEach(userId => userIds.add(userId));
+  };
+
+  apiMessages.forEach(collectUserIds);
+
+  // In incremental mode only threads with replies since the last export are fetched
+  const threadParents = config.includeThreadReplies
+    ? apiMessages.filter(msg => msg.thread_ts && msg.reply_count > 0 &&
+        (!sinceUnix || parseFloat(msg.latest_reply || msg.ts) > sinceUnix))
+    : [];
+  // Threads started before the last export only need their new replies
+  const getThreadOldest = (msg) => sinceUnix && parseFloat(msg.ts) <= sinceUnix ? sinceUnix : oldestUnix;
+  let threadFetchCount = 0;
+  if (threadParents.length > 0) {
+    emit('fetching_thread_replies', { fetchedThreads: 0, totalThreads: threadParents.length });
+  }
+
+  await runWithConcurrency(threadParents, config.threadFetchConcurrency, async (msg) => {
+    signal?.throwIfAborted();
+    const threadOldest = getThreadOldest(msg);
+    // Threads fetched in full before the export was interrupted are not fetched again
+    let thread = checkpoint.threads[msg.thread_ts];
+    if (!thread) {
+      thread = await fetchThreadReplies(channelId, msg.thread_ts, threadOldest, token, latestUnix, signal);
+      if (thread.complete) {
+        checkpoint.threads[msg.thread_ts] = thread;
+        await recordCheckpointProgress(checkpoint, {}, { kind: 'thread', id: msg.thread_ts, data: thread });
       }
-      threadFetchCount++;
-      emit('fetching_thread_replies', {
-        fetchedThreads: threadFetchCount,
-        totalThreads: totalThreadFetches
+    }
+    // Cache thread replies for later use
+    threadRepliesCache.set(msg.thread_ts, thread);
+    if (!thread.complete) {
+      partialThreads.push({
+        threadTs: msg.thread_ts,
+        fetchedReplies: thread.messages.filter(reply => reply.ts !== msg.thread_ts).length,
+        expectedReplies: msg.reply_count,
+        error: thread.error
       });
-      
-      const repliesRaw = await fetchThreadReplies(channelId, msg.thread_ts, oldestUnix, token);
-      // Cache thread replies for later use
-      threadRepliesCache.set(msg.thread_ts, repliesRaw);
-      
-      for (const reply of repliesRaw) {
-        if (reply.user) userIds.add(reply.user);
-        const replyMentions = (reply.text || '').match(/<@([A-Z0-9]+)>/g);
-        if (replyMentions) {
-          replyMentions.forEach(match => {
-            const userId = match.match(/<@([A-Z0-9]+)>/)[1];
-            userIds.add(userId);
-          });
-        }
-      }
     }
-  }
+    thread.messages.forEach(collectUserIds);
 
-  console.log(`🎯 Need to fetch ${userIds.size} users for ${channelName}`);
-  const userMap = await fetchSpecificUsers(Array.from(userIds), token);
+    threadFetchCount++;
+    emit('fetching_thread_replies', {
+      fetchedThreads: threadFetchCount,
+      totalThreads: threadParents.length
+    });
+  });
 
-  // Enrich messages with usernames and thread replies, and collect files
-  const enrichedMessages = [];
-  const filesToDownload = []; // Track all files that need to be downloaded
-  let emptyContentCount = 0;
-  for (const apiMsg of apiMessages) {
-    // Handle sender extraction - system messages might not have a user field
-    let sender = 'Unknown User';
-    if (apiMsg.user) {
-      sender = userMap[apiMsg.user] || 'Unknown User';
-    } else if (apiMsg.subtype === 'bot_message' && apiMsg.bot_id) {
-      sender = apiMsg.username || 'Bot';
-    } else if (apiMsg.subtype) {
-      // System messages - use a descriptive label
-      sender = 'System';
-    }
-    
-    // Collect files from this message
-    const messageFiles = collectFilesFromMessage(apiMsg);
-    filesToDownload.push(...messageFiles);
-    
-    // Store file references in message for later update
-    let content = extractMessageContent(apiMsg, userMap, messageFiles);
-    
-    // Debug: Log messages with empty content to understand what's being filtered
-    if (!content || !content.trim()) {
-      emptyContentCount++;
-      if (emptyContentCount <= 10) { // Log first 10 empty messages
-        console.log(`🔍 Empty content for message:`, {
-          ts: apiMsg.ts,
-          user: apiMsg.user,
-          subtype: apiMsg.subtype,
-          hasText: !!apiMsg.text,
-          textValue: apiMsg.text, // Show actual value, not just boolean
-          textLength: apiMsg.text ? apiMsg.text.length : 0,
-          textPreview: apiMsg.text ? apiMsg.text.substring(0, 100) : 'none',
-          hasFiles: !!(apiMsg.files && apiMsg.files.length > 0),
-          fileCount: apiMsg.files ? apiMsg.files.length : 0,
-          hasBlocks: !!(apiMsg.blocks && apiMsg.blocks.length > 0),
-          blockCount: apiMsg.blocks ? apiMsg.blocks.length : 0,
-          sender: sender,
-          extractedContent: content,
-          extractedContentLength: content ? content.length : 0
-        });
-        // Also log the full message for first few to see structure
-        if (emptyContentCount <= 3) {
-          console.log(`📋 Full message object (first ${emptyContentCount}):`, JSON.stringify(apiMsg, null, 2));
-        }
-      }
+  if (snapshot) {
+    snapshot.threads = buildSnapshotThreads(snapshot.messages, threadRepliesCache, getThreadOldest, previousSnapshot);
+    if (previousSnapshot) {
+      changes = diffChannelSnapshots(previousSnapshot, snapshot);
+      console.log(`🔍 Changes in ${channelName}: ${changes.edited.length} edited, ${changes.deleted.length} deleted, ${changes.added.length} added`);
     }
+  }
 
-    const threadReplies = [];
-    if (config.includeThreadReplies && apiMsg.thread_ts && apiMsg.reply_count > 0) {
-      // Use cached thread replies to avoid fetching twice
-      const repliesRaw = threadRepliesCache.get(apiMsg.thread_ts) || [];
-      for (const reply of repliesRaw) {
-        if (reply.ts === apiMsg.thread_ts) continue;
-        const replySender = userMap[reply.user] || 'Unknown User';
-        const replyFiles = collectFilesFromMessage(reply);
-        filesToDownload.push(...replyFiles);
-        let replyContent = extractMessageContent(reply, userMap, replyFiles);
-        threadReplies.push({ 
-          sender: replySender, 
-          content: replyContent, 
-          timestamp: reply.ts,
-          messageFiles: replyFiles // Store file references for later update
+  // Archive mode: merge this fetch into the stored history and continue with all of it
+  let archivedFiles = {};
+  let touchedMonths = null;
+  signal?.throwIfAborted();
+  if (archive) {
+    touchedMonths = new Set(apiMessages.map(msg => getArchiveMonth(msg.ts)));
+    const merged = await mergeIntoChannelArchive(channelId, apiMessages, threadRepliesCache);
+    const partialThreadTs = new Set(partialThreads.map(thread => thread.threadTs));
+    apiMessages = merged.records.map(record => record.message);
+    threadRepliesCache.clear();
+    userIds.clear();
+    for (const record of merged.records) {
+      collectUserIds(record.message);
+      record.replies.forEach(collectUserIds);
+      if (record.message.thread_ts) {
+        threadRepliesCache.set(record.message.thread_ts, {
+          messages: record.replies,
+          complete: !partialThreadTs.has(record.message.thread_ts)
         });
       }
     }
+    archivedFiles = merged.files;
+    console.log(`🗄️ Archive for ${channelName}: ${fetchedCount} fetched, ${apiMessages.length} total`);
+  }
 
-    enrichedMessages.push({ 
-      sender, 
-      content, 
-      timestamp: apiMsg.ts, 
-      threadReplies,
-      messageFiles: messageFiles // Store file references for later update
-    });
-    if (enrichedMessages.length % 20 === 0 || enrichedMessages.length === apiMessages.length) {
-      emit('enriching_messages', {
-        processed: enrichedMessages.length,
-        total: apiMessages.length,
-        messageCount: enrichedMessages.length,
-        attachmentCount: filesToDownload.length
-      });
+  if (changes) {
+    for (const change of [...changes.edited, ...changes.deleted, ...changes.added]) {
+      collectUserIds(change.before || change.message);
     }
   }
-  
-  console.log(`📊 Enrichment complete: ${enrichedMessages.length} total, ${emptyContentCount} with empty content`);
-
-  // Debug: Log messages that will be filtered out
-  const filteredOut = enrichedMessages.filter(msg => !msg.content || !msg.content.trim());
-  if (filteredOut.length > 0) {
-    console.log(`⚠️ Filtering out ${filteredOut.length} messages without content`);
-    // Log sample of filtered messages for debugging
-    const sample = filteredOut.slice(0, 5);
-    sample.forEach((msg, i) => {
-      console.log(`  Filtered ${i + 1}: sender="${msg.sender}", timestamp="${msg.timestamp}", content="${msg.content}"`);
-    });
-  }
-  
-  const messages = enrichedMessages
-    .filter(msg => msg.content && msg.content.trim())
-    .sort((a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp));
-  const attachmentCount = countUniqueFilesByUrl(filesToDownload);
+
+  // Members of the exported channel (not the one open in the tab) for the roster
+  const memberIds = config.includeChannelRoster ? await fetchChannelMembers(channelId, token, signal) : [];
+
+  const idsToResolve = Array.from(new Set([...userIds, ...memberIds]));
+  console.log(`🎯 Need to fetch ${idsToResolve.length} users for ${channelName}`);
+  const userMap = await fetchSpecificUsers(idsToResolve, token, signal);
+  signal?.throwIfAborted();
+  const roster = config.includeChannelRoster
+    ? buildChannelRoster(memberIds, Array.from(userIds), userMap,
+      id => window.SlackExportExtensionUserDirectory.getCachedUser(teamId, id))
+    : null;
+
+  // Enrich messages with usernames and thread replies, and collect files
+  const { messages, filesToDownload } = buildExportMessages(apiMessages, threadRepliesCache, userMap, config, {
+    labelSinceUnix,
+    onProgress: emit
+  });
+
+  // Archived files were downloaded by an earlier run
+  const pendingFiles = filesToDownload.filter(file => !archivedFiles[file.url]);
+  const attachmentCount = countUniqueFilesByUrl(pendingFiles);
 
   // Download files before generating markdown
   // Wrap in try-catch to ensure markdown is still generated even if file downloads fail
-  let fileMap = {};
+  let fileMap = { ...archivedFiles };
   try {
-    fileMap = await downloadFiles(filesToDownload, channelName, token, config, exportPrefix, (data) => {
+    const downloadedFiles = await downloadFiles(pendingFiles, channelName, token, config, exportPrefix, (data) => {
       emit('downloading_attachments', {
         ...data,
         messageCount: messages.length,
         attachmentCount
       });
-    });
+    }, options.bundleId || null, signal, checkpoint);
+    Object.assign(fileMap, downloadedFiles);
+    if (archive) {
+      await saveArchiveFileMap(channelId, downloadedFiles);
+    }
     
     // Update file references in messages to use local paths (strip base directory)
     const baseDirectory = config.downloadDirectory || 'slack-exports';
     updateFileReferencesInMessages(messages, fileMap, baseDirectory);
   } catch (fileDownloadError) {
+    if (signal?.aborted) throw fileDownloadError;
     console.error(`⚠️ File download failed for ${channelName}, but continuing with markdown generation:`, fileDownloadError);
     // Continue without updating file references - markdown will use original URLs
   }
 
   emit('building_markdown', { messageCount: messages.length, attachmentCount });
-  const markdown = convertToMarkdown(messages, channelName, config);
+  const markdown = convertToMarkdown(messages, channelName, config, { roster, since: archive ? null : incrementalSince });
+  const messageCount = archive ? fetchedCount : messages.length;
+  const delta = !!incrementalSince && !archive;
   
   // Ensure markdown is always a string and non-empty (should always have at least header)
   if (!markdown || typeof markdown !== 'string' || !markdown.trim()) {
     console.error(`❌ Markdown generation failed for ${channelName} - got:`, typeof markdown, markdown);
     // Fallback: generate minimal markdown to ensure file is created
     const fallbackMarkdown = convertToMarkdown([], channelName, config);
-    return { messageCount: messages.length, attachmentCount, markdown: fallbackMarkdown, channelName };
+    return { messageCount, attachmentCount, markdown: fallbackMarkdown, channelName, partialThreads, incrementalSince, delta };
   }
+
+  const archiveFiles = archive
+    ? buildArchiveFiles(messages, markdown, channelName, config, { roster, touchedMonths })
+    : undefined;
+  const changesMarkdown = changes ? formatChangeReport(changes, channelName, userMap) : undefined;
+  if (snapshot) await storeChannelSnapshot(snapshot);
+  if (threadsToTrack) await storeTrackedThreads(channelId, threadsToTrack);
+  const raw = keepRaw
+    ? buildRawExport(rawParameters(), apiMessages, threadRepliesCache, userMap, fileMap, memberIds, channelInfo)
+    : undefined;
   
   console.log(`✅ Processed ${messages.length} messages for ${channelName} (markdown: ${markdown.length} chars)`);
+  if (partialThreads.length > 0) {
+    console.warn(`⚠️ ${partialThreads.length} thread(s) in ${channelName} were only partially fetched:`, partialThreads);
+  }
+
+  return {
+    messageCount,
+    attachmentCount,
+    markdown,
+    channelName,
+    partialThreads,
+    incrementalSince,
+    delta,
+    archiveFiles,
+    archiveMessageCount: archive ? messages.length : undefined,
+    changesMarkdown,
+    changeCount: changes ? changes.edited.length + changes.deleted.length + changes.added.length : undefined,
+    raw
+  };
+}
+
+/**
+ * Collect the raw API data behind an export, for the .raw.json sidecar
+ * @param {Object} parameters - Export parameters (channel, window, mode)
+ * @param {Array<Object>} apiMessages - Raw conversations.history messages that were exported
+ * @param {Map} threadRepliesCache - Thread ts to { messages, complete } from conversations.replies
+ * @param {Object} userMap - Map of user IDs to display names
+ * @param {Object} fileMap - Map of file URL to { localPath, localName, file, error? }
+ * @param {Array<string>} memberIds - Channel member IDs (for the roster)
+ * @param {Object|null} channelInfo - conversations.info channel object, when fetched
+ * @returns {Object} { version, exportedAt, parameters, messages, threads, users, files, members, channel }
+ */
+function buildRawExport(parameters, apiMessages, threadRepliesCache, userMap, fileMap, memberIds = [], channelInfo = null) {
+  const { teamId } = getSlackAuthToken();
+  const users = {};
+  for (const [userId, name] of Object.entries(userMap)) {
+    users[userId] = { ...window.SlackExportExtensionUserDirectory.getCachedUser(teamId, userId), name };
+  }
+
+  const threads = {};
+  for (const [threadTs, thread] of threadRepliesCache) {
+    threads[threadTs] = { messages: thread.messages, complete: thread.complete };
+  }
+
+  const files = Object.entries(fileMap).map(([url, info]) => ({
+    id: info.file?.id || null,
+    name: info.localName || info.file?.name || '',
+    mimetype: info.file?.mimetype || null,
+    size: info.file?.size ?? null,
+    url,
+    localPath: info.error ? null : info.localPath,
+    downloaded: !info.error
+  }));
+
+  return {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    parameters: { ...parameters, teamId },
+    messages: apiMessages,
+    threads,
+    users,
+    files,
+    members: memberIds,
+    channel: channelInfo
+  };
+}
+
+/**
+ * Collect the thread replies of a snapshot. Threads this export did not fetch
+ * in full (no new replies, or fetching failed) keep the replies of the
+ * previous snapshot, and replies before this fetch's window carry over from
+ * it, so the next export has them to compare with.
+ * @param {Array<Object>} messages - Snapshot messages
+ * @param {Map<string, Object>} threadRepliesCache - Fetched threads by thread_ts ({ messages, complete })
+ * @param {Function} getThreadOldest - Returns the Unix seconds a parent's replies were fetched from
+ * @param {Object|null} previous - Snapshot of the previous export
+ * @returns {Object} { [thread_ts]: { oldest, replies } }
+ */
+function buildSnapshotThreads(messages, threadRepliesCache, getThreadOldest, previous) {
+  const threads = {};
+  for (const msg of messages) {
+    if (!msg.thread_ts || msg.thread_ts !== msg.ts) continue;
+    const before = previous?.threads?.[msg.thread_ts];
+    const thread = threadRepliesCache.get(msg.thread_ts);
+    if (!thread || !thread.complete) {
+      if (before) threads[msg.thread_ts] = before;
+      continue;
+    }
+    const oldest = getThreadOldest(msg);
+    const earlier = before ? before.replies.filter(reply => parseFloat(reply.ts) < oldest) : [];
+    threads[msg.thread_ts] = {
+      oldest: before ? Math.min(before.oldest, oldest) : oldest,
+      replies: [...earlier, ...thread.messages.filter(reply => reply.ts !== msg.thread_ts)]
+    };
+  }
+  return threads;
+}
+
+/**
+ * Compare a channel's previous snapshot with the current fetch. Only the
+ * time range covered by both is checked for deletions, and only messages
+ * after the start of that range count as added. Thread replies are compared
+ * the same way, by thread; replies in a thread the previous snapshot did not
+ * have count as added when posted after its range.
+ * @param {Object} previous - Snapshot of the previous export ({ takenAt, oldest, latest, messages, threads })
+ * @param {Object} current - Snapshot of this export
+ * @returns {{edited: Array<Object>, deleted: Array<Object>, added: Array<Object>, since: number}}
+ *   edited entries are { before, after }; deleted and added entries are { message }; entries for
+ *   thread replies also have threadTs
+ */
+function diffChannelSnapshots(previous, current) {
+  const overlapOldest = Math.max(previous.oldest || 0, current.oldest || 0);
+  const overlapLatest = Math.min(previous.latest || previous.takenAt / 1000, current.latest || current.takenAt / 1000);
+  const changes = { edited: [], deleted: [], added: [] };
+
+  diffSnapshotMessages(previous.messages, current.messages, overlapOldest, overlapLatest, changes);
+  // Snapshots taken before replies were recorded have no threads
+  const previousThreads = previous.threads || {};
+  for (const [threadTs, thread] of Object.entries(current.threads || {})) {
+    const before = previousThreads[threadTs];
+    const threadOldest = before ? Math.max(before.oldest, thread.oldest) : overlapLatest;
+    diffSnapshotMessages(before ? before.replies : [], thread.replies, threadOldest, overlapLatest, changes, threadTs);
+  }
+
+  const byTs = (a, b) => parseFloat((a.after || a.message).ts) - parseFloat((b.after || b.message).ts);
+  return {
+    edited: changes.edited.sort(byTs),
+    deleted: changes.deleted.sort(byTs),
+    added: changes.added.sort(byTs),
+    since: previous.takenAt
+  };
+}
+
+/**
+ * Add the differences between two lists of messages to a change report.
+ * @param {Array<Object>} previousMessages - Messages of the previous snapshot
+ * @param {Array<Object>} currentMessages - Messages of this export
+ * @param {number} overlapOldest - Unix seconds both snapshots cover from
+ * @param {number} overlapLatest - Unix seconds both snapshots cover up to
+ * @param {Object} changes - { edited, deleted, added } lists to add to
+ * @param {string|null} threadTs - Thread the messages are replies in, if any
+ */
+function diffSnapshotMessages(previousMessages, currentMessages, overlapOldest, overlapLatest, changes, threadTs = null) {
+  const previousByTs = new Map(previousMessages.map(msg => [msg.ts, msg]));
+  const currentTs = new Set(currentMessages.map(msg => msg.ts));
+  const thread = threadTs ? { threadTs } : {};
+
+  for (const msg of currentMessages) {
+    const before = previousByTs.get(msg.ts);
+    if (!before) {
+      if (parseFloat(msg.ts) >= overlapOldest && msg.subtype !== 'tombstone') changes.added.push({ message: msg, ...thread });
+    } else if (msg.subtype === 'tombstone' && before.subtype !== 'tombstone') {
+      // Deleted thread parents stay behind as "This message was deleted." tombstones
+      changes.deleted.push({ message: before, ...thread });
+    } else if (msg.text !== before.text || msg.edited?.ts !== before.edited?.ts) {
+      changes.edited.push({ before, after: msg, ...thread });
+    }
+  }
+
+  for (const msg of previousMessages) {
+    const ts = parseFloat(msg.ts);
+    if (!currentTs.has(msg.ts) && ts >= overlapOldest && ts <= overlapLatest && msg.subtype !== 'tombstone') {
+      changes.deleted.push({ message: msg, ...thread });
+    }
+  }
+}
+
+/**
+ * Check the threads earlier exports saw that started before the fetched
+ * window for replies since the last export. Threads with new replies have
+ * them in checkpoint.threads, so they are not fetched again.
+ * @param {string} channelId - Channel being exported
+ * @param {Array<Object>} trackedThreads - Tracked threads ({ threadTs, latestReply, message })
+ * @param {string} token - Slack auth token
+ * @param {Object} options - { sinceUnix, oldestUnix, latestUnix, signal, checkpoint, concurrency }
+ * @returns {Promise<{parents: Array<Object>, missing: Set<string>}>} Parents of the threads with new
+ *   replies, and the thread_ts of threads that no longer exist
+ * @throws {DOMException} The signal's reason, when aborted
+ */
+async function fetchTrackedThreadUpdates(channelId, trackedThreads, token, { sinceUnix, oldestUnix, latestUnix, signal, checkpoint, concurrency }) {
+  const candidates = trackedThreads.filter(thread => parseFloat(thread.threadTs) <= oldestUnix);
+  const parents = [];
+  const missing = new Set();
+  if (candidates.length === 0) return { parents, missing };
+  console.log(`🧵 Checking ${candidates.length} older threads of ${channelId} for new replies...`);
+
+  await runWithConcurrency(candidates, concurrency, async ({ threadTs, message }) => {
+    signal?.throwIfAborted();
+    const thread = checkpoint.threads[threadTs] ||
+      await fetchThreadReplies(channelId, threadTs, sinceUnix, token, latestUnix, signal);
+    if (/thread_not_found/.test(thread.error || '')) {
+      missing.add(threadTs);
+      return;
+    }
+    const replies = thread.messages.filter(reply => reply.ts !== threadTs && parseFloat(reply.ts) > sinceUnix);
+    if (replies.length === 0) return;
+    if (thread.complete && !checkpoint.threads[threadTs]) {
+      checkpoint.threads[threadTs] = thread;
+      await recordCheckpointProgress(checkpoint, {}, { kind: 'thread', id: threadTs, data: thread });
+    }
+    // The stored parent stands in for fields the API leaves out
+    const latestReply = replies.reduce((latest, reply) => parseFloat(reply.ts) > parseFloat(latest) ? reply.ts : latest, threadTs);
+    const fetchedParent = thread.messages.find(msg => msg.ts === threadTs);
+    parents.push({ ...message, ...fetchedParent, latest_reply: latestReply });
+  });
+
+  console.log(`🧵 ${parents.length} of ${candidates.length} older threads of ${channelId} have new replies`);
+  return { parents, missing };
+}
+
+/**
+ * Work out the thread parents to track after an export: the ones tracked
+ * before and the ones fetched now (newest copy wins), while their last reply
+ * is recent enough.
+ * @param {Array<Object>} trackedThreads - Threads tracked so far ({ threadTs, latestReply, message })
+ * @param {Array<Object>} messages - Messages fetched by this export
+ * @param {number} keepAfterUnix - Threads whose last reply is older are dropped
+ * @param {Set<string>} missing - thread_ts of threads that no longer exist
+ * @returns {Array<Object>} [{ threadTs, latestReply, message }]
+ */
+function collectTrackedThreads(trackedThreads, messages, keepAfterUnix, missing) {
+  const threads = new Map(trackedThreads.map(thread => [thread.threadTs, thread]));
+  for (const msg of messages) {
+    if (msg.thread_ts === msg.ts && msg.reply_count > 0) {
+      threads.set(msg.ts, { threadTs: msg.ts, latestReply: msg.latest_reply || msg.ts, message: msg });
+    }
+  }
+  return Array.from(threads.values())
+    .filter(thread => !missing.has(thread.threadTs) && parseFloat(thread.latestReply) > keepAfterUnix);
+}
+
+/**
+ * Load the thread parents earlier exports of a channel saw (best effort).
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Array<Object>>} [{ threadTs, latestReply, message }] ([] when unavailable)
+ */
+async function loadTrackedThreads(channelId) {
+  const response = await chrome.runtime.sendMessage({ action: 'TRACKED_THREADS_GET', channelId });
+  if (!response || !response.success) {
+    console.warn(`⚠️ Could not load tracked threads of ${channelId}:`, response?.error);
+    return [];
+  }
+  return response.threads || [];
+}
+
+/**
+ * Save the thread parents the next incremental export of a channel checks (best effort).
+ * @param {string} channelId - Channel ID
+ * @param {Array<Object>} threads - [{ threadTs, latestReply, message }]
+ * @returns {Promise<void>}
+ */
+async function storeTrackedThreads(channelId, threads) {
+  const response = await chrome.runtime.sendMessage({ action: 'TRACKED_THREADS_SAVE', channelId, threads });
+  if (!response || !response.success) {
+    console.warn(`⚠️ Could not save tracked threads of ${channelId}:`, response?.error);
+  }
+}
+
+/**
+ * Format a change report as markdown
+ * @param {Object} changes - Result of diffChannelSnapshots
+ * @param {string} channelName - Channel name
+ * @param {Object} userMap - Map of user IDs to display names
+ * @returns {string}
+ */
+function formatChangeReport(changes, channelName, userMap) {
+  const escape = window.SlackExportExtensionUtils.escapeMarkdown;
+  const quote = (msg) => {
+    const text = renderMessageTextBody(msg, userMap) || '_(no text)_';
+    return text.split('\n').map(line => `> ${line}`).join('\n');
+  };
+  const heading = (msg, threadTs) => `**${escape(userMap[msg.user] || msg.username || 'Unknown User')}** (${formatTimestamp(msg.ts)})` +
+    (threadTs ? ` · reply in thread from ${formatTimestamp(threadTs)}` : '');
+
+  let markdown = `# Slack Export Extension Changes: ${channelName}\n`;
+  markdown += `*Exported: ${new Date().toLocaleString()} · compared with export of ${new Date(changes.since).toLocaleString()}*\n\n---\n\n`;
+
+  markdown += `## Edited (${changes.edited.length})\n\n`;
+  for (const { before, after, threadTs } of changes.edited) {
+    const editedAt = after.edited?.ts ? ` · edited ${formatTimestamp(after.edited.ts)}` : '';
+    markdown += `${heading(after, threadTs)}${editedAt}:\n\nBefore:\n${quote(before)}\n\nAfter:\n${quote(after)}\n\n`;
+  }
+
+  markdown += `## Deleted (${changes.deleted.length})\n\n`;
+  for (const { message, threadTs } of changes.deleted) {
+    markdown += `${heading(message, threadTs)}:\n${quote(message)}\n\n`;
+  }
+
+  markdown += `## Added (${changes.added.length})\n\n`;
+  for (const { message, threadTs } of changes.added) {
+    markdown += `${heading(message, threadTs)}:\n${quote(message)}\n\n`;
+  }
+
+  return markdown;
+}
+
+/**
+ * Save a channel snapshot for the next change report (best effort).
+ * @param {Object} snapshot - { channelId, takenAt, oldest, latest, messages, threads }
+ * @returns {Promise<void>}
+ */
+async function storeChannelSnapshot(snapshot) {
+  const response = await chrome.runtime.sendMessage({ action: 'SNAPSHOT_SAVE', snapshot });
+  if (!response || !response.success) {
+    console.warn(`⚠️ Could not save snapshot of ${snapshot.channelId}:`, response?.error);
+  }
+}
+
+/**
+ * Merge fetched messages and their thread replies into the channel archive
+ * (kept by the background service worker) and get back the full history.
+ * @param {string} channelId - Channel ID
+ * @param {Array<Object>} apiMessages - Messages fetched by this run
+ * @param {Map} threadRepliesCache - Thread ts to { messages } fetched by this run
+ * @returns {Promise<{records: Array<Object>, files: Object}>} All archived records
+ *   ({ ts, message, replies }, oldest first) and already downloaded files by URL
+ */
+async function mergeIntoChannelArchive(channelId, apiMessages, threadRepliesCache) {
+  const records = apiMessages.map(msg => {
+    const thread = msg.thread_ts ? threadRepliesCache.get(msg.thread_ts) : null;
+    return {
+      ts: msg.ts,
+      message: msg,
+      replies: thread ? thread.messages.filter(reply => reply.ts !== msg.thread_ts) : []
+    };
+  });
+
+  const response = await chrome.runtime.sendMessage({ action: 'ARCHIVE_MERGE', channelId, records });
+  if (!response || !response.success) {
+    throw new Error(`Archive merge failed: ${response?.error || 'no response'}`);
+  }
+  return { records: response.records || [], files: response.files || {} };
+}
+
+/**
+ * Remember successfully downloaded files so later archive runs reuse them.
+ * @param {string} channelId - Channel ID
+ * @param {Object} fileMap - Map of file URL to { localPath, localName, error? }
+ * @returns {Promise<void>}
+ */
+async function saveArchiveFileMap(channelId, fileMap) {
+  const files = {};
+  for (const [url, info] of Object.entries(fileMap)) {
+    if (!info.error) files[url] = { localPath: info.localPath, localName: info.localName };
+  }
+  if (Object.keys(files).length === 0) return;
+
+  const response = await chrome.runtime.sendMessage({ action: 'ARCHIVE_SAVE_FILES', channelId, files });
+  if (!response || !response.success) {
+    console.warn(`⚠️ Could not record archived files for ${channelId}:`, response?.error);
+  }
+}
+
+/**
+ * Get the archive month ("YYYY-MM", local time) of a Slack timestamp.
+ * @param {string} ts - Slack message timestamp
+ * @returns {string}
+ */
+function getArchiveMonth(ts) {
+  const date = new Date(parseFloat(ts) * 1000);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Build the canonical archive files of a channel: one file with the full
+ * history, or one per month (only months this run touched are rewritten).
+ * @param {Array<Object>} messages - Enriched messages of the whole archive, oldest first
+ * @param {string} markdown - Full-history markdown (used when not splitting)
+ * @param {string} channelName - Channel name
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { roster, touchedMonths }
+ * @returns {Array<{filename: string, markdown: string}>}
+ */
+function buildArchiveFiles(messages, markdown, channelName, config, options = {}) {
+  const { generateArchiveFilename } = window.SlackExportExtensionUtils;
+  if (config.archiveSplit !== 'month') {
+    return [{ filename: generateArchiveFilename(channelName), markdown }];
+  }
+
+  const byMonth = new Map();
+  for (const message of messages) {
+    const month = getArchiveMonth(message.timestamp);
+    if (!options.touchedMonths.has(month)) continue;
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(message);
+  }
+
+  return Array.from(byMonth, ([month, monthMessages]) => ({
+    filename: generateArchiveFilename(channelName, month),
+    markdown: convertToMarkdown(monthMessages, `${channelName} (${month})`, config, { roster: options.roster })
+  }));
+}
+
+/**
+ * Whether a message is new, edited or got thread replies after a point in time
+ * @param {Object} apiMsg - Slack API message object
+ * @param {number} sinceUnix - Unix seconds
+ * @returns {boolean}
+ */
+function isMessageChangedSince(apiMsg, sinceUnix) {
+  return parseFloat(apiMsg.ts) > sinceUnix ||
+    parseFloat(apiMsg.latest_reply || 0) > sinceUnix ||
+    parseFloat(apiMsg.edited?.ts || 0) > sinceUnix;
+}
+
+/**
+ * Fetch a channel's details (name, type, topic, purpose) with conversations.info
+ * @param {string} channelId - Channel being exported
+ * @param {string} token - Slack auth token
+ * @param {AbortSignal|null} signal - Stops the request
+ * @returns {Promise<Object|null>} Channel object (null when unavailable)
+ * @throws {DOMException} The signal's reason, when aborted
+ */
+async function fetchChannelInfo(channelId, token, signal = null) {
+  try {
+    const data = await getSlackApiClient(token).call('conversations.info', { channel: channelId }, { signal });
+    return data.channel || null;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`⚠️ Could not fetch details of ${channelId}:`, error.message);
+    return null;
+  }
+}
 
-  return { messageCount: messages.length, attachmentCount, markdown, channelName };
+/**
+ * Fetch the member IDs of a channel, following conversations.members cursors
+ * @param {string} channelId - Channel being exported
+ * @param {string} token - Slack auth token
+ * @param {AbortSignal|null} signal - Stops fetching
+ * @returns {Promise<Array<string>>} Member user IDs ([] when unavailable)
+ * @throws {DOMException} The signal's reason, when aborted
+ */
+async function fetchChannelMembers(channelId, token, signal = null) {
+  const memberIds = [];
+  try {
+    for await (const page of getSlackApiClient(token).paginate('conversations.members', {
+      channel: channelId,
+      limit: 1000
+    }, { signal })) {
+      memberIds.push(...(page.members || []));
+    }
+    console.log(`📋 Found ${memberIds.length} members in ${channelId}`);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`⚠️ Could not fetch members of ${channelId}:`, error.message);
+  }
+  return memberIds;
+}
+
+/**
+ * Load the checkpoint of a channel export from the extension's store
+ * @param {string|null} key - Checkpoint key, or null for an export that is not checkpointed
+ * @returns {Promise<Object>} { key, window, exportPrefix, cursor, historyComplete, pageCount, messages,
+ *   threads, files }; only key, messages, threads and files are set when nothing was saved yet
+ */
+async function loadExportCheckpoint(key) {
+  const checkpoint = { key, messages: [], threads: {}, files: {} };
+  if (!key) return checkpoint;
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'CHECKPOINT_GET', key });
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+  if (!response || !response.success) {
+    console.warn('⚠️ Could not load export checkpoint, starting over:', response?.error);
+    return checkpoint;
+  }
+  if (response.checkpoint) {
+    const { pages, ...fields } = response.checkpoint;
+    Object.assign(checkpoint, fields, { messages: pages.flat() });
+    console.log(`⏩ Export checkpoint: ${checkpoint.messages.length} messages, ${Object.keys(checkpoint.threads).length} threads, ${Object.keys(checkpoint.files).length} files already fetched`);
+  }
+  return checkpoint;
+}
+
+/**
+ * Save progress of a channel export in its checkpoint. Best effort: an export
+ * whose progress cannot be saved still runs, it just cannot resume.
+ * @param {Object} checkpoint - Checkpoint from loadExportCheckpoint
+ * @param {Object} fields - Checkpoint fields to set
+ * @param {Object|null} item - Fetched item to add ({ kind: 'page' | 'thread' | 'file', id, data })
+ * @returns {Promise<void>}
+ */
+async function recordCheckpointProgress(checkpoint, fields, item = null) {
+  Object.assign(checkpoint, fields);
+  if (!checkpoint.key) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'CHECKPOINT_UPDATE', key: checkpoint.key, fields, item });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'no response');
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not save export checkpoint:', error.message);
+  }
+}
+
+/**
+ * Run an async task for every item with at most `concurrency` tasks in flight.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel tasks
+ * @param {Function} task - async (item, index) => void
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, concurrency, task) {
+  const workerCount = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
 }
 
 /**
@@ -1813,6 +1995,11 @@ async function exportMessagesViaAPI() {
         return;
       }
 
+      if (result.raw) {
+        saveRawJsonSidecar(filename, result.raw, config);
+        keepRawExport(result.raw);
+      }
+
       chrome.runtime.sendMessage({
         action: 'DOWNLOAD_FILE',
         data: {
@@ -1823,7 +2010,10 @@ async function exportMessagesViaAPI() {
         }
       }, (htmlRes) => {
         if (htmlRes && htmlRes.success) {
-          window.SlackExportExtensionUtils.showNotification(`✅ Exported ${result.messageCount} messages to ${filename} and ${htmlFilename}`, 'success');
+          const partialNote = result.partialThreads.length > 0
+            ? ` (⚠️ ${result.partialThreads.length} thread${result.partialThreads.length === 1 ? '' : 's'} incomplete)`
+            : '';
+          window.SlackExportExtensionUtils.showNotification(`✅ Exported ${result.messageCount} messages to ${filename} and ${htmlFilename}${partialNote}`, 'success');
         } else {
           window.SlackExportExtensionUtils.showNotification(`❌ HTML download failed: ${htmlRes?.error || 'Unknown error'}`, 'error');
         }
@@ -1837,500 +2027,91 @@ async function exportMessagesViaAPI() {
 }
 
 /**
- * Fetch specific users by their IDs (much more efficient!)
- * @param {Array<string>} userIds - Array of user IDs to fetch
+ * Resolve specific users by their IDs through the persistent user directory
+ * (shared across channels in a batch and cached between runs)
+ * @param {Array<string>} userIds - Array of user IDs to resolve
  * @param {string} token - Slack auth token
+ * @param {AbortSignal|null} signal - Stops resolving
  * @returns {Promise<Object>} Map of user ID to display name
+ * @throws {DOMException} The signal's reason, when aborted
  */
-async function fetchSpecificUsers(userIds, token) {
+async function fetchSpecificUsers(userIds, token, signal = null) {
   try {
-    console.log(`👥 Fetching ${userIds.length} specific users...`);
-    const userMap = {};
-    
-    // Try to get users from conversations.members first (channel members)
-    try {
-      const channelId = getCurrentChannelId();
-      const channelMembers = await fetchChannelMembers(channelId, token);
-      console.log(`📋 Found ${channelMembers.length} channel members`);
-      
-      // Build map from channel members
-      for (const member of channelMembers) {
-        if (userIds.includes(member.id)) {
-          const displayName = member.real_name || 
-                             member.profile?.display_name || 
-                             member.profile?.real_name || 
-                             member.name || 
-                             'Unknown User';
-          userMap[member.id] = displayName;
-        }
-      }
-    } catch (error) {
-      console.warn('⚠️ Could not fetch channel members, will use users.info instead');
-    }
-    
-    // For any remaining users not found in channel members, fetch individually
-    const remainingUserIds = userIds.filter(id => !userMap[id]);
-    console.log(`🔍 Need to fetch ${remainingUserIds.length} users individually`);
-    
-    // Batch fetch users in groups of 10 to avoid rate limits
-    const batchSize = 10;
-    for (let i = 0; i < remainingUserIds.length; i += batchSize) {
-      const batch = remainingUserIds.slice(i, i + batchSize);
-      
-      for (const userId of batch) {
-        try {
-          const user = await fetchSingleUser(userId, token);
-          if (user) {
-            const displayName = user.real_name || 
-                               user.profile?.display_name || 
-                               user.profile?.real_name || 
-                               user.name || 
-                               'Unknown User';
-            userMap[userId] = displayName;
-          }
-          
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (error) {
-          console.warn(`⚠️ Could not fetch user ${userId}:`, error);
-          userMap[userId] = 'Unknown User';
-        }
-      }
-      
-      // Longer delay between batches
-      if (i + batchSize < remainingUserIds.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    }
+    console.log(`👥 Resolving ${userIds.length} specific users...`);
+    const config = await getConfig();
+    const { teamId } = getSlackAuthToken();
+    const userMap = await window.SlackExportExtensionUserDirectory.resolveUserNames(userIds, {
+      client: getSlackApiClient(token),
+      teamId,
+      ttlMs: (config.userCacheTtlHours || 24) * 3600 * 1000,
+      signal
+    });
     
     console.log(`✅ Resolved ${Object.keys(userMap).length} users`);
     return userMap;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('❌ Failed to fetch specific users:', error);
     // Return empty map so export can continue with "Unknown User"
     return {};
   }
 }
 
-/**
- * Fetch channel members (much faster than all users)
- * @param {string} channelId - Channel ID
- * @param {string} token - Slack auth token
- * @returns {Promise<Array>} Array of user objects who are members of this channel
- */
-async function fetchChannelMembers(channelId, token) {
-  try {
-    console.log(`📋 Trying to fetch channel members for ${channelId}...`);
-    
-    const params = new URLSearchParams({
-      token: token,
-      channel: channelId,
-      limit: '1000'
-    });
-    
-    const response = await fetch('/api/conversations.members', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'X-Slack-No-Retry': '1'
-      },
-      body: params.toString()
-    });
-    
-    const data = await response.json();
-    if (!data.ok) {
-      console.log(`📋 Channel members not available (${data.error}), will fetch users individually`);
-      return [];
-    }
-    
-    const memberIds = data.members || [];
-    console.log(`📋 Found ${memberIds.length} channel member IDs`);
-    
-    // For channel members, we still need their profile info
-    // Just return empty array to skip this optimization and use individual fetching
-    // (which is still very fast for small numbers of users)
-    return [];
-    
-  } catch (error) {
-    console.log(`📋 Channel members API not accessible, using individual user lookup`);
-    return [];
-  }
-}
-
-/**
- * Fetch a single user by ID
- * @param {string} userId - User ID
- * @param {string} token - Slack auth token
- * @returns {Promise<Object|null>} User object or null
- */
-async function fetchSingleUser(userId, token) {
-  const params = new URLSearchParams({
-    token: token,
-    user: userId
-  });
-  
-  const response = await fetch('/api/users.info', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'X-Slack-No-Retry': '1'
-    },
-    body: params.toString()
-  });
-  
-  const data = await response.json();
-  if (!data.ok) {
-    throw new Error(`users.info API failed: ${data.error}`);
-  }
-  
-  return data.user;
-}
-
-/**
- * Collect file attachments from a Slack message
- * @param {Object} apiMsg - Slack API message object
- * @returns {Array<Object>} Array of file objects with id, name, url, mimetype, etc.
- */
-function collectFilesFromMessage(apiMsg) {
-  const files = [];
-  
-  // Collect files from apiMsg.files array
-  if (apiMsg.files && Array.isArray(apiMsg.files)) {
-    for (const file of apiMsg.files) {
-      if (file.id || file.url_private || file.permalink) {
-        files.push({
-          id: file.id, // Store file ID for API downloads
-          name: file.name || file.title || `file-${file.id || Date.now()}`,
-          url: file.url_private || file.permalink, // Fallback URL
-          mimetype: file.mimetype || 'application/octet-stream',
-          size: file.size,
-          thumb_64: file.thumb_64,
-          thumb_360: file.thumb_360,
-          image: file.mimetype && file.mimetype.startsWith('image/'),
-          original: file
-        });
-      }
-    }
-  }
-  
-  // Collect files from apiMsg.file (single file share)
-  if (apiMsg.file && !apiMsg.files) {
-    const file = apiMsg.file;
-    if (file.id || file.url_private || file.permalink) {
-      files.push({
-        id: file.id, // Store file ID for API downloads
-        name: file.name || file.title || `file-${file.id || Date.now()}`,
-        url: file.url_private || file.permalink, // Fallback URL
-        mimetype: file.mimetype || 'application/octet-stream',
-        size: file.size,
-        thumb_64: file.thumb_64,
-        thumb_360: file.thumb_360,
-        image: file.mimetype && file.mimetype.startsWith('image/'),
-        original: file
-      });
-    }
-  }
-  
-  // Extract images from blocks (embedded/pasted images)
-  if (apiMsg.blocks && Array.isArray(apiMsg.blocks)) {
-    for (const block of apiMsg.blocks) {
-      // Check for image blocks
-      if (block.type === 'image' && block.image_url) {
-        files.push({
-          id: block.image_url,
-          name: block.alt_text || `image-${Date.now()}.png`,
-          url: block.image_url,
-          mimetype: 'image/png', // Default for embedded images
-          image: true,
-          embedded: true,
-          original: block
-        });
-      }
-      
-      // Check for image elements in rich text blocks
-      if (block.elements && Array.isArray(block.elements)) {
-        for (const element of block.elements) {
-          if (element.type === 'image' && element.image_url) {
-            files.push({
-              id: element.image_url,
-              name: element.alt_text || `image-${Date.now()}.png`,
-              url: element.image_url,
-              mimetype: 'image/png',
-              image: true,
-              embedded: true,
-              original: element
-            });
-          }
-        }
-      }
-    }
-  }
-  
-  return files;
-}
-
-/**
- * Count unique file entries by URL.
- * @param {Array<Object>} files
- * @returns {number}
- */
-function countUniqueFilesByUrl(files) {
-  if (!Array.isArray(files) || files.length === 0) return 0;
-  const urls = new Set();
-  for (const file of files) {
-    if (file && file.url) {
-      urls.add(file.url);
-    }
-  }
-  return urls.size;
-}
-
-/**
- * Extract all content from a Slack message (text, files, blocks, etc.)
- * @param {Object} apiMsg - Slack API message object
- * @param {Object} userMap - Map of user IDs to display names
- * @param {Array<Object>} messageFiles - Array of file objects collected from this message
- * @returns {string} Combined content string
- */
-function extractMessageContent(apiMsg, userMap, messageFiles = []) {
-  const parts = [];
-  
-  // Extract main text content - be more permissive, extract if text exists at all
-  // Slack API can return text as string, null, or undefined
-  if (apiMsg.text !== undefined && apiMsg.text !== null && apiMsg.text !== '') {
-    try {
-      let text = String(apiMsg.text);
-      // Clean the text
-      text = window.SlackExportExtensionUtils.cleanText(text);
-      // Replace user mentions
-      text = text.replace(/<@([A-Z0-9]+)>/g, (_, id) => '@' + (userMap[id] || 'unknown'));
-      // Include text if it has any content after cleaning
-      if (text && text.length > 0) {
-        parts.push(text);
-      }
-    } catch (error) {
-      console.warn('⚠️ Error extracting text content:', error, 'for message:', apiMsg.ts);
-      // If cleaning fails, try to use raw text
-      if (apiMsg.text && String(apiMsg.text).trim().length > 0) {
-        parts.push(String(apiMsg.text));
-      }
-    }
-  }
-  
-  // Extract file attachments - use URLs initially, will be replaced with local paths after download
-  if (messageFiles && messageFiles.length > 0) {
-    const fileParts = [];
-    for (const file of messageFiles) {
-      const fileName = file.name || 'Unnamed file';
-      const filePath = file.url || ''; // Use URL initially, will be replaced later
-      
-      if (file.image) {
-        // For images, embed them in markdown (will be updated to local path)
-        fileParts.push(`![${fileName}](${filePath})`);
-      } else if (filePath) {
-        // For other files, use link (will be updated to local path)
-        fileParts.push(`[${fileName}](${filePath})`);
-      } else {
-        fileParts.push(fileName);
-      }
-      
-      // Add file type info if available
-      if (file.mimetype && !file.image) {
-        fileParts[fileParts.length - 1] += ` (${file.mimetype})`;
-      }
-    }
-    if (fileParts.length > 0) {
-      parts.push(`📎 Files: ${fileParts.join(', ')}`);
-    }
-  }
-  
-  // Extract blocks content (rich text blocks)
-  if (apiMsg.blocks && Array.isArray(apiMsg.blocks)) {
-    for (const block of apiMsg.blocks) {
-      if (block.type === 'rich_text' && block.elements) {
-        const blockText = extractBlockText(block.elements, userMap);
-        if (blockText.trim()) {
-          parts.push(blockText);
-        }
-      } else if (block.text && block.text.text) {
-        let blockText = window.SlackExportExtensionUtils.cleanText(block.text.text);
-        blockText = blockText.replace(/<@([A-Z0-9]+)>/g, (_, id) => '@' + (userMap[id] || 'unknown'));
-        if (blockText.trim()) {
-          parts.push(blockText);
-        }
-      }
-    }
-  }
-  
-  // Handle system messages and subtypes
-  if (apiMsg.subtype) {
-    if (apiMsg.subtype === 'file_share' && apiMsg.file) {
-      const fileName = apiMsg.file.name || apiMsg.file.title || 'Unnamed file';
-      parts.push(`📎 Shared file: ${fileName}`);
-    } else if (apiMsg.subtype === 'channel_join') {
-      parts.push('joined the channel');
-    } else if (apiMsg.subtype === 'channel_leave') {
-      parts.push('left the channel');
-    } else if (apiMsg.subtype === 'channel_topic') {
-      parts.push(`📌 Topic: ${apiMsg.topic || ''}`);
-    } else if (apiMsg.subtype === 'channel_purpose') {
-      parts.push(`📌 Purpose: ${apiMsg.purpose || ''}`);
-    } else if (apiMsg.subtype === 'pinned_item') {
-      parts.push('📌 Pinned a message');
-    } else if (apiMsg.subtype === 'file_comment') {
-      parts.push(`💬 Comment on file: ${apiMsg.comment?.comment || ''}`);
-    }
-  }
-  
-  // If no content found but message exists, indicate it's a message without visible content
-  if (parts.length === 0) {
-    // Check if it's a deleted message
-    if (apiMsg.subtype === 'message_deleted') {
-      return '[Message deleted]';
-    }
-    // For other cases, return empty string (will be filtered out)
-    return '';
-  }
-  
-  return parts.join('\n\n');
-}
-
-/**
- * Extract text from Slack block elements recursively
- * @param {Array} elements - Block elements array
- * @param {Object} userMap - Map of user IDs to display names
- * @returns {string} Extracted text
- */
-function extractBlockText(elements, userMap) {
-  if (!Array.isArray(elements)) return '';
-  
-  const parts = [];
-  for (const element of elements) {
-    if (element.type === 'text' && element.text) {
-      let text = window.SlackExportExtensionUtils.cleanText(element.text);
-      text = text.replace(/<@([A-Z0-9]+)>/g, (_, id) => '@' + (userMap[id] || 'unknown'));
-      parts.push(text);
-    } else if (element.type === 'rich_text_section' && element.elements) {
-      parts.push(extractBlockText(element.elements, userMap));
-    } else if (element.type === 'rich_text_list' && element.elements) {
-      for (const item of element.elements) {
-        if (item.elements) {
-          parts.push(`• ${extractBlockText(item.elements, userMap)}`);
-        }
-      }
-    } else if (element.type === 'rich_text_quote' && element.elements) {
-      parts.push(`> ${extractBlockText(element.elements, userMap)}`);
-    } else if (element.type === 'rich_text_preformatted' && element.elements) {
-      const code = extractBlockText(element.elements, userMap);
-      parts.push(`\`\`\`\n${code}\n\`\`\``);
-    } else if (element.type === 'link' && element.url) {
-      const linkText = element.text || element.url;
-      parts.push(`[${linkText}](${element.url})`);
-    } else if (element.text) {
-      let text = window.SlackExportExtensionUtils.cleanText(element.text);
-      text = text.replace(/<@([A-Z0-9]+)>/g, (_, id) => '@' + (userMap[id] || 'unknown'));
-      parts.push(text);
-    }
-  }
-  
-  return parts.join('');
-}
-
 /**
  * Fetch messages from a channel using conversations.history API
  * @param {string} channelId - Channel ID
  * @param {number} oldestUnix - Oldest timestamp to fetch (Unix timestamp)
  * @param {string} token - Slack auth token
+ * @param {Function|null} onProgress - Optional per-page progress callback
+ * @param {number|null} latestUnix - Newest timestamp to fetch (Unix seconds), or null for now
+ * @param {Object} options - { signal, checkpoint }: an AbortSignal that stops fetching, and the export
+ *   checkpoint (see loadExportCheckpoint); every page is recorded in it, and fetching continues from
+ *   its cursor
  * @returns {Promise<Array>} Array of message objects
  */
-async function getMessagesViaHistoryAPI(channelId, oldestUnix, token, onProgress = null) {
+async function getMessagesViaHistoryAPI(channelId, oldestUnix, token, onProgress = null, latestUnix = null, { signal = null, checkpoint = {} } = {}) {
   try {
     console.log(`📥 Fetching messages for channel ${channelId} since ${new Date(oldestUnix * 1000).toISOString()}`);
     const emit = typeof onProgress === 'function' ? onProgress : () => {};
     
-    let allMessages = [];
-    let cursor = '';
-    let hasMore = true;
+    let allMessages = checkpoint.messages || [];
     let pageCount = 0;
+    if (checkpoint.historyComplete) {
+      console.log(`⏩ Reusing ${allMessages.length} messages fetched before the export was interrupted`);
+      return allMessages;
+    }
+    if (checkpoint.cursor) {
+      console.log(`⏩ Resuming after ${allMessages.length} messages fetched before the export was interrupted`);
+    }
+    
+    const pages = getSlackApiClient(token).paginate('conversations.history', {
+      channel: channelId,
+      limit: 100,
+      oldest: oldestUnix,
+      latest: latestUnix ? latestUnix.toFixed(6) : undefined,
+      inclusive: 'true'
+    }, { signal, cursor: checkpoint.cursor || '' });
     
-    while (hasMore) {
+    for await (const data of pages) {
       pageCount++;
-      
-      // Add delay between requests to avoid rate limiting (except for first request)
-      if (pageCount > 1) {
-        console.log('⏱️ Waiting 1 second to avoid rate limiting...');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-      
-      const params = new URLSearchParams({
-        token: token,
-        channel: channelId,
-        limit: '100', // Reduced from 200 to be more gentle
-        oldest: oldestUnix.toString(),
-        inclusive: 'true'
+      const pageMessages = data.messages || [];
+      allMessages = allMessages.concat(pageMessages);
+      checkpoint.messages = allMessages;
+      const cursor = data.response_metadata?.next_cursor || '';
+      const pageIndex = checkpoint.pageCount || 0;
+      await recordCheckpointProgress(checkpoint, { cursor, historyComplete: !cursor, pageCount: pageIndex + 1 }, {
+        kind: 'page',
+        id: pageIndex,
+        data: pageMessages
+      });
+      emit({
+        page: pageCount,
+        fetched: pageMessages.length,
+        messageCount: allMessages.length,
+        hasMore: !!data.has_more
       });
       
-      if (cursor) {
-        params.append('cursor', cursor);
-      }
-      
-      // Retry logic for rate limiting
-      let retryCount = 0;
-      let success = false;
-      
-      while (!success && retryCount < 3) {
-        try {
-          const response = await fetch('/api/conversations.history', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/x-www-form-urlencoded',
-              'X-Slack-No-Retry': '1'
-            },
-            body: params.toString()
-          });
-          
-          const data = await response.json();
-          
-          if (!data.ok) {
-            if (data.error === 'ratelimited') {
-              retryCount++;
-              const waitTime = Math.pow(2, retryCount) * 2000; // Exponential backoff
-              console.log(`⏳ Rate limited on message page ${pageCount}, waiting ${waitTime/1000}s before retry ${retryCount}/3...`);
-              await new Promise(resolve => setTimeout(resolve, waitTime));
-              continue;
-            } else {
-              throw new Error(`conversations.history API failed: ${data.error}`);
-            }
-          }
-          
-          const pageMessages = data.messages || [];
-          allMessages = allMessages.concat(pageMessages);
-          hasMore = data.has_more;
-          cursor = data.response_metadata?.next_cursor || '';
-          emit({
-            page: pageCount,
-            fetched: pageMessages.length,
-            messageCount: allMessages.length,
-            hasMore
-          });
-          
-          console.log(`📨 Page ${pageCount}: Fetched ${pageMessages.length} messages (total: ${allMessages.length})`);
-          success = true;
-          
-        } catch (fetchError) {
-          retryCount++;
-          if (retryCount >= 3) {
-            throw fetchError;
-          }
-          const waitTime = Math.pow(2, retryCount) * 1000;
-          console.log(`🔄 Message fetch error on page ${pageCount}, retrying in ${waitTime/1000}s... (${retryCount}/3)`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-      
-      if (!success) {
-        throw new Error(`Failed to fetch message page ${pageCount} after 3 retries`);
-      }
+      console.log(`📨 Page ${pageCount}: Fetched ${pageMessages.length} messages (total: ${allMessages.length})`);
     }
     
     console.log(`✅ Total messages fetched: ${allMessages.length} across ${pageCount} pages`);
@@ -2342,64 +2123,51 @@ async function getMessagesViaHistoryAPI(channelId, oldestUnix, token, onProgress
 }
 
 /**
- * Fetch thread replies for a message with retry logic and rate limiting
+ * Fetch all replies of a thread, following conversations.replies cursors.
+ * Rate limiting and retries are handled by the shared API client.
  * @param {string} channelId - Channel ID
  * @param {string} threadTs - Thread timestamp
  * @param {number} oldestUnix - Oldest timestamp to fetch
  * @param {string} token - Slack auth token
- * @param {number} retryCount - Current retry attempt (internal use)
- * @returns {Promise<Array>} Array of reply message objects
+ * @param {number|null} latestUnix - Newest timestamp to fetch (Unix seconds), or null for now
+ * @param {AbortSignal|null} signal - Stops fetching when aborted
+ * @returns {Promise<{messages: Array, complete: boolean, error: string|null}>}
+ *   Replies fetched so far; `complete` is false when a page could not be fetched
+ * @throws {DOMException} The signal's reason, when aborted
  */
-async function fetchThreadReplies(channelId, threadTs, oldestUnix, token, retryCount = 0) {
-  const maxRetries = 3;
-  
+async function fetchThreadReplies(channelId, threadTs, oldestUnix, token, latestUnix = null, signal = null) {
+  console.log(`🧵 Fetching thread replies for ${threadTs}`);
+
+  let allReplies = [];
+  let pageCount = 0;
+
   try {
-    console.log(`🧵 Fetching thread replies for ${threadTs}${retryCount > 0 ? ` (retry ${retryCount}/${maxRetries})` : ''}`);
-    
-    const params = new URLSearchParams({
-      token: token,
+    const pages = getSlackApiClient(token).paginate('conversations.replies', {
       channel: channelId,
       ts: threadTs,
-      limit: '200',
-      oldest: oldestUnix.toString()
-    });
-    
-    const response = await fetch('/api/conversations.replies', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'X-Slack-No-Retry': '1'
-      },
-      body: params.toString()
-    });
-    
-    const data = await response.json();
-    
-    if (!data.ok) {
-      // Handle rate limiting with exponential backoff
-      if (data.error === 'ratelimited' && retryCount < maxRetries) {
-        const retryAfter = data.response_metadata?.retry_after || Math.pow(2, retryCount) * 2;
-        console.log(`⏳ Rate limited, waiting ${retryAfter}s before retry ${retryCount + 1}/${maxRetries}...`);
-        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-        return fetchThreadReplies(channelId, threadTs, oldestUnix, token, retryCount + 1);
-      }
-      throw new Error(`conversations.replies API failed: ${data.error}`);
+      limit: 200,
+      oldest: oldestUnix,
+      latest: latestUnix ? latestUnix.toFixed(6) : undefined,
+      inclusive: 'true'
+    }, { signal });
+
+    for await (const data of pages) {
+      pageCount++;
+      const pageReplies = data.messages || [];
+      // Every page repeats the parent message; keep it only once
+      allReplies = allReplies.concat(
+        pageCount > 1 ? pageReplies.filter(reply => reply.ts !== threadTs) : pageReplies
+      );
     }
-    
-    console.log(`✅ Found ${data.messages?.length || 0} thread replies`);
-    return data.messages || [];
   } catch (error) {
-    // If it's a rate limit error and we haven't exhausted retries, try again
-    if (error.message.includes('ratelimited') && retryCount < maxRetries) {
-      const waitTime = Math.pow(2, retryCount) * 2;
-      console.log(`⏳ Rate limit error, waiting ${waitTime}s before retry ${retryCount + 1}/${maxRetries}...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-      return fetchThreadReplies(channelId, threadTs, oldestUnix, token, retryCount + 1);
-    }
-    
-    console.error('❌ Failed to fetch thread replies:', error);
-    return []; // Return empty array on error to avoid breaking the export
+    if (signal?.aborted) throw error;
+    // Keep what we have rather than breaking the export, but report it
+    console.error(`❌ Failed to fetch thread ${threadTs} page ${pageCount + 1}:`, error);
+    return { messages: allReplies, complete: false, error: error.message };
   }
+
+  console.log(`✅ Found ${allReplies.length} thread replies across ${pageCount} page${pageCount === 1 ? '' : 's'}`);
+  return { messages: allReplies, complete: true, error: null };
 }
 
 console.log('🚀 Slack Export Extension content script loaded - VERSION 2.0 (with full timestamp fix)');
@@ -0,0 +1,356 @@
+/**
+ * Slack mrkdwn to Markdown conversion for Slack Export Extension
+ *
+ * Slack message text uses its own "mrkdwn" dialect: single-character emphasis
+ * markers, angle-bracket tokens for links/mentions and only three escaped
+ * HTML entities. These helpers translate it into CommonMark (plus GFM
+ * strikethrough) so exported archives read like the original conversation.
+ */
+
+// Placeholders used while converting. Private-use control characters never
+// appear in Slack text, so they are safe to splice in and restore later.
+const MRKDWN_TOKEN_MARK = '\u0000';
+const MRKDWN_BOLD_MARK = '\u0011';
+const MRKDWN_ITALIC_MARK = '\u0012';
+const MRKDWN_STRIKE_MARK = '\u0013';
+
+// Characters allowed around an emphasis marker (Slack requires a word boundary).
+const MRKDWN_BOUNDARY_BEFORE = '\\s([{"\'>.,;:!?\\-\\u0011\\u0012\\u0013\\u0000/';
+const MRKDWN_BOUNDARY_AFTER = '\\s)\\]}"\'<.,;:!?\\-\\u0011\\u0012\\u0013\\u0000/';
+
+/**
+ * Convert Slack mrkdwn text into CommonMark.
+ * @param {string} text - Raw Slack text (as returned by the Web API)
+ * @param {Object} context - Lookup maps used to resolve tokens
+ * @param {Object} context.userMap - Map of user ID to display name
+ * @param {Object} context.channelMap - Map of channel ID to channel name
+ * @param {Object} context.usergroupMap - Map of usergroup ID to handle
+ * @returns {string} Markdown text
+ */
+function convertSlackMrkdwn(text, context = {}) {
+  if (text === undefined || text === null || text === '') return '';
+
+  const source = String(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00A0/g, ' ');
+
+  const output = [];
+  const fencePattern = /```([\s\S]*?)```/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = fencePattern.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      output.push(convertMrkdwnProse(source.slice(lastIndex, match.index), context));
+    }
+    output.push(convertMrkdwnCodeBlock(match[1], context));
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < source.length) {
+    output.push(convertMrkdwnProse(source.slice(lastIndex), context));
+  }
+
+  return output
+    .filter(part => part !== '')
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert Slack mrkdwn text into plain text (no Markdown syntax).
+ * Useful for contexts such as code blocks, titles and filenames.
+ * @param {string} text - Raw Slack text
+ * @param {Object} context - Lookup maps (see convertSlackMrkdwn)
+ * @returns {string} Plain text
+ */
+function slackMrkdwnToPlainText(text, context = {}) {
+  if (text === undefined || text === null || text === '') return '';
+  const withTokens = String(text).replace(/<([^<>\n]+)>/g, (_, body) => renderSlackToken(body, context, true));
+  return decodeSlackEntities(withTokens);
+}
+
+/**
+ * Collect user IDs referenced by `<@U123>` / `<@U123|name>` mentions.
+ * @param {string} text - Raw Slack text
+ * @returns {Array<string>} User IDs in order of appearance
+ */
+function extractSlackMentionIds(text) {
+  const ids = [];
+  const pattern = /<@([A-Z0-9]+)(?:\|[^>]*)?>/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    ids.push(match[1]);
+  }
+  return ids;
+}
+
+/**
+ * Collect the channel names and usergroup handles that `<#C123|general>` and
+ * `<!subteam^S123|@team>` tokens carry, so renderers of the same message's
+ * blocks (which only have IDs) can show them too.
+ * @param {string} text - Raw Slack text
+ * @returns {{channelMap: Object, usergroupMap: Object}} Lookup maps (see convertSlackMrkdwn)
+ */
+function extractSlackTokenLabels(text) {
+  const channelMap = {};
+  const usergroupMap = {};
+  const pattern = /<(#|!subteam\^)([A-Z0-9]+)\|([^>]+)>/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const label = decodeSlackEntities(match[3]);
+    if (match[1] === '#') {
+      channelMap[match[2]] = label;
+    } else {
+      usergroupMap[match[2]] = label;
+    }
+  }
+  return { channelMap, usergroupMap };
+}
+
+/**
+ * Render the body of an angle-bracket token (`<...>`).
+ * @param {string} body - Token text without the surrounding brackets
+ * @param {Object} context - Lookup maps
+ * @param {boolean} plain - Render without Markdown syntax
+ * @returns {string} Rendered token
+ */
+function renderSlackToken(body, context = {}, plain = false) {
+  const pipeIndex = body.indexOf('|');
+  const target = pipeIndex >= 0 ? body.slice(0, pipeIndex) : body;
+  const label = pipeIndex >= 0 ? decodeSlackEntities(body.slice(pipeIndex + 1)) : '';
+  const escape = plain ? (value => value) : escapeMrkdwnLabel;
+
+  // User mention: <@U123> or <@U123|name>
+  if (target.startsWith('@')) {
+    const userId = target.slice(1);
+    const name = (context.userMap && context.userMap[userId]) || label || userId;
+    return `@${escape(name)}`;
+  }
+
+  // Channel reference: <#C123> or <#C123|general>
+  if (target.startsWith('#')) {
+    const channelId = target.slice(1);
+    const name = label || (context.channelMap && context.channelMap[channelId]) || channelId;
+    return `#${escape(name)}`;
+  }
+
+  // Special commands: <!here>, <!channel>, <!subteam^S123|@team>, <!date^...|fallback>
+  if (target.startsWith('!')) {
+    const command = target.slice(1);
+    if (command === 'here' || command === 'channel' || command === 'everyone') {
+      return `@${command}`;
+    }
+    if (command.startsWith('subteam^')) {
+      const groupId = command.split('^')[1] || '';
+      const handle = label || (context.usergroupMap && context.usergroupMap[groupId]) || groupId;
+      return escape(handle.startsWith('@') ? handle : `@${handle}`);
+    }
+    if (command.startsWith('date^')) {
+      const [, epoch] = command.split('^');
+      if (label) return escape(label);
+      const date = new Date(Number(epoch) * 1000);
+      return isNaN(date.getTime()) ? escape(command) : date.toISOString();
+    }
+    return escape(label || command);
+  }
+
+  // Links: <https://x>, <https://x|label>, <mailto:a@b.c|a@b.c>
+  const url = decodeSlackEntities(target);
+  if (plain) {
+    return label || url.replace(/^mailto:/i, '');
+  }
+  const linkText = label || url.replace(/^mailto:/i, '');
+  return `[${escapeMrkdwnLabel(linkText)}](${encodeMrkdwnUrl(url)})`;
+}
+
+/**
+ * Convert a fenced code block; contents are kept literal.
+ * @param {string} code - Code between the ``` fences
+ * @param {Object} context - Lookup maps
+ * @returns {string} Markdown fenced code block
+ */
+function convertMrkdwnCodeBlock(code, context) {
+  const body = slackMrkdwnToPlainText(code, context)
+    .replace(/^\n+/, '')
+    .replace(/\n+$/, '');
+  const fence = body.includes('```') ? '~~~' : '```';
+  return `\n${fence}\n${body}\n${fence}\n`;
+}
+
+/**
+ * Convert mrkdwn prose (everything outside fenced code blocks).
+ * @param {string} text - Raw Slack text
+ * @param {Object} context - Lookup maps
+ * @returns {string} Markdown text
+ */
+function convertMrkdwnProse(text, context) {
+  const lines = text.split('\n');
+  const out = [];
+  let quoteRest = false;
+  let previousQuoted = false;
+
+  for (const rawLine of lines) {
+    let line = rawLine;
+    let quoted = quoteRest;
+
+    // ">>>" quotes everything that follows; ">" quotes a single line.
+    const multiQuote = line.match(/^\s*&gt;&gt;&gt;\s?(.*)$/);
+    if (multiQuote) {
+      quoteRest = true;
+      quoted = true;
+      line = multiQuote[1];
+    } else {
+      const singleQuote = line.match(/^\s*&gt;\s?(.*)$/);
+      if (singleQuote) {
+        quoted = true;
+        line = singleQuote[1];
+      }
+    }
+
+    let prefix = '';
+    const bullet = line.match(/^(\s*)[•◦▪▫‣]\s+(.*)$/);
+    if (bullet) {
+      const depth = Math.ceil(bullet[1].replace(/\t/g, '    ').length / 4);
+      prefix = `${'  '.repeat(depth)}- `;
+      line = bullet[2];
+    } else {
+      line = line.trim();
+    }
+
+    const converted = convertMrkdwnInline(line, context).trim();
+    const renderedLine = prefix + converted;
+    // Without a blank line, CommonMark continues the quote into this line (lazy continuation)
+    if (previousQuoted && !quoted && renderedLine) {
+      out.push('');
+    }
+    out.push(quoted ? `> ${renderedLine}`.trimEnd() : renderedLine);
+    previousQuoted = quoted;
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * Convert inline mrkdwn (code spans, tokens, emphasis) on a single line.
+ * Runs of spaces and tabs are collapsed outside code spans and tokens.
+ * @param {string} line - Raw Slack text without newlines
+ * @param {Object} context - Lookup maps
+ * @returns {string} Markdown text
+ */
+function convertMrkdwnInline(line, context) {
+  const tokens = [];
+  const stash = (value) => {
+    tokens.push(value);
+    return `${MRKDWN_TOKEN_MARK}${tokens.length - 1}${MRKDWN_TOKEN_MARK}`;
+  };
+
+  // Inline code first so nothing inside it is interpreted.
+  let text = line.replace(/`([^`\n]+)`/g, (_, code) => {
+    const literal = slackMrkdwnToPlainText(code, context);
+    return stash(literal.includes('`') ? `\`\` ${literal} \`\`` : `\`${literal}\``);
+  });
+
+  text = text.replace(/<([^<>\n]+)>/g, (_, body) => stash(renderSlackToken(body, context)));
+  text = decodeSlackEntities(text);
+
+  text = applyMrkdwnEmphasis(text, '\\*', MRKDWN_BOLD_MARK);
+  text = applyMrkdwnEmphasis(text, '_', MRKDWN_ITALIC_MARK);
+  text = applyMrkdwnEmphasis(text, '~', MRKDWN_STRIKE_MARK);
+
+  // Escape leftover characters that CommonMark would otherwise interpret.
+  text = escapeMarkdownLiteral(text).replace(/[ \t]+/g, ' ');
+
+  return text
+    .replace(new RegExp(MRKDWN_BOLD_MARK, 'g'), '**')
+    .replace(new RegExp(MRKDWN_ITALIC_MARK, 'g'), '_')
+    .replace(new RegExp(MRKDWN_STRIKE_MARK, 'g'), '~~')
+    .replace(new RegExp(`${MRKDWN_TOKEN_MARK}(\\d+)${MRKDWN_TOKEN_MARK}`, 'g'), (_, index) => tokens[Number(index)]);
+}
+
+/**
+ * Replace a Slack emphasis pair (e.g. *bold*) with placeholder marks.
+ * @param {string} text - Text to process
+ * @param {string} marker - Regex-escaped marker character
+ * @param {string} placeholder - Placeholder mark for both ends
+ * @returns {string} Text with matched pairs replaced
+ */
+function applyMrkdwnEmphasis(text, marker, placeholder) {
+  // A marker between letters or digits (snake_case) does not end the span
+  const intraword = `(?<=[A-Za-z0-9])${marker}(?=[A-Za-z0-9])`;
+  const pattern = new RegExp(
+    `(^|[${MRKDWN_BOUNDARY_BEFORE}])${marker}([^${marker}\\s](?:(?:[^${marker}]|${intraword})*?[^${marker}\\s])?)${marker}(?=$|[${MRKDWN_BOUNDARY_AFTER}])`,
+    'g'
+  );
+  return text.replace(pattern, (_, before, inner) => `${before}${placeholder}${inner}${placeholder}`);
+}
+
+/**
+ * Escape literal text so CommonMark renders it verbatim.
+ * Intraword underscores (snake_case) are left alone since they never emphasize.
+ * Slack never renders headings or typed lists, so line-start markers such as
+ * "# ", "- ", "+ ", "1. " and "---" are escaped too.
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownLiteral(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/([*~`])/g, '\\$1')
+    .replace(/_/g, (underscore, offset, whole) => {
+      const intraword = /[A-Za-z0-9]/.test(whole[offset - 1] || '') && /[A-Za-z0-9]/.test(whole[offset + 1] || '');
+      return intraword ? underscore : '\\_';
+    })
+    .replace(/\[(?=[^\]]*\]\()/g, '\\[')
+    .replace(/<(?=[A-Za-z\/!?])/g, '\\<')
+    .replace(/^(#{1,6})(?=\s|$)/gm, '\\$1')
+    .replace(/^([-+=])(?=\s|$|\1+\s*$)/gm, '\\$1')
+    .replace(/^(\d{1,9})([.)])(?=\s|$)/gm, '$1\\$2');
+}
+
+/**
+ * Decode the three HTML entities Slack escapes in message text.
+ * @param {string} text - Slack text
+ * @returns {string} Decoded text
+ */
+function decodeSlackEntities(text) {
+  return String(text || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Escape text used as a Markdown link label or mention.
+ * @param {string} text - Label text
+ * @returns {string} Escaped label
+ */
+function escapeMrkdwnLabel(text) {
+  return String(text || '').replace(/([\\`*_~\[\]])/g, '\\$1');
+}
+
+/**
+ * Make a URL safe to place inside Markdown link parentheses.
+ * @param {string} url - Raw URL
+ * @returns {string} Encoded URL
+ */
+function encodeMrkdwnUrl(url) {
+  return String(url || '')
+    .trim()
+    .replace(/ /g, '%20')
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29');
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackExportExtensionMrkdwn = {
+    convertSlackMrkdwn,
+    slackMrkdwnToPlainText,
+    extractSlackMentionIds,
+    extractSlackTokenLabels,
+    escapeMarkdownLiteral,
+    encodeMrkdwnUrl,
+    decodeSlackEntities
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Slack official export format for Slack Export Extension
+ *
+ * Lays out raw export data the way Slack's workspace export does:
+ * channels.json, groups.json, mpims.json, dms.json and users.json at the top
+ * level, plus one folder per conversation with a JSON file of messages per
+ * day (UTC). Tools that read official exports (e.g. slack-export-viewer)
+ * can open the result.
+ */
+
+/**
+ * Build the files of an official-format export.
+ * @param {Array<Object>} raws - Raw exports (see buildRawExport in content.js), oldest first
+ * @returns {Array<{path: string, content: string}>} ZIP entries
+ */
+function buildOfficialExportEntries(raws) {
+  const conversations = new Map(); // channel ID -> { raw, messages: Map(ts -> message) }
+  const users = new Map();
+
+  for (const raw of raws) {
+    const { channelId } = raw.parameters;
+    const conversation = conversations.get(channelId) || { raw, messages: new Map() };
+    conversation.raw = raw; // Newest export wins for channel details
+    for (const message of flattenRawMessages(raw)) {
+      conversation.messages.set(message.ts, message);
+    }
+    conversations.set(channelId, conversation);
+
+    for (const [userId, user] of Object.entries(raw.users || {})) {
+      users.set(userId, toOfficialUser(userId, user, raw.parameters.teamId));
+    }
+  }
+
+  const lists = { channels: [], groups: [], mpims: [], dms: [] };
+  const entries = [];
+  const usedFolders = new Set();
+
+  for (const [channelId, { raw, messages }] of conversations) {
+    const type = getOfficialConversationType(channelId, raw.channel);
+    const record = toOfficialConversation(channelId, raw, type);
+    lists[type].push(record);
+
+    let folder = type === 'dms' ? channelId : record.name;
+    if (usedFolders.has(folder)) folder = `${folder}-${channelId}`;
+    usedFolders.add(folder);
+
+    const byDay = new Map();
+    const sorted = Array.from(messages.values()).sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+    for (const message of sorted) {
+      const day = new Date(parseFloat(message.ts) * 1000).toISOString().slice(0, 10);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(message);
+    }
+    for (const [day, dayMessages] of byDay) {
+      entries.push({ path: `${folder}/${day}.json`, content: JSON.stringify(dayMessages, null, 4) });
+    }
+  }
+
+  return [
+    { path: 'channels.json', content: JSON.stringify(lists.channels, null, 4) },
+    { path: 'groups.json', content: JSON.stringify(lists.groups, null, 4) },
+    { path: 'mpims.json', content: JSON.stringify(lists.mpims, null, 4) },
+    { path: 'dms.json', content: JSON.stringify(lists.dms, null, 4) },
+    { path: 'users.json', content: JSON.stringify(Array.from(users.values()), null, 4) },
+    ...entries
+  ];
+}
+
+/**
+ * Get a raw export's messages and thread replies as one list. Thread parents
+ * get the `replies` list official exports carry.
+ * @param {Object} raw - Raw export data
+ * @returns {Array<Object>}
+ */
+function flattenRawMessages(raw) {
+  const messages = [];
+  const seen = new Set();
+  const add = (message) => {
+    if (seen.has(message.ts)) return;
+    seen.add(message.ts);
+    messages.push(message);
+  };
+
+  for (const message of raw.messages || []) {
+    const thread = message.thread_ts ? (raw.threads || {})[message.thread_ts] : null;
+    const replies = thread ? thread.messages.filter(reply => reply.ts !== message.ts) : [];
+    add(replies.length > 0 && !message.replies
+      ? { ...message, replies: replies.map(reply => ({ user: reply.user, ts: reply.ts })) }
+      : message);
+    for (const reply of replies) {
+      add({ ...reply, parent_user_id: reply.parent_user_id || message.user });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Decide which list a conversation belongs to.
+ * @param {string} channelId - Conversation ID
+ * @param {Object|null} info - conversations.info channel object
+ * @returns {string} 'channels', 'groups', 'mpims' or 'dms'
+ */
+function getOfficialConversationType(channelId, info) {
+  if (info) {
+    if (info.is_im) return 'dms';
+    if (info.is_mpim) return 'mpims';
+    if (info.is_private || info.is_group) return 'groups';
+    return 'channels';
+  }
+  if (channelId.startsWith('D')) return 'dms';
+  if (channelId.startsWith('G')) return 'groups';
+  return 'channels';
+}
+
+/**
+ * Build a channels.json / groups.json / mpims.json / dms.json record.
+ * @param {string} channelId - Conversation ID
+ * @param {Object} raw - Raw export data
+ * @param {string} type - Conversation list (see getOfficialConversationType)
+ * @returns {Object}
+ */
+function toOfficialConversation(channelId, raw, type) {
+  const info = raw.channel || {};
+  const members = Array.isArray(raw.members) && raw.members.length > 0
+    ? raw.members
+    : (info.user ? [info.user] : []);
+
+  if (type === 'dms') {
+    return { id: channelId, created: info.created || 0, members };
+  }
+
+  return {
+    id: channelId,
+    name: info.name || raw.parameters.channelName.replace(/^#/, '').replace(/[^a-zA-Z0-9-_.]/g, '-'),
+    created: info.created || 0,
+    creator: info.creator || '',
+    is_archived: !!info.is_archived,
+    is_general: !!info.is_general,
+    members,
+    topic: info.topic || { value: '', creator: '', last_set: 0 },
+    purpose: info.purpose || { value: '', creator: '', last_set: 0 }
+  };
+}
+
+/**
+ * Build a users.json record from a user directory entry.
+ * @param {string} userId - User ID
+ * @param {Object} user - { name, handle, title, deleted, isBot }
+ * @param {string} teamId - Team ID
+ * @returns {Object}
+ */
+function toOfficialUser(userId, user, teamId) {
+  return {
+    id: userId,
+    team_id: teamId || '',
+    name: user.handle || user.name || userId,
+    deleted: !!user.deleted,
+    real_name: user.name || '',
+    is_bot: !!user.isBot,
+    profile: {
+      title: user.title || '',
+      real_name: user.name || '',
+      real_name_normalized: user.name || '',
+      display_name: user.handle || '',
+      display_name_normalized: user.handle || ''
+    }
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Slack official export reader for Slack Export Extension
+ *
+ * Turns the conversations of an official export ZIP (see official-export.js
+ * for the layout) into raw exports, so they render exactly like live
+ * exports (see renderRawExport in render.js). Needs zip.js and
+ * user-directory.js.
+ */
+
+// Attachment copies some export tools add to the archive are found by the
+// Slack file ID in their path (e.g. "general/attachments/F0123ABCD-report.pdf"
+// or "__uploads/F0123ABCD/report.pdf")
+const OFFICIAL_FILE_ID_PATTERN = /(?:^|\/)(F[A-Z0-9]{6,})(?=[-_./]|$)/;
+
+/**
+ * Read the conversation and user lists of an official export.
+ * @param {Array<Object>} entries - ZIP entries (see readZip)
+ * @returns {Promise<Object>} { conversations: [{ id, name, type, info, dayEntries }], users, localFiles }
+ *   where users maps user IDs to directory entries and localFiles maps file IDs to ZIP entries
+ */
+async function readOfficialExport(entries) {
+  const byPath = new Map(entries.map(entry => [entry.path, entry]));
+  const readJson = async (path) => {
+    const entry = byPath.get(path);
+    return entry ? JSON.parse(new TextDecoder().decode(await entry.read())) : null;
+  };
+
+  const users = {};
+  for (const user of (await readJson('users.json')) || []) {
+    users[user.id] = toUserDirectoryEntry(user);
+  }
+
+  const conversations = [];
+  for (const type of ['channels', 'groups', 'mpims', 'dms']) {
+    for (const info of (await readJson(`${type}.json`)) || []) {
+      const folder = type === 'dms' ? info.id : info.name;
+      const dayEntries = entries
+        .filter(entry => entry.path.startsWith(`${folder}/`) && /^\d{4}-\d{2}-\d{2}\.json$/.test(entry.path.slice(folder.length + 1)))
+        .sort((a, b) => a.path.localeCompare(b.path));
+      conversations.push({ id: info.id, name: getOfficialConversationName(info, type, users), type, info, dayEntries });
+    }
+  }
+  if (conversations.length === 0) {
+    throw new Error('No channels.json, groups.json, mpims.json or dms.json found; is this a Slack export?');
+  }
+
+  const localFiles = {};
+  for (const entry of entries) {
+    const match = !entry.path.endsWith('.json') && entry.path.match(OFFICIAL_FILE_ID_PATTERN);
+    if (match && !localFiles[match[1]]) localFiles[match[1]] = entry;
+  }
+
+  return { conversations, users, localFiles };
+}
+
+/**
+ * Build the raw export of one conversation of an official export.
+ * @param {Object} conversation - Conversation from readOfficialExport
+ * @param {Object} users - User directory entries by ID, from readOfficialExport
+ * @param {Object} parameters - Export parameters to record (downloadDirectory, includeThreadReplies, ...)
+ * @returns {Promise<Object>} Raw export data (see buildRawExport in content.js)
+ */
+async function buildRawExportFromOfficial(conversation, users, parameters) {
+  const decoder = new TextDecoder();
+  const messages = [];
+  const threads = {};
+  const rawUsers = { ...users };
+
+  for (const entry of conversation.dayEntries) {
+    for (const message of JSON.parse(decoder.decode(await entry.read()))) {
+      // Users missing from users.json (e.g. from other workspaces) still have a profile on their messages
+      if (message.user && !rawUsers[message.user] && message.user_profile) {
+        rawUsers[message.user] = toUserDirectoryEntry({ ...message.user_profile, id: message.user, profile: message.user_profile });
+      }
+
+      const isReply = message.thread_ts && message.thread_ts !== message.ts;
+      if (isReply) {
+        const thread = threads[message.thread_ts] || (threads[message.thread_ts] = { messages: [], complete: true });
+        thread.messages.push(message);
+      }
+      // Broadcast replies also show in the channel, as conversations.history returns them
+      if (!isReply || message.subtype === 'thread_broadcast') {
+        messages.push(message);
+      }
+    }
+  }
+
+  // Live exports see threads as conversations.replies returns them: parent first, then replies
+  const byTs = new Map(messages.map(message => [message.ts, message]));
+  for (const [threadTs, thread] of Object.entries(threads)) {
+    thread.messages.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+    const parent = byTs.get(threadTs);
+    if (parent) {
+      thread.messages.unshift(parent);
+      if (!parent.reply_count) parent.reply_count = thread.messages.length - 1;
+    }
+  }
+
+  return {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    parameters: {
+      channelId: conversation.id,
+      channelName: conversation.name,
+      oldest: null,
+      latest: null,
+      incrementalSince: null,
+      archive: false,
+      ...parameters
+    },
+    messages,
+    threads,
+    // Every user, so mentions of people who never posted here resolve too
+    users: rawUsers,
+    files: [],
+    members: Array.isArray(conversation.info.members) ? conversation.info.members : [],
+    channel: conversation.info
+  };
+}
+
+/**
+ * Name a conversation the way the popup's channel list would.
+ * @param {Object} info - channels.json / groups.json / mpims.json / dms.json record
+ * @param {string} type - 'channels', 'groups', 'mpims' or 'dms'
+ * @param {Object} users - User directory entries by ID
+ * @returns {string}
+ */
+function getOfficialConversationName(info, type, users) {
+  if (type !== 'dms') return info.name || info.id;
+  const handles = (info.members || []).map(userId => users[userId]?.handle || userId);
+  // A DM lists both people; the other one is usually second
+  return handles.length > 0 ? `dm-${handles[handles.length - 1]}` : info.id;
+}
@@ -0,0 +1,1274 @@
+/**
+ * Export rendering for Slack Export Extension
+ *
+ * Turns raw Slack API messages into export markdown and standalone HTML.
+ * Shared by the content script (live exports) and the exports page, which
+ * re-renders stored raw data with the current settings.
+ */
+
+
+/**
+ * Turn raw API messages into export messages: resolve senders, render bodies,
+ * attach thread replies and reactions, and collect the files to download.
+ * @param {Array<Object>} apiMessages - Raw conversations.history messages
+ * @param {Map} threadRepliesCache - Thread ts to { messages, complete } from conversations.replies
+ * @param {Object} userMap - Map of user IDs to display names
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { labelSinceUnix, onProgress }: mark messages posted before this Unix
+ *   time as earlier messages (incremental exports), and an optional progress callback
+ * @returns {{messages: Array<Object>, filesToDownload: Array<Object>}} Messages with content, oldest first
+ */
+function buildExportMessages(apiMessages, threadRepliesCache, userMap, config, options = {}) {
+  const labelSinceUnix = options.labelSinceUnix || null;
+  const emit = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
+  const enrichedMessages = [];
+  const filesToDownload = []; // Track all files that need to be downloaded
+  let emptyContentCount = 0;
+  for (const apiMsg of apiMessages) {
+    // Handle sender extraction - system messages might not have a user field
+    let sender = 'Unknown User';
+    if (apiMsg.user) {
+      sender = userMap[apiMsg.user] || 'Unknown User';
+    } else if (apiMsg.subtype === 'bot_message' && apiMsg.bot_id) {
+      sender = apiMsg.username || 'Bot';
+    } else if (apiMsg.subtype) {
+      // System messages - use a descriptive label
+      sender = 'System';
+    }
+    
+    // Collect files from this message
+    const messageFiles = collectFilesFromMessage(apiMsg);
+    filesToDownload.push(...messageFiles);
+    
+    // Store file references in message for later update
+    let content = extractMessageContent(apiMsg, userMap, messageFiles, config.messageBodySource);
+    
+    // Debug: Log messages with empty content to understand what's being filtered
+    if (!content || !content.trim()) {
+      emptyContentCount++;
+      if (emptyContentCount <= 10) { // Log first 10 empty messages
+        console.log(`🔍 Empty content for message:`, {
+          ts: apiMsg.ts,
+          user: apiMsg.user,
+          subtype: apiMsg.subtype,
+          hasText: !!apiMsg.text,
+          textValue: apiMsg.text, // Show actual value, not just boolean
+          textLength: apiMsg.text ? apiMsg.text.length : 0,
+          textPreview: apiMsg.text ? apiMsg.text.substring(0, 100) : 'none',
+          hasFiles: !!(apiMsg.files && apiMsg.files.length > 0),
+          fileCount: apiMsg.files ? apiMsg.files.length : 0,
+          hasBlocks: !!(apiMsg.blocks && apiMsg.blocks.length > 0),
+          blockCount: apiMsg.blocks ? apiMsg.blocks.length : 0,
+          sender: sender,
+          extractedContent: content,
+          extractedContentLength: content ? content.length : 0
+        });
+        // Also log the full message for first few to see structure
+        if (emptyContentCount <= 3) {
+          console.log(`📋 Full message object (first ${emptyContentCount}):`, JSON.stringify(apiMsg, null, 2));
+        }
+      }
+    }
+
+    const threadReplies = [];
+    const earlierMessage = !!labelSinceUnix && parseFloat(apiMsg.ts) <= labelSinceUnix;
+    let threadIncomplete = false;
+    if (config.includeThreadReplies && apiMsg.thread_ts && apiMsg.reply_count > 0) {
+      // Use cached thread replies to avoid fetching twice
+      const thread = threadRepliesCache.get(apiMsg.thread_ts) || { messages: [], complete: false };
+      threadIncomplete = !thread.complete;
+      for (const reply of thread.messages) {
+        if (reply.ts === apiMsg.thread_ts) continue;
+        const replySender = userMap[reply.user] || 'Unknown User';
+        const replyFiles = collectFilesFromMessage(reply);
+        filesToDownload.push(...replyFiles);
+        let replyContent = extractMessageContent(reply, userMap, replyFiles, config.messageBodySource);
+        threadReplies.push({ 
+          sender: replySender, 
+          content: replyContent, 
+          timestamp: reply.ts,
+          reactions: config.includeReactions ? resolveReactions(reply, userMap) : [],
+          messageFiles: replyFiles // Store file references for later update
+        });
+      }
+    }
+
+    enrichedMessages.push({ 
+      sender, 
+      content, 
+      timestamp: apiMsg.ts, 
+      threadReplies,
+      threadIncomplete,
+      earlierMessage,
+      reactions: config.includeReactions ? resolveReactions(apiMsg, userMap) : [],
+      messageFiles: messageFiles // Store file references for later update
+    });
+    if (enrichedMessages.length % 20 === 0 || enrichedMessages.length === apiMessages.length) {
+      emit('enriching_messages', {
+        processed: enrichedMessages.length,
+        total: apiMessages.length,
+        messageCount: enrichedMessages.length,
+        attachmentCount: filesToDownload.length
+      });
+    }
+  }
+  
+  console.log(`📊 Enrichment complete: ${enrichedMessages.length} total, ${emptyContentCount} with empty content`);
+
+  // Debug: Log messages that will be filtered out
+  const filteredOut = enrichedMessages.filter(msg => !msg.content || !msg.content.trim());
+  if (filteredOut.length > 0) {
+    console.log(`⚠️ Filtering out ${filteredOut.length} messages without content`);
+    // Log sample of filtered messages for debugging
+    const sample = filteredOut.slice(0, 5);
+    sample.forEach((msg, i) => {
+      console.log(`  Filtered ${i + 1}: sender="${msg.sender}", timestamp="${msg.timestamp}", content="${msg.content}"`);
+    });
+  }
+  
+  const messages = enrichedMessages
+    .filter(msg => msg.content && msg.content.trim())
+    .sort((a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp));
+
+  return { messages, filesToDownload };
+}
+
+/**
+ * Collect file attachments from a Slack message
+ * @param {Object} apiMsg - Slack API message object
+ * @returns {Array<Object>} Array of file objects with id, name, url, mimetype, etc.
+ */
+function collectFilesFromMessage(apiMsg) {
+  const files = [];
+  
+  // Collect files from apiMsg.files array
+  if (apiMsg.files && Array.isArray(apiMsg.files)) {
+    for (const file of apiMsg.files) {
+      if (file.id || file.url_private || file.permalink) {
+        files.push({
+          id: file.id, // Store file ID for API downloads
+          name: file.name || file.title || `file-${file.id || Date.now()}`,
+          url: file.url_private || file.permalink, // Fallback URL
+          mimetype: file.mimetype || 'application/octet-stream',
+          size: file.size,
+          thumb_64: file.thumb_64,
+          thumb_360: file.thumb_360,
+          image: file.mimetype && file.mimetype.startsWith('image/'),
+          original: file
+        });
+      }
+    }
+  }
+  
+  // Collect files from apiMsg.file (single file share)
+  if (apiMsg.file && !apiMsg.files) {
+    const file = apiMsg.file;
+    if (file.id || file.url_private || file.permalink) {
+      files.push({
+        id: file.id, // Store file ID for API downloads
+        name: file.name || file.title || `file-${file.id || Date.now()}`,
+        url: file.url_private || file.permalink, // Fallback URL
+        mimetype: file.mimetype || 'application/octet-stream',
+        size: file.size,
+        thumb_64: file.thumb_64,
+        thumb_360: file.thumb_360,
+        image: file.mimetype && file.mimetype.startsWith('image/'),
+        original: file
+      });
+    }
+  }
+  
+  // Extract images from blocks (embedded/pasted images)
+  if (apiMsg.blocks && Array.isArray(apiMsg.blocks)) {
+    for (const block of apiMsg.blocks) {
+      // Check for image blocks
+      if (block.type === 'image' && block.image_url) {
+        files.push({
+          id: block.image_url,
+          name: block.alt_text || `image-${Date.now()}.png`,
+          url: block.image_url,
+          mimetype: 'image/png', // Default for embedded images
+          image: true,
+          embedded: true,
+          original: block
+        });
+      }
+      
+      // Check for image elements in rich text blocks
+      if (block.elements && Array.isArray(block.elements)) {
+        for (const element of block.elements) {
+          if (element.type === 'image' && element.image_url) {
+            files.push({
+              id: element.image_url,
+              name: element.alt_text || `image-${Date.now()}.png`,
+              url: element.image_url,
+              mimetype: 'image/png',
+              image: true,
+              embedded: true,
+              original: element
+            });
+          }
+        }
+      }
+    }
+  }
+  
+  return files;
+}
+
+/**
+ * Collect the user IDs of everyone who reacted to a message.
+ * @param {Object} apiMsg - Slack API message object
+ * @returns {Array<string>} Reactor user IDs
+ */
+function collectReactionUserIds(apiMsg) {
+  const ids = [];
+  for (const reaction of apiMsg.reactions || []) {
+    for (const userId of reaction.users || []) {
+      ids.push(userId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Resolve a message's reactions into names, counts and reactor display names.
+ * @param {Object} apiMsg - Slack API message object
+ * @param {Object} userMap - Map of user IDs to display names
+ * @returns {Array<{name: string, count: number, users: Array<string>}>}
+ */
+function resolveReactions(apiMsg, userMap) {
+  if (!Array.isArray(apiMsg.reactions)) return [];
+  return apiMsg.reactions
+    .filter(reaction => reaction && reaction.name)
+    .map(reaction => ({
+      name: reaction.name,
+      count: Number(reaction.count || (reaction.users || []).length || 0),
+      users: (reaction.users || []).map(userId => userMap[userId] || 'Unknown User')
+    }));
+}
+
+/**
+ * Count unique file entries by URL.
+ * @param {Array<Object>} files
+ * @returns {number}
+ */
+function countUniqueFilesByUrl(files) {
+  if (!Array.isArray(files) || files.length === 0) return 0;
+  const urls = new Set();
+  for (const file of files) {
+    if (file && file.url) {
+      urls.add(file.url);
+    }
+  }
+  return urls.size;
+}
+
+/**
+ * Extract all content from a Slack message (text, files, blocks, etc.)
+ * Modern messages carry the same body in both `text` and `blocks`, so only one
+ * of them is rendered (see `messageBodySource` in config.js).
+ * @param {Object} apiMsg - Slack API message object
+ * @param {Object} userMap - Map of user IDs to display names
+ * @param {Array<Object>} messageFiles - Array of file objects collected from this message
+ * @param {string} bodySource - 'blocks' (prefer blocks, fall back to text), 'text' or 'both'
+ * @returns {string} Combined content string
+ */
+function extractMessageContent(apiMsg, userMap, messageFiles = [], bodySource = 'blocks') {
+  const parts = [];
+  const textBody = renderMessageTextBody(apiMsg, userMap);
+  const blocksBody = bodySource === 'text' ? '' : renderMessageBlocksBody(apiMsg, userMap);
+
+  if (bodySource === 'both') {
+    if (textBody) parts.push(textBody);
+    if (blocksBody) parts.push(blocksBody);
+  } else if (bodySource === 'text') {
+    if (textBody) parts.push(textBody);
+  } else if (blocksBody) {
+    parts.push(blocksBody);
+  } else if (textBody) {
+    // Blocks absent or rendered nothing we understand - use the text fallback
+    parts.push(textBody);
+  }
+  
+  // Extract file attachments - use URLs initially, will be replaced with local paths after download
+  if (messageFiles && messageFiles.length > 0) {
+    const fileParts = [];
+    for (const file of messageFiles) {
+      const fileName = file.name || 'Unnamed file';
+      const filePath = file.url || ''; // Use URL initially, will be replaced later
+      
+      if (file.image) {
+        // For images, embed them in markdown (will be updated to local path)
+        fileParts.push(`![${fileName}](${filePath})`);
+      } else if (filePath) {
+        // For other files, use link (will be updated to local path)
+        fileParts.push(`[${fileName}](${filePath})`);
+      } else {
+        fileParts.push(fileName);
+      }
+      
+      // Add file type info if available
+      if (file.mimetype && !file.image) {
+        fileParts[fileParts.length - 1] += ` (${file.mimetype})`;
+      }
+    }
+    if (fileParts.length > 0) {
+      parts.push(`📎 Files: ${fileParts.join(', ')}`);
+    }
+  }
+
+  // Legacy attachments from integrations and link unfurls
+  if (Array.isArray(apiMsg.attachments) && apiMsg.attachments.length > 0) {
+    const attachmentText = window.SlackExportExtensionAttachments.renderAttachments(apiMsg.attachments, {
+      userMap,
+      renderBlocks: blocks => renderMessageBlocksBody({ blocks, ts: apiMsg.ts }, userMap),
+      formatTimestamp
+    });
+    if (attachmentText) {
+      parts.push(attachmentText);
+    }
+  }
+  
+  // Handle system messages and subtypes
+  if (apiMsg.subtype) {
+    if (apiMsg.subtype === 'file_share' && apiMsg.file) {
+      const fileName = apiMsg.file.name || apiMsg.file.title || 'Unnamed file';
+      parts.push(`📎 Shared file: ${fileName}`);
+    } else if (apiMsg.subtype === 'channel_join') {
+      parts.push('joined the channel');
+    } else if (apiMsg.subtype === 'channel_leave') {
+      parts.push('left the channel');
+    } else if (apiMsg.subtype === 'channel_topic') {
+      parts.push(`📌 Topic: ${apiMsg.topic || ''}`);
+    } else if (apiMsg.subtype === 'channel_purpose') {
+      parts.push(`📌 Purpose: ${apiMsg.purpose || ''}`);
+    } else if (apiMsg.subtype === 'pinned_item') {
+      parts.push('📌 Pinned a message');
+    } else if (apiMsg.subtype === 'file_comment') {
+      parts.push(`💬 Comment on file: ${apiMsg.comment?.comment || ''}`);
+    }
+  }
+  
+  // If no content found but message exists, indicate it's a message without visible content
+  if (parts.length === 0) {
+    // Check if it's a deleted message
+    if (apiMsg.subtype === 'message_deleted') {
+      return '[Message deleted]';
+    }
+    // For other cases, return empty string (will be filtered out)
+    return '';
+  }
+  
+  return parts.join('\n\n');
+}
+
+/**
+ * Render a message's `text` field (Slack mrkdwn) to markdown.
+ * @param {Object} apiMsg - Slack API message object
+ * @param {Object} userMap - Map of user IDs to display names
+ * @returns {string} Markdown, or '' when there is no text
+ */
+function renderMessageTextBody(apiMsg, userMap) {
+  // Slack API can return text as string, null, or undefined
+  if (apiMsg.text === undefined || apiMsg.text === null || apiMsg.text === '') {
+    return '';
+  }
+
+  try {
+    // Translate Slack mrkdwn (links, mentions, emphasis) into Markdown
+    return window.SlackExportExtensionMrkdwn.convertSlackMrkdwn(String(apiMsg.text), { userMap });
+  } catch (error) {
+    console.warn('⚠️ Error extracting text content:', error, 'for message:', apiMsg.ts);
+    // If conversion fails, fall back to the raw text
+    return String(apiMsg.text).trim();
+  }
+}
+
+/**
+ * Render a message's `blocks` to markdown.
+ * @param {Object} apiMsg - Slack API message object
+ * @param {Object} userMap - Map of user IDs to display names
+ * @returns {string} Markdown, or '' when no block could be rendered
+ */
+function renderMessageBlocksBody(apiMsg, userMap) {
+  if (!apiMsg.blocks || !Array.isArray(apiMsg.blocks)) return '';
+
+  return window.SlackExportExtensionBlockKit.renderBlocks(apiMsg.blocks, {
+    userMap,
+    // Blocks only carry channel and usergroup IDs; the text field has their names
+    ...window.SlackExportExtensionMrkdwn.extractSlackTokenLabels(apiMsg.text),
+    formatTimestamp,
+    messageTs: apiMsg.ts
+  });
+}
+
+/**
+ * Format timestamp for display with date
+ * @param {string} timestamp - Raw timestamp
+ * @returns {string} Formatted timestamp with date
+ */
+function formatTimestamp(timestamp) {
+  try {
+    console.log('📅 formatTimestamp called with:', timestamp, 'type:', typeof timestamp);
+    
+    // Check if this is already a formatted string like "Wednesday 11:47 AM" or "Yesterday 05:00 AM"
+    const timestampStr = String(timestamp);
+    const hasRelativeDay = /(Today|Yesterday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)/i.test(timestampStr);
+    if (hasRelativeDay) {
+      console.error('❌ ERROR: Received pre-formatted timestamp string:', timestamp);
+      console.error('❌ This should not happen - timestamps should be Unix timestamps from API');
+      // We can't convert this back to a date, so return as-is for now
+      return timestamp;
+    }
+    
+    let date = null;
+    
+    // Handle API timestamps (ISO format from our conversion)
+    if (timestamp && typeof timestamp === 'string' && timestamp.includes('T')) {
+      date = new Date(timestamp);
+      console.log('📅 Parsed as ISO:', date);
+    }
+    // Handle raw Unix timestamps from API (like "1753160757.123400" or "1753160757")
+    // Also handle numeric timestamps
+    else if (timestamp && (typeof timestamp === 'number' || /^\d{10}(\.\d+)?$/.test(String(timestamp)))) {
+      const unixTimestamp = parseFloat(timestamp) * 1000; // Convert to milliseconds
+      date = new Date(unixTimestamp);
+      console.log('📅 Parsed as Unix timestamp:', timestamp, '->', date);
+    }
+    // Try parsing Slack's permalink timestamp formats
+    else if (timestamp && String(timestamp).includes('p')) {
+      const match = String(timestamp).match(/p(\d{10})\d*/);
+      if (match) {
+        const unixTimestamp = parseInt(match[1]) * 1000;
+        date = new Date(unixTimestamp);
+      }
+    }
+    // Try parsing as regular timestamp
+    if (!date || isNaN(date.getTime())) {
+      date = new Date(timestamp);
+    }
+    
+    // If still can't parse, return error
+    if (!date || isNaN(date.getTime())) {
+      console.error('❌ Could not parse timestamp:', timestamp, typeof timestamp);
+      return timestamp; // Return original if parsing fails
+    }
+    
+    // Always show full date with year - use explicit formatting to avoid locale issues
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const month = months[date.getMonth()];
+    const day = date.getDate();
+    const year = date.getFullYear();
+    
+    let hours = date.getHours();
+    const minutes = date.getMinutes();
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12;
+    hours = hours ? hours : 12; // the hour '0' should be '12'
+    const minutesStr = minutes < 10 ? '0' + minutes : minutes;
+    
+    const dateStr = `${month} ${day}, ${year}`;
+    const timeStr = `${hours}:${minutesStr} ${ampm}`;
+    
+    console.log('📅 Formatted date:', dateStr, timeStr);
+    
+    return `${dateStr} ${timeStr}`;
+  } catch (error) {
+    console.error('Error formatting timestamp:', timestamp, error);
+    return timestamp;
+  }
+}
+
+/**
+ * Update file references in messages to use local paths
+ * @param {Array<Object>} messages - Array of message objects
+ * @param {Object} fileMap - Map of file URLs to local paths
+ * @param {string} baseDirectory - Base directory to strip from paths (e.g., 'slack-exports')
+ */
+function updateFileReferencesInMessages(messages, fileMap, baseDirectory = 'slack-exports') {
+  // Helper function to strip base directory from path
+  const stripBaseDirectory = (path) => {
+    if (!path) return path;
+    // Remove base directory prefix if present
+    const basePrefix = baseDirectory + '/';
+    if (path.startsWith(basePrefix)) {
+      return path.substring(basePrefix.length);
+    }
+    return path;
+  };
+
+  for (const message of messages) {
+    // Update content using stored messageFiles
+    if (message.messageFiles && message.messageFiles.length > 0) {
+      let updatedContent = message.content;
+      
+      for (const file of message.messageFiles) {
+        const fileInfo = fileMap[file.url];
+        if (fileInfo && fileInfo.localPath && !fileInfo.error) {
+          // Strip base directory from local path for markdown links
+          const relativePath = stripBaseDirectory(fileInfo.localPath);
+          
+          // Replace file URL references with relative path (without base directory)
+          const fileUrlPattern = new RegExp(escapeRegex(file.url), 'g');
+          updatedContent = updatedContent.replace(fileUrlPattern, relativePath);
+          
+          // Also replace any markdown links that reference this file
+          const linkPattern = new RegExp(`\\[([^\\]]+)\\]\\(${escapeRegex(file.url)}\\)`, 'g');
+          updatedContent = updatedContent.replace(linkPattern, `[$1](${relativePath})`);
+          
+          // For images, update image markdown syntax
+          if (file.image) {
+            const imagePattern = new RegExp(`!\\[([^\\]]*)\\]\\(${escapeRegex(file.url)}\\)`, 'g');
+            updatedContent = updatedContent.replace(imagePattern, `![$1](${relativePath})`);
+          }
+        }
+      }
+      
+      message.content = updatedContent;
+    }
+    
+    // Update thread replies
+    if (message.threadReplies) {
+      for (const reply of message.threadReplies) {
+        if (reply.messageFiles && reply.messageFiles.length > 0) {
+          let updatedReplyContent = reply.content;
+          
+          for (const file of reply.messageFiles) {
+            const fileInfo = fileMap[file.url];
+            if (fileInfo && fileInfo.localPath && !fileInfo.error) {
+              // Strip base directory from local path for markdown links
+              const relativePath = stripBaseDirectory(fileInfo.localPath);
+              const fileUrlPattern = new RegExp(escapeRegex(file.url), 'g');
+              updatedReplyContent = updatedReplyContent.replace(fileUrlPattern, relativePath);
+            }
+          }
+          
+          reply.content = updatedReplyContent;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Escape special regex characters in a string
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the channel roster: current members plus message authors who are no
+ * longer (or never were) in the channel.
+ * @param {Array<string>} memberIds - Current channel member IDs
+ * @param {Array<string>} participantIds - Users seen in the exported messages
+ * @param {Object} userMap - Map of user IDs to display names
+ * @param {Function} getUser - (userId) => user directory entry ({ name, title, deleted, isBot }) or null
+ * @returns {Array<Object>} [{ id, name, title, status }] sorted by name
+ */
+function buildChannelRoster(memberIds, participantIds, userMap, getUser) {
+  const members = new Set(memberIds);
+  const ids = [...memberIds, ...participantIds.filter(id => !members.has(id))];
+
+  return ids.map(id => {
+    const user = getUser(id) || {};
+    let status = members.has(id) ? 'Member' : 'Not in channel';
+    if (user.deleted) status = 'Deactivated';
+    else if (user.isBot) status = `${status} (bot)`;
+    return {
+      id,
+      name: userMap[id] || user.name || id,
+      title: user.title || '',
+      status
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Start and end of the per-message reactions line. The HTML renderer shows such lines as chips;
+// the trailing comment, which message text cannot produce (its "<" is escaped), tells them apart
+// from messages that happen to start with "Reactions: ".
+const REACTIONS_LINE_PREFIX = 'Reactions: ';
+const REACTIONS_LINE_MARK = '<!-- slack:reactions -->';
+
+/**
+ * Convert messages to markdown format
+ * @param {Array<Object>} messages - Array of message objects
+ * @param {string} channelName - Channel name
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { roster, since }: channel roster (see buildChannelRoster) and,
+ *   for incremental exports, the Unix ms timestamp changes are exported from
+ * @returns {string} Markdown content
+ */
+function convertToMarkdown(messages, channelName, config, options = {}) {
+  const now = new Date();
+  const exportTime = now.toLocaleString();
+  const { roster = null, since = null } = options;
+  
+  let markdown = `# Slack Export Extension Export: ${channelName}\n`;
+  markdown += since
+    ? `*Exported: ${exportTime} · changes since ${new Date(since).toLocaleString()}*\n\n`
+    : `*Exported: ${exportTime}*\n\n`;
+  if (since && config.includeThreadReplies) {
+    const trackDays = config.incrementalThreadTrackDays ?? 90;
+    markdown += trackDays > 0
+      ? `*New replies to older threads are included when an earlier export saw the thread and its last reply is at most ${trackDays} days old.*\n\n`
+      : '*New replies to threads started before then are not included.*\n\n';
+  }
+  if (roster && roster.length > 0) {
+    markdown += `${formatChannelRoster(roster)}\n\n`;
+  }
+  markdown += `---\n\n`;
+  
+  for (const message of messages) {
+    // Add sender and timestamp
+    if (message.sender) {
+      markdown += `**${window.SlackExportExtensionUtils.escapeMarkdown(message.sender)}**`;
+      
+      if (config.includeTimestamps && message.timestamp) {
+        console.log('🔍 Formatting timestamp:', message.timestamp, typeof message.timestamp);
+        const formattedTime = formatTimestamp(message.timestamp);
+        console.log('✅ Formatted result:', formattedTime);
+        markdown += ` (${formattedTime})`;
+      }
+      
+      markdown += `:\n`;
+    }
+    
+    // Add message content
+    if (message.content) {
+      markdown += `${message.content}\n\n`;
+    }
+
+    if (config.includeReactions && message.reactions && message.reactions.length > 0) {
+      markdown += `${formatReactionsLine(message.reactions)}\n\n`;
+    }
+    
+    // Add thread replies if enabled
+    if (config.includeThreadReplies && (message.threadReplies.length > 0 || message.threadIncomplete)) {
+      markdown += message.earlierMessage ? `**New Thread Replies:**\n` : `**Thread Replies:**\n`;
+      for (const reply of message.threadReplies) {
+        if (reply.sender) {
+          markdown += `  • **${window.SlackExportExtensionUtils.escapeMarkdown(reply.sender)}**: `;
+        }
+        if (reply.content) {
+          markdown += `${reply.content}\n`;
+        }
+        if (config.includeReactions && reply.reactions && reply.reactions.length > 0) {
+          markdown += `    ${formatReactionsLine(reply.reactions)}\n`;
+        }
+      }
+      if (message.threadIncomplete) {
+        markdown += `  • _⚠️ Some replies in this thread could not be fetched_\n`;
+      }
+      markdown += `\n`;
+    }
+  }
+  
+  return normalizeFenceBoundaries(markdown);
+}
+
+/**
+ * Format the channel roster as a markdown table.
+ * @param {Array<Object>} roster - Entries from buildChannelRoster
+ * @returns {string}
+ */
+function formatChannelRoster(roster) {
+  const literal = window.SlackExportExtensionMrkdwn.escapeMarkdownLiteral;
+  const rows = roster.map(entry => [literal(entry.name), literal(entry.title), entry.status]);
+  return `**Members (${roster.filter(entry => entry.status.startsWith('Member')).length}):**\n\n` +
+    window.SlackExportExtensionUtils.formatMarkdownTable(['Name', 'Title', 'Status'], rows);
+}
+
+/**
+ * Format reactions as a single markdown line, e.g.
+ * "Reactions: :+1: 4 (alice, bob, …) · :tada: 1 (carol) <!-- slack:reactions -->"
+ * @param {Array<Object>} reactions - Resolved reactions (see resolveReactions)
+ * @returns {string}
+ */
+function formatReactionsLine(reactions) {
+  const maxNames = 5;
+  const chips = reactions.map(reaction => {
+    const names = (reaction.users || []).slice(0, maxNames);
+    if (reaction.count > names.length && names.length > 0) {
+      names.push('…');
+    }
+    const who = names.length > 0
+      ? ` (${names.map(name => window.SlackExportExtensionMrkdwn.escapeMarkdownLiteral(name)).join(', ')})`
+      : '';
+    return `:${reaction.name}: ${reaction.count}${who}`;
+  });
+  return `${REACTIONS_LINE_PREFIX}${chips.join(' · ')} ${REACTIONS_LINE_MARK}`;
+}
+
+/**
+ * Convert messages to standalone HTML format.
+ * @param {Array<Object>} messages
+ * @param {string} channelName
+ * @param {Object} config
+ * @returns {string}
+ */
+function convertToHtml(messages, channelName, config) {
+  const markdown = convertToMarkdown(messages, channelName, config);
+  return convertMarkdownToHtmlDocument(markdown, channelName);
+}
+
+/**
+ * Convert markdown text to a simple standalone HTML document.
+ * @param {string} markdown
+ * @param {string} channelName
+ * @returns {string}
+ */
+function convertMarkdownToHtmlDocument(markdown, channelName) {
+  const safeTitle = escapeHtml(channelName || 'Slack Export Extension Export');
+  const bodyHtml = markdownToBasicHtml(normalizeFenceBoundaries(markdown || ''));
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Slack Export Extension Export: ${safeTitle}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; line-height: 1.5; color: #111827; }
+    h1, h2, h3 { margin-top: 1.4em; margin-bottom: 0.5em; }
+    p { margin: 0.6em 0; white-space: pre-wrap; }
+    hr { border: 0; border-top: 1px solid #d1d5db; margin: 1.2em 0; }
+    code { background: #f3f4f6; padding: 0.1em 0.25em; border-radius: 4px; }
+    pre { background: #f3f4f6; padding: 12px; border-radius: 6px; overflow-x: auto; }
+    blockquote { border-left: 3px solid #d1d5db; margin: 0.8em 0; padding-left: 10px; color: #4b5563; }
+    ul, ol { margin: 0.5em 0 0.8em 1.2em; }
+    img { max-width: 100%; height: auto; border-radius: 6px; }
+    table { border-collapse: collapse; margin: 0.6em 0; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 10px; text-align: left; vertical-align: top; }
+    th { background: #f9fafb; }
+    .slack-context { color: #6b7280; font-size: 0.9em; }
+    .slack-context p { margin: 0.3em 0; }
+    .slack-context img { height: 1.2em; width: auto; vertical-align: middle; border-radius: 3px; }
+    .slack-actions code { display: inline-block; border: 1px solid #d1d5db; border-radius: 4px; background: #fff; padding: 2px 10px; font-family: inherit; font-weight: 600; }
+    .slack-input { border: 1px dashed #d1d5db; border-radius: 6px; margin: 0.6em 0; padding: 2px 12px; }
+    .slack-attachment { border-left: 4px solid #d1d5db; margin: 0.6em 0; padding: 2px 12px; background: #fafafa; border-radius: 0 6px 6px 0; }
+    .reactions { margin: 0.2em 0 0.8em; }
+    .reaction { display: inline-block; margin: 0 6px 4px 0; padding: 1px 8px; border: 1px solid #d1d5db; border-radius: 12px; background: #f9fafb; font-size: 0.9em; }
+  </style>
+</head>
+<body>
+${bodyHtml}
+</body>
+</html>`;
+}
+
+/**
+ * Normalize malformed fence boundaries so trailing text does not remain inside <pre>.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function normalizeFenceBoundaries(markdown) {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const out = [];
+  let inCodeBlock = false;
+  let codeFenceMarker = null;
+  const messageHeaderPattern = /^\*\*.+\*\* \([^)]+\):$/;
+
+  const closeFenceIfOpen = () => {
+    if (inCodeBlock && codeFenceMarker) {
+      out.push(codeFenceMarker);
+      inCodeBlock = false;
+      codeFenceMarker = null;
+    }
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine || '';
+    const trimmed = line.trim();
+    const openFenceMatch = trimmed.match(/^(```|~~~)\s*[A-Za-z0-9_-]*\s*$/);
+
+    if (!inCodeBlock && openFenceMatch) {
+      inCodeBlock = true;
+      codeFenceMarker = openFenceMatch[1];
+      out.push(trimmed);
+      continue;
+    }
+
+    if (inCodeBlock) {
+      // Guardrail: never let malformed fences swallow the next message block.
+      if (messageHeaderPattern.test(trimmed)) {
+        closeFenceIfOpen();
+        out.push(line);
+        continue;
+      }
+
+      // Handle inline closing fences: "code...```" or "code...~~~".
+      const inlineCloseIndex = (codeFenceMarker ? line.indexOf(codeFenceMarker) : -1);
+      if (inlineCloseIndex >= 0) {
+        const codePart = line.slice(0, inlineCloseIndex);
+        const trailing = line.slice(inlineCloseIndex + codeFenceMarker.length).trim();
+        if (codePart) {
+          out.push(codePart);
+        }
+        out.push(codeFenceMarker);
+        inCodeBlock = false;
+        codeFenceMarker = null;
+        if (trailing) {
+          out.push(trailing);
+        }
+        continue;
+      }
+
+      const startsWithFence = trimmed.startsWith(codeFenceMarker || '');
+      if (startsWithFence) {
+        const trailing = trimmed.slice(codeFenceMarker.length).trim();
+        out.push(codeFenceMarker);
+        inCodeBlock = false;
+        codeFenceMarker = null;
+        if (trailing) {
+          out.push(trailing);
+        }
+        continue;
+      }
+    }
+
+    if (!inCodeBlock) {
+      // Normalize inline full fences in a single line: "prefix ```code``` suffix".
+      const inlineFullFenceMatch = line.match(/^(.*?)(```|~~~)(.+?)\2(.*)$/);
+      if (inlineFullFenceMatch) {
+        const [, prefix, marker, code, suffix] = inlineFullFenceMatch;
+        if (prefix && prefix.trim()) {
+          out.push(prefix.trimEnd());
+        }
+        out.push(marker);
+        out.push(code);
+        out.push(marker);
+        if (suffix && suffix.trim()) {
+          out.push(suffix.trimStart());
+        }
+        continue;
+      }
+
+      // Normalize trailing opening fences: "text ...```".
+      const trailingOpenFenceMatch = line.match(/^(.*?)(```|~~~)\s*$/);
+      if (trailingOpenFenceMatch) {
+        const [, prefix, marker] = trailingOpenFenceMatch;
+        if (prefix && prefix.trim()) {
+          out.push(prefix.trimEnd());
+        }
+        inCodeBlock = true;
+        codeFenceMarker = marker;
+        out.push(marker);
+        continue;
+      }
+    }
+
+    out.push(line);
+  }
+
+  closeFenceIfOpen();
+  return out.join('\n');
+}
+
+/**
+ * Convert markdown subset used by exports into HTML.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToBasicHtml(markdown) {
+  const lines = String(markdown).replace(/\r\n/g, '\n').split('\n');
+  const html = [];
+  let inCodeBlock = false;
+  let codeLines = [];
+  let codeFenceMarker = null;
+  const listStack = []; // [{ tag: 'ul'|'ol', indent }]
+  let quoteLines = [];
+  let tableRows = [];
+
+  const closeList = () => {
+    while (listStack.length > 0) {
+      html.push(`</li></${listStack.pop().tag}>`);
+    }
+  };
+
+  const flushQuote = () => {
+    if (quoteLines.length > 0) {
+      html.push(`<blockquote>${quoteLines.map(inlineMarkdownToHtml).join('<br>')}</blockquote>`);
+      quoteLines = [];
+    }
+  };
+
+  const flushTable = () => {
+    if (tableRows.length > 0) {
+      html.push(markdownTableToHtml(tableRows));
+      tableRows = [];
+    }
+  };
+
+  const closeOpenBlocks = () => {
+    flushQuote();
+    flushTable();
+    closeList();
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine || '';
+    const trimmedForFence = line.trim();
+    const openFenceMatch = trimmedForFence.match(/^(```|~~~)\s*[A-Za-z0-9_-]*\s*$/);
+    const closeFenceWithTailMatch = inCodeBlock && codeFenceMarker
+      ? trimmedForFence.match(new RegExp(`^${codeFenceMarker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(.*)$`))
+      : null;
+
+    if (!inCodeBlock && openFenceMatch) {
+      if (!inCodeBlock) {
+        closeOpenBlocks();
+        inCodeBlock = true;
+        codeLines = [];
+        codeFenceMarker = openFenceMatch[1];
+      }
+      continue;
+    }
+
+    if (inCodeBlock && closeFenceWithTailMatch) {
+      html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+      inCodeBlock = false;
+      codeFenceMarker = null;
+      const trailing = (closeFenceWithTailMatch[1] || '').trim();
+      if (trailing) {
+        html.push(`<p>${inlineMarkdownToHtml(trailing)}</p>`);
+      }
+      continue;
+    }
+
+    if (inCodeBlock) {
+      codeLines.push(line);
+      continue;
+    }
+
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      closeOpenBlocks();
+      continue;
+    }
+
+    const containerMatch = trimmed.match(/^<!--\s*(\/?)slack:([a-z_-]+)((?:\s+[a-z_-]+=\S+)*)\s*-->$/i);
+    if (containerMatch) {
+      closeOpenBlocks();
+      const [, closing, name, attributeText] = containerMatch;
+      html.push(closing ? '</div>' : openMarkdownContainerHtml(name, attributeText));
+      continue;
+    }
+
+    if (trimmed.startsWith('|') && trimmed.endsWith('|')) {
+      flushQuote();
+      closeList();
+      tableRows.push(trimmed);
+      continue;
+    }
+    flushTable();
+
+    if (trimmed === '---') {
+      closeOpenBlocks();
+      html.push('<hr>');
+      continue;
+    }
+
+    if (trimmed.startsWith(REACTIONS_LINE_PREFIX) && trimmed.endsWith(REACTIONS_LINE_MARK)) {
+      // Reactions on a thread reply stay inside the reply's open list item
+      flushQuote();
+      html.push(reactionsLineToHtml(trimmed));
+      continue;
+    }
+
+    if (trimmed.startsWith('# ')) {
+      closeOpenBlocks();
+      html.push(`<h1>${inlineMarkdownToHtml(trimmed.slice(2))}</h1>`);
+      continue;
+    }
+
+    if (trimmed.startsWith('## ')) {
+      closeOpenBlocks();
+      html.push(`<h2>${inlineMarkdownToHtml(trimmed.slice(3))}</h2>`);
+      continue;
+    }
+
+    if (trimmed.startsWith('### ')) {
+      closeOpenBlocks();
+      html.push(`<h3>${inlineMarkdownToHtml(trimmed.slice(4))}</h3>`);
+      continue;
+    }
+
+    if (trimmed === '>' || trimmed.startsWith('> ')) {
+      closeList();
+      quoteLines.push(trimmed.slice(2));
+      continue;
+    }
+
+    const listItemMatch = line.match(/^(\s*)(?:([-*•])|(\d+)[.)])\s+(.*)$/);
+    if (listItemMatch) {
+      flushQuote();
+      const [, leading, bullet, number, itemText] = listItemMatch;
+      const indent = leading.replace(/\t/g, '    ').length;
+      const tag = bullet ? 'ul' : 'ol';
+
+      while (listStack.length > 0 && listStack[listStack.length - 1].indent > indent) {
+        html.push(`</li></${listStack.pop().tag}>`);
+      }
+      const top = listStack[listStack.length - 1];
+      if (top && top.indent === indent && top.tag !== tag) {
+        html.push(`</li></${listStack.pop().tag}>`);
+      }
+
+      const current = listStack[listStack.length - 1];
+      if (current && current.indent === indent) {
+        html.push('</li>');
+      } else {
+        const start = tag === 'ol' && Number(number) !== 1 ? ` start="${Number(number)}"` : '';
+        html.push(`<${tag}${start}>`);
+        listStack.push({ tag, indent });
+      }
+      html.push(`<li>${inlineMarkdownToHtml(itemText)}`);
+      continue;
+    }
+
+    closeOpenBlocks();
+    html.push(`<p>${inlineMarkdownToHtml(trimmed)}</p>`);
+  }
+
+  if (inCodeBlock) {
+    html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+  }
+  closeOpenBlocks();
+
+  return html.join('\n');
+}
+
+/**
+ * Open the <div> for a "<!-- slack:name attr=value -->" container marker.
+ * @param {string} name - Container name (e.g. "attachment")
+ * @param {string} attributeText - Raw " key=value" pairs
+ * @returns {string}
+ */
+function openMarkdownContainerHtml(name, attributeText) {
+  const attributes = {};
+  for (const pair of String(attributeText || '').trim().split(/\s+/).filter(Boolean)) {
+    const [key, ...rest] = pair.split('=');
+    attributes[key.toLowerCase()] = rest.join('=');
+  }
+
+  const className = `slack-${name.toLowerCase().replace(/[^a-z0-9_-]/g, '')}`;
+  const color = /^#[0-9a-f]{3,8}$/i.test(attributes.color || '') ? attributes.color : '';
+  const style = color ? ` style="border-left-color: ${color}"` : '';
+  return `<div class="${className}"${style}>`;
+}
+
+/**
+ * Render buffered markdown table lines as an HTML table.
+ * The second line is treated as the header separator when it looks like one.
+ * @param {Array<string>} rows - Raw "| a | b |" lines
+ * @returns {string}
+ */
+function markdownTableToHtml(rows) {
+  const splitRow = (row) => row
+    .slice(1, -1)
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim());
+  const renderCell = (tag, cell) => {
+    const content = cell.split(/<br\s*\/?>/i).map(inlineMarkdownToHtml).join('<br>');
+    return `<${tag}>${content}</${tag}>`;
+  };
+
+  const hasHeader = rows.length > 1 && /^\|(\s*:?-{3,}:?\s*\|)+$/.test(rows[1].replace(/\s+/g, ' '));
+  const headerCells = hasHeader ? splitRow(rows[0]) : null;
+  const bodyRows = hasHeader ? rows.slice(2) : rows;
+
+  const html = ['<table>'];
+  if (headerCells && headerCells.some(Boolean)) {
+    html.push(`<thead><tr>${headerCells.map(cell => renderCell('th', cell)).join('')}</tr></thead>`);
+  }
+  html.push('<tbody>');
+  for (const row of bodyRows) {
+    html.push(`<tr>${splitRow(row).map(cell => renderCell('td', cell)).join('')}</tr>`);
+  }
+  html.push('</tbody></table>');
+  return html.join('\n');
+}
+
+/**
+ * Render a "Reactions: ..." markdown line as reaction chips.
+ * @param {string} line
+ * @returns {string}
+ */
+function reactionsLineToHtml(line) {
+  const chips = line
+    .slice(REACTIONS_LINE_PREFIX.length, -REACTIONS_LINE_MARK.length)
+    .trim()
+    .split(' · ')
+    .map(chip => {
+      const match = chip.match(/^(:[^:\s]+:)\s+(\d+)(?:\s+\((.*)\))?$/);
+      if (!match) {
+        return `<span class="reaction">${inlineMarkdownToHtml(chip)}</span>`;
+      }
+      const [, emoji, count, names] = match;
+      const title = names ? ` title="${escapeHtml(names.replace(/\\(.)/g, '$1'))}"` : '';
+      return `<span class="reaction"${title}>${escapeHtml(emoji)} <strong>${count}</strong></span>`;
+    });
+  return `<div class="reactions">${chips.join('')}</div>`;
+}
+
+/**
+ * Convert simple inline markdown markers to HTML.
+ * Code spans and backslash escapes are protected first so their contents stay literal.
+ * @param {string} text
+ * @returns {string}
+ */
+function inlineMarkdownToHtml(text) {
+  const protectedHtml = [];
+  const protect = (html) => {
+    protectedHtml.push(html);
+    return `\u0000${protectedHtml.length - 1}\u0000`;
+  };
+
+  let source = String(text || '');
+  source = source.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+    return protect(`<code>${escapeHtml(code)}</code>`);
+  });
+  source = source.replace(/\\([\\`*_{}\[\]()#+\-.!|~<>])/g, (match, char) => protect(escapeHtml(char)));
+
+  let safe = escapeHtml(source);
+  safe = safe.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, href) => {
+    const normalizedHref = normalizeHref(href);
+    if (!normalizedHref) {
+      return match;
+    }
+    return `<img src="${protect(normalizedHref)}" alt="${alt}" loading="lazy">`;
+  });
+  safe = safe.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+    const normalizedHref = normalizeHref(href);
+    if (!normalizedHref) {
+      return label;
+    }
+    return `<a href="${protect(normalizedHref)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+  });
+  safe = safe.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+  safe = safe.replace(/\*(.+?)\*/g, '<em>$1</em>');
+  safe = safe.replace(/(^|[^A-Za-z0-9_])_(?=\S)(.+?)_(?![A-Za-z0-9_])/g, '$1<em>$2</em>');
+  safe = safe.replace(/~~(.+?)~~/g, '<del>$1</del>');
+  return safe.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedHtml[Number(index)]);
+}
+
+/**
+ * Allow safe link targets for exported HTML links and images.
+ * @param {string} href
+ * @returns {string}
+ */
+function normalizeHref(href) {
+  const value = String(href || '').trim();
+  if (!value) return '';
+
+  // Allow web/mail links and relative file paths generated by exports.
+  const isAllowed =
+    /^(https?:\/\/|mailto:|#|\/|\.\.?\/)/i.test(value) ||
+    /^[A-Za-z0-9._-]+\/[A-Za-z0-9._%\-\/]+$/.test(value);
+
+  return isAllowed ? value : '';
+}
+
+/**
+ * Escape HTML special characters.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get HTML export filename from markdown filename.
+ * @param {string} markdownFilename
+ * @returns {string}
+ */
+function getHtmlFilename(markdownFilename) {
+  if (!markdownFilename || typeof markdownFilename !== 'string') {
+    return 'slack-export.html';
+  }
+
+  if (/\.(md|markdown)$/i.test(markdownFilename)) {
+    return markdownFilename.replace(/\.(md|markdown)$/i, '.html');
+  }
+
+  return `${markdownFilename}.html`;
+}
+
+/**
+ * Get raw JSON sidecar filename from markdown filename.
+ * @param {string} markdownFilename
+ * @returns {string}
+ */
+function getRawJsonFilename(markdownFilename) {
+  return `${String(markdownFilename || 'slack-export').replace(/\.(md|markdown)$/i, '')}.raw.json`;
+}
+
+/**
+ * Re-render stored raw export data with the given (current) settings.
+ * @param {Object} raw - Raw export data as written to the .raw.json sidecar
+ * @param {Object} config - Configuration object
+ * @returns {{markdown: string, messageCount: number}}
+ */
+function renderRawExport(raw, config) {
+  const { parameters } = raw;
+  const userMap = {};
+  for (const [userId, user] of Object.entries(raw.users || {})) {
+    userMap[userId] = user.name || 'Unknown User';
+  }
+
+  const threadRepliesCache = new Map(Object.entries(raw.threads || {}));
+  // Archive runs are rendered on their own too, as the changes they fetched
+  const labelSinceUnix = parameters.incrementalSince ? parameters.incrementalSince / 1000 : null;
+  const { messages } = buildExportMessages(raw.messages, threadRepliesCache, userMap, config, { labelSinceUnix });
+
+  // Files keep pointing at the copies downloaded by the original export
+  const fileMap = {};
+  for (const file of raw.files || []) {
+    fileMap[file.url] = { localPath: file.localPath, localName: file.name, error: !file.downloaded };
+  }
+  updateFileReferencesInMessages(messages, fileMap, parameters.downloadDirectory);
+
+  let roster = null;
+  if (config.includeChannelRoster && Array.isArray(raw.members) && raw.members.length > 0) {
+    const authorIds = new Set();
+    for (const msg of raw.messages) if (msg.user) authorIds.add(msg.user);
+    for (const thread of threadRepliesCache.values()) {
+      for (const reply of thread.messages) if (reply.user) authorIds.add(reply.user);
+    }
+    roster = buildChannelRoster(raw.members, Array.from(authorIds), userMap, id => (raw.users || {})[id]);
+  }
+
+  const markdown = convertToMarkdown(messages, parameters.channelName, config, {
+    roster,
+    since: labelSinceUnix ? parameters.incrementalSince : null
+  });
+  return { markdown, messageCount: messages.length };
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackExportExtensionRender = {
+    buildExportMessages,
+    collectFilesFromMessage,
+    collectReactionUserIds,
+    extractMessageContent,
+    updateFileReferencesInMessages,
+    buildChannelRoster,
+    convertToMarkdown,
+    convertMarkdownToHtmlDocument,
+    getHtmlFilename,
+    getRawJsonFilename,
+    renderRawExport
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Export schedules for Slack Export Extension
+ *
+ * A schedule exports a group of batch channels (by tier or channel ID) at
+ * set times. background.js arms a chrome.alarms alarm for each schedule's
+ * next run; the options page uses the same helpers to validate schedules
+ * and show when they run next.
+ *
+ * Schedule: { id, name, enabled, tiers: [1], channelIds: [],
+ *   frequency: 'daily' | 'weekly' | 'cron', time: 'HH:MM', weekdays: [1, 3], cron: '30 7 * * 1-5' }
+ * Times are local. weekdays and cron day-of-week numbers start at 0 for Sunday.
+ */
+
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'cron'];
+// Minute, hour, day of month, month, day of week (7 is also Sunday)
+const CRON_FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+// No cron expression matches nothing for longer than this (e.g. "0 0 29 2 *" waits for a leap year)
+const CRON_SEARCH_LIMIT_DAYS = 8 * 366;
+
+/**
+ * Parse one field of a cron expression.
+ * @param {string} field - e.g. "*", "*\/15", "1-5", "0,30"
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Set<number>|null} Matching values, or null when the field is "*"
+ */
+function parseCronField(field, min, max) {
+  if (field === '*') return null;
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron field "${field}"`);
+    }
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start));
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron field "${field}": values must be ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week).
+ * @param {string} expression
+ * @returns {Object} { minutes, hours, days, months, weekdays } value sets, null for "*"
+ */
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, ...CRON_FIELD_RANGES[i]));
+  if (weekdays && weekdays.has(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays };
+}
+
+/**
+ * Get the cron expression a schedule runs on.
+ * @param {Object} schedule
+ * @returns {string}
+ */
+function getScheduleCron(schedule) {
+  if (schedule.frequency === 'cron') return schedule.cron;
+
+  const match = String(schedule.time || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${schedule.time}": use HH:MM`);
+  }
+  const minuteHour = `${Number(match[2])} ${Number(match[1])}`;
+  if (schedule.frequency === 'daily') return `${minuteHour} * * *`;
+
+  const weekdays = schedule.weekdays || [];
+  if (weekdays.length === 0 || !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new Error('Weekly schedules need "weekdays" (0 = Sunday ... 6 = Saturday)');
+  }
+  return `${minuteHour} * * ${weekdays.join(',')}`;
+}
+
+/**
+ * Check a schedule's fields.
+ * @param {Object} schedule
+ * @throws {Error} Describing the first problem found
+ */
+function validateSchedule(schedule) {
+  if (!schedule.id || typeof schedule.id !== 'string') {
+    throw new Error('Invalid schedule: missing or invalid "id" field');
+  }
+  if (!SCHEDULE_FREQUENCIES.includes(schedule.frequency)) {
+    throw new Error(`Invalid frequency for "${schedule.id}": must be daily, weekly, or cron`);
+  }
+  const tiers = schedule.tiers || [];
+  const channelIds = schedule.channelIds || [];
+  if (!Array.isArray(tiers) || !tiers.every(tier => [1, 2, 3].includes(tier))) {
+    throw new Error(`Invalid tiers for "${schedule.id}": must be a list of 1, 2, or 3`);
+  }
+  if (!Array.isArray(channelIds) || !channelIds.every(id => typeof id === 'string')) {
+    throw new Error(`Invalid channelIds for "${schedule.id}": must be a list of channel IDs`);
+  }
+  if (tiers.length === 0 && channelIds.length === 0) {
+    throw new Error(`Schedule "${schedule.id}" needs "tiers" or "channelIds"`);
+  }
+  try {
+    parseCron(getScheduleCron(schedule));
+  } catch (error) {
+    throw new Error(`Schedule "${schedule.id}": ${error.message}`);
+  }
+}
+
+/**
+ * Get the time a schedule next runs.
+ * @param {Object} schedule
+ * @param {number} after - Unix ms; the run is strictly later, on a whole minute
+ * @returns {number|null} Unix ms, or null when the schedule is disabled, invalid or never runs
+ */
+function getNextScheduleRun(schedule, after = Date.now()) {
+  if (!schedule || schedule.enabled === false) return null;
+  let cron;
+  try {
+    validateSchedule(schedule);
+    cron = parseCron(getScheduleCron(schedule));
+  } catch (error) {
+    return null;
+  }
+
+  const matches = (set, value) => !set || set.has(value);
+  // As in cron, a restricted day of month and day of week match either
+  const matchesDay = (date) => {
+    if (cron.days && cron.weekdays) return cron.days.has(date.getDate()) || cron.weekdays.has(date.getDay());
+    return matches(cron.days, date.getDate()) && matches(cron.weekdays, date.getDay());
+  };
+
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after + CRON_SEARCH_LIMIT_DAYS * 86400 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!matches(cron.months, date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matches(cron.hours, date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!matches(cron.minutes, date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the batch channels a schedule exports.
+ * @param {Object} schedule
+ * @param {Array<Object>} channels - Configured batch channels
+ * @returns {Array<Object>} Enabled channels in the schedule's tiers or listed by ID
+ */
+function getScheduleChannels(schedule, channels) {
+  const tiers = schedule.tiers || [];
+  const channelIds = schedule.channelIds || [];
+  return (channels || []).filter(channel =>
+    channel.enabled !== false &&
+    channel.channelId &&
+    (tiers.includes(Number(channel.tier || 1)) || channelIds.includes(channel.channelId))
+  );
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackExportExtensionSchedule = {
+    validateSchedule,
+    getNextScheduleRun,
+    getScheduleChannels
+  };
+}
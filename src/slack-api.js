@@ -0,0 +1,293 @@
+/**
+ * Shared Slack Web API client for Slack Export Extension
+ *
+ * All API calls go through one client per token so that every call site
+ * shares the same per-tier rate limits. Requests are paced with a token
+ * bucket per tier, and both HTTP 429 (`Retry-After`) and `ratelimited`
+ * API errors pause the whole tier before retrying. Calls given an
+ * AbortSignal stop waiting and fetching as soon as it is aborted.
+ */
+
+// Rate limit tier of each Web API method we call
+// https://api.slack.com/docs/rate-limits
+const SLACK_API_METHOD_TIERS = {
+  'auth.test': 4,
+  'conversations.history': 3,
+  'conversations.replies': 3,
+  'conversations.info': 3,
+  'conversations.members': 4,
+  'conversations.list': 2,
+  'users.info': 4,
+  'users.list': 2,
+  'files.info': 4
+};
+
+// Requests per minute and burst size for each tier
+const SLACK_API_TIER_LIMITS = {
+  1: { perMinute: 1, burst: 1 },
+  2: { perMinute: 20, burst: 3 },
+  3: { perMinute: 50, burst: 5 },
+  4: { perMinute: 100, burst: 10 }
+};
+
+// Tier used for methods not listed above
+const SLACK_API_DEFAULT_TIER = 3;
+
+// Error codes that may go away when the call is made again later
+const SLACK_API_TRANSIENT_ERRORS = ['ratelimited', 'network_error', 'request_timeout', 'service_unavailable', 'internal_error', 'fatal_error'];
+
+/**
+ * Error returned by the Slack Web API (`ok: false`) or raised after retries
+ * were exhausted.
+ */
+class SlackApiError extends Error {
+  /**
+   * @param {string} method - API method (e.g. "conversations.history")
+   * @param {string} code - Slack error code (e.g. "channel_not_found")
+   * @param {Object} data - Raw response body, when available
+   */
+  constructor(method, code, data = null) {
+    super(`${method} API failed: ${code}`);
+    this.name = 'SlackApiError';
+    this.method = method;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Rate-limited Slack Web API client.
+ */
+class SlackApiClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Slack auth token
+   * @param {string} options.baseUrl - API base URL ('/api/' from the Slack tab, full URL elsewhere)
+   * @param {boolean} options.authHeader - Also send the token as a Bearer header
+   * @param {number} options.maxRetries - Retries for rate limits and network errors
+   */
+  constructor({ token, baseUrl = '/api/', authHeader = false, maxRetries = 3 } = {}) {
+    this.token = token;
+    this.baseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    this.authHeader = authHeader;
+    this.maxRetries = maxRetries;
+    this.buckets = {};
+  }
+
+  /**
+   * Get the shared client for a token, so all call sites share rate limits.
+   * @param {string} token - Slack auth token
+   * @param {Object} options - Constructor options (see constructor)
+   * @returns {SlackApiClient}
+   */
+  static forToken(token, options = {}) {
+    const key = `${options.baseUrl || '/api/'}|${token}`;
+    if (!SlackApiClient.instances.has(key)) {
+      SlackApiClient.instances.set(key, new SlackApiClient({ ...options, token }));
+    }
+    return SlackApiClient.instances.get(key);
+  }
+
+  /**
+   * Get the rate limit tier of a method.
+   * @param {string} method - API method
+   * @returns {number}
+   */
+  static tierOf(method) {
+    return SLACK_API_METHOD_TIERS[method] || SLACK_API_DEFAULT_TIER;
+  }
+
+  /**
+   * Call an API method, waiting for rate limits and retrying when Slack
+   * asks us to slow down.
+   * @param {string} method - API method (e.g. "conversations.history")
+   * @param {Object} params - Method arguments
+   * @param {Object} options - { signal } to abort the call
+   * @returns {Promise<Object>} Response body (`ok: true`)
+   * @throws {SlackApiError} When Slack returns an error or retries run out
+   * @throws {DOMException} The signal's reason, when aborted
+   */
+  async call(method, params = {}, { signal = null } = {}) {
+    const body = new URLSearchParams({ token: this.token });
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        body.append(key, String(value));
+      }
+    }
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Slack-No-Retry': '1'
+    };
+    if (this.authHeader) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    let attempt = 0;
+    while (true) {
+      await this.acquire(method, signal);
+
+      let response;
+      let data;
+      try {
+        response = await fetch(`${this.baseUrl}${method}`, {
+          method: 'POST',
+          headers,
+          body: body.toString(),
+          signal
+        });
+        data = response.status === 429 ? null : await response.json();
+      } catch (networkError) {
+        if (signal?.aborted) throw signal.reason;
+        if (attempt >= this.maxRetries) {
+          throw new SlackApiError(method, networkError.message || 'network_error');
+        }
+        attempt++;
+        const waitMs = Math.pow(2, attempt) * 1000;
+        console.log(`🔄 ${method} request failed (${networkError.message}), retrying in ${waitMs / 1000}s (${attempt}/${this.maxRetries})...`);
+        await slackApiSleep(waitMs, signal);
+        continue;
+      }
+
+      const rateLimited = response.status === 429 || (data && data.error === 'ratelimited');
+      if (rateLimited) {
+        if (attempt >= this.maxRetries) {
+          throw new SlackApiError(method, 'ratelimited', data);
+        }
+        attempt++;
+        const retryAfter = Number(response.headers.get('Retry-After'))
+          || Number(data?.response_metadata?.retry_after)
+          || Math.pow(2, attempt);
+        console.log(`⏳ ${method} rate limited, pausing tier ${SlackApiClient.tierOf(method)} for ${retryAfter}s (${attempt}/${this.maxRetries})...`);
+        this.pause(method, retryAfter * 1000);
+        continue;
+      }
+
+      if (!data || !data.ok) {
+        throw new SlackApiError(method, data?.error || `http_${response.status}`, data);
+      }
+      return data;
+    }
+  }
+
+  /**
+   * Iterate over every page of a cursor-paginated method.
+   * @param {string} method - API method
+   * @param {Object} params - Method arguments (without cursor)
+   * @param {Object} options - { signal } to abort, and { cursor } to start from instead of the first page
+   * @yields {Object} Each response body
+   */
+  async *paginate(method, params = {}, { signal = null, cursor = '' } = {}) {
+    do {
+      const data = await this.call(method, cursor ? { ...params, cursor } : params, { signal });
+      yield data;
+      cursor = data.response_metadata?.next_cursor || '';
+    } while (cursor);
+  }
+
+  /**
+   * Wait until the method's tier has a request available, then take it.
+   * @param {string} method - API method
+   * @param {AbortSignal|null} signal - Stops the wait when aborted
+   * @returns {Promise<void>}
+   */
+  async acquire(method, signal = null) {
+    const bucket = this.bucketFor(method);
+    while (true) {
+      signal?.throwIfAborted();
+      const now = Date.now();
+      bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs);
+      bucket.updatedAt = now;
+
+      if (now < bucket.pausedUntil) {
+        await slackApiSleep(bucket.pausedUntil - now, signal);
+        continue;
+      }
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      await slackApiSleep(Math.ceil((1 - bucket.tokens) / bucket.ratePerMs), signal);
+    }
+  }
+
+  /**
+   * Stop issuing requests for a method's tier for a while.
+   * @param {string} method - API method
+   * @param {number} ms - Pause duration in milliseconds
+   */
+  pause(method, ms) {
+    const bucket = this.bucketFor(method);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+    bucket.tokens = 0;
+  }
+
+  /**
+   * Get (or create) the token bucket for a method's tier.
+   * @param {string} method - API method
+   * @returns {Object}
+   */
+  bucketFor(method) {
+    const tier = SlackApiClient.tierOf(method);
+    if (!this.buckets[tier]) {
+      const limits = SLACK_API_TIER_LIMITS[tier] || SLACK_API_TIER_LIMITS[SLACK_API_DEFAULT_TIER];
+      this.buckets[tier] = {
+        burst: limits.burst,
+        tokens: limits.burst,
+        ratePerMs: limits.perMinute / 60000,
+        updatedAt: Date.now(),
+        pausedUntil: 0
+      };
+    }
+    return this.buckets[tier];
+  }
+}
+
+SlackApiClient.instances = new Map();
+
+/**
+ * Check whether an API error is worth retrying later: rate limits that
+ * outlasted the client's retries, network failures and Slack server errors.
+ * @param {Error} error - SlackApiError, or an error whose message carries one
+ * @returns {boolean}
+ */
+function isTransientSlackApiError(error) {
+  const message = String(error?.message || '');
+  const code = error?.code || (message.match(/API failed: (\S+)/) || [])[1] || '';
+  return SLACK_API_TRANSIENT_ERRORS.includes(code)
+    || /^http_5\d\d$/.test(code)
+    || /network|failed to fetch|timed? ?out/i.test(message);
+}
+
+/**
+ * Wait for a while, or until a signal is aborted.
+ * @param {number} ms - Wait in milliseconds
+ * @param {AbortSignal|null} signal - Ends the wait early (rejecting with its reason)
+ * @returns {Promise<void>}
+ */
+function slackApiSleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Make the client available globally
+if (typeof window !== 'undefined') {
+  window.SlackExportExtensionApi = {
+    SlackApiClient,
+    SlackApiError,
+    isTransientSlackApiError
+  };
+}
@@ -0,0 +1,530 @@
+/**
+ * IndexedDB export store for Slack Export Extension
+ *
+ * Owned by the background service worker; content scripts reach it through
+ * runtime messages (their own IndexedDB would belong to the Slack origin).
+ * Holds the per-channel archive of raw API messages, deduplicated by `ts`,
+ * the last raw snapshot of each channel used for change reports, the thread
+ * parents incremental exports check for new replies, and the raw
+ * data of recent exports (listed from small summary records) so they can be
+ * re-rendered without calling Slack,
+ * the files of batch runs being bundled into a single ZIP, the queue of
+ * batch export jobs the service worker runs, and checkpoints of channel
+ * exports in progress so an interrupted export can pick up where it stopped.
+ * Extension pages share the database and may use these functions directly.
+ */
+
+const EXPORT_STORE_DB_NAME = 'slack-export-extension';
+const EXPORT_STORE_DB_VERSION = 8;
+
+// Raw exports kept per channel; older ones are pruned when a new one is saved
+const RAW_EXPORTS_PER_CHANNEL = 10;
+
+// Bundles left behind by runs that never finished are dropped after this long
+const BUNDLE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Finished batch jobs kept; older ones are pruned when a job finishes
+const FINISHED_BATCH_JOBS_KEPT = 20;
+// Statuses of batch jobs that will not run again
+const FINISHED_BATCH_JOB_STATUSES = ['done', 'cancelled'];
+
+// Checkpoints of exports that were never resumed are dropped after this long
+const CHECKPOINT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let exportStoreDbPromise = null;
+
+/**
+ * Open (and create/upgrade) the export database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openExportStore() {
+  if (!exportStoreDbPromise) {
+    exportStoreDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(EXPORT_STORE_DB_NAME, EXPORT_STORE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('archiveMessages')) {
+          const messages = db.createObjectStore('archiveMessages', { keyPath: ['channelId', 'ts'] });
+          messages.createIndex('channelId', 'channelId');
+        }
+        if (!db.objectStoreNames.contains('archiveFiles')) {
+          const files = db.createObjectStore('archiveFiles', { keyPath: ['channelId', 'url'] });
+          files.createIndex('channelId', 'channelId');
+        }
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', { keyPath: 'channelId' });
+        }
+        if (!db.objectStoreNames.contains('rawExports')) {
+          const rawExports = db.createObjectStore('rawExports', { keyPath: 'id', autoIncrement: true });
+          rawExports.createIndex('channelId', 'channelId');
+        }
+        if (!db.objectStoreNames.contains('bundleEntries')) {
+          const bundleEntries = db.createObjectStore('bundleEntries', { keyPath: ['bundleId', 'path'] });
+          bundleEntries.createIndex('bundleId', 'bundleId');
+        }
+        if (!db.objectStoreNames.contains('batchJobs')) {
+          db.createObjectStore('batchJobs', { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains('exportCheckpoints')) {
+          db.createObjectStore('exportCheckpoints', { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains('exportCheckpointItems')) {
+          const items = db.createObjectStore('exportCheckpointItems', { keyPath: ['key', 'kind', 'id'] });
+          items.createIndex('key', 'key');
+        }
+        if (!db.objectStoreNames.contains('trackedThreads')) {
+          const threads = db.createObjectStore('trackedThreads', { keyPath: ['channelId', 'threadTs'] });
+          threads.createIndex('channelId', 'channelId');
+        }
+        if (!db.objectStoreNames.contains('rawExportSummaries')) {
+          const summaries = db.createObjectStore('rawExportSummaries', { keyPath: 'id' });
+          // Summarise the raw exports saved before summaries were kept, one record at a time
+          request.transaction.objectStore('rawExports').openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            summaries.put(getRawExportSummary(cursor.value));
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        exportStoreDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return exportStoreDbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function storeRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function storeTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Merge freshly fetched messages into a channel's archive. A message replaces
+ * its stored copy; thread replies are unioned by `ts` (newest copy wins).
+ * @param {string} channelId - Channel ID
+ * @param {Array<Object>} records - [{ ts, message, replies }]
+ * @returns {Promise<{added: number, updated: number}>}
+ */
+async function mergeArchiveRecords(channelId, records) {
+  const db = await openExportStore();
+  const transaction = db.transaction('archiveMessages', 'readwrite');
+  const store = transaction.objectStore('archiveMessages');
+  const done = storeTransactionDone(transaction);
+  const now = Date.now();
+  let added = 0;
+  let updated = 0;
+
+  for (const record of records) {
+    const existing = await storeRequest(store.get([channelId, record.ts]));
+    const replies = new Map((existing?.replies || []).map(reply => [reply.ts, reply]));
+    for (const reply of record.replies || []) {
+      replies.set(reply.ts, reply);
+    }
+
+    store.put({
+      channelId,
+      ts: record.ts,
+      message: record.message,
+      replies: Array.from(replies.values()).sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts)),
+      firstSeenAt: existing?.firstSeenAt || now,
+      updatedAt: now
+    });
+    if (existing) updated++;
+    else added++;
+  }
+
+  await done;
+  return { added, updated };
+}
+
+/**
+ * Get every archived message of a channel, oldest first.
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Array<Object>>} [{ ts, message, replies, firstSeenAt, updatedAt }]
+ */
+async function getArchiveRecords(channelId) {
+  const db = await openExportStore();
+  const index = db.transaction('archiveMessages').objectStore('archiveMessages').index('channelId');
+  const records = await storeRequest(index.getAll(channelId));
+  return records.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+}
+
+/**
+ * Count archived messages of a channel.
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<number>}
+ */
+async function countArchiveRecords(channelId) {
+  const db = await openExportStore();
+  const index = db.transaction('archiveMessages').objectStore('archiveMessages').index('channelId');
+  return storeRequest(index.count(channelId));
+}
+
+/**
+ * Get the files already downloaded for a channel's archive.
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object>} Map of file URL to { localPath, localName }
+ */
+async function getArchiveFiles(channelId) {
+  const db = await openExportStore();
+  const index = db.transaction('archiveFiles').objectStore('archiveFiles').index('channelId');
+  const entries = await storeRequest(index.getAll(channelId));
+  const files = {};
+  for (const entry of entries) {
+    files[entry.url] = { localPath: entry.localPath, localName: entry.localName };
+  }
+  return files;
+}
+
+/**
+ * Remember downloaded files so later archive runs do not fetch them again.
+ * @param {string} channelId - Channel ID
+ * @param {Object} files - Map of file URL to { localPath, localName }
+ * @returns {Promise<void>}
+ */
+async function saveArchiveFiles(channelId, files) {
+  const db = await openExportStore();
+  const transaction = db.transaction('archiveFiles', 'readwrite');
+  const store = transaction.objectStore('archiveFiles');
+  for (const [url, info] of Object.entries(files || {})) {
+    store.put({ channelId, url, localPath: info.localPath, localName: info.localName || '' });
+  }
+  await storeTransactionDone(transaction);
+}
+
+/**
+ * Get the raw snapshot saved by a channel's previous export.
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object|null>} { channelId, takenAt, oldest, latest, messages, threads }
+ */
+async function getChannelSnapshot(channelId) {
+  const db = await openExportStore();
+  const store = db.transaction('snapshots').objectStore('snapshots');
+  return (await storeRequest(store.get(channelId))) || null;
+}
+
+/**
+ * Replace a channel's snapshot with the messages of the latest export.
+ * @param {Object} snapshot - { channelId, takenAt, oldest, latest, messages, threads }
+ * @returns {Promise<void>}
+ */
+async function saveChannelSnapshot(snapshot) {
+  const db = await openExportStore();
+  const transaction = db.transaction('snapshots', 'readwrite');
+  transaction.objectStore('snapshots').put(snapshot);
+  await storeTransactionDone(transaction);
+}
+
+/**
+ * Get the thread parents earlier exports of a channel saw.
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Array<Object>>} [{ channelId, threadTs, latestReply, message }]
+ */
+async function getTrackedThreads(channelId) {
+  const db = await openExportStore();
+  const store = db.transaction('trackedThreads').objectStore('trackedThreads');
+  return storeRequest(store.index('channelId').getAll(channelId));
+}
+
+/**
+ * Replace the thread parents tracked for a channel.
+ * @param {string} channelId - Channel ID
+ * @param {Array<Object>} threads - [{ threadTs, latestReply, message }]
+ * @returns {Promise<void>}
+ */
+async function saveTrackedThreads(channelId, threads) {
+  const db = await openExportStore();
+  const transaction = db.transaction('trackedThreads', 'readwrite');
+  const store = transaction.objectStore('trackedThreads');
+  const done = storeTransactionDone(transaction);
+  const keys = await storeRequest(store.index('channelId').getAllKeys(channelId));
+  keys.forEach(key => store.delete(key));
+  for (const thread of threads) {
+    store.put({ channelId, threadTs: thread.threadTs, latestReply: thread.latestReply, message: thread.message });
+  }
+  await done;
+}
+
+/**
+ * Keep the raw data of an export, pruning the channel's oldest raw exports.
+ * @param {Object} raw - Raw export data (version, exportedAt, parameters, messages, ...)
+ * @returns {Promise<number>} ID of the stored export
+ */
+async function saveRawExport(raw) {
+  const db = await openExportStore();
+  const transaction = db.transaction(['rawExports', 'rawExportSummaries'], 'readwrite');
+  const store = transaction.objectStore('rawExports');
+  const summaries = transaction.objectStore('rawExportSummaries');
+  const done = storeTransactionDone(transaction);
+  const { channelId, channelName } = raw.parameters;
+
+  const record = {
+    channelId,
+    channelName,
+    exportedAt: raw.exportedAt,
+    messageCount: raw.messages.length,
+    raw
+  };
+  record.id = await storeRequest(store.add(record));
+  summaries.put(getRawExportSummary(record));
+
+  const ids = await storeRequest(store.index('channelId').getAllKeys(channelId));
+  ids.sort((a, b) => a - b);
+  for (const staleId of ids.slice(0, Math.max(0, ids.length - RAW_EXPORTS_PER_CHANNEL))) {
+    store.delete(staleId);
+    summaries.delete(staleId);
+  }
+
+  await done;
+  return record.id;
+}
+
+/**
+ * Get the fields of a stored raw export that the export list shows.
+ * @param {Object} record - rawExports record
+ * @returns {Object} { id, channelId, channelName, exportedAt, messageCount, parameters }
+ */
+function getRawExportSummary({ raw, ...summary }) {
+  return { ...summary, parameters: raw.parameters };
+}
+
+/**
+ * List stored raw exports, newest first, without their data.
+ * @returns {Promise<Array<Object>>} [{ id, channelId, channelName, exportedAt, messageCount, parameters }]
+ */
+async function listRawExports() {
+  const db = await openExportStore();
+  const summaries = await storeRequest(db.transaction('rawExportSummaries').objectStore('rawExportSummaries').getAll());
+  return summaries.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Get the raw data of a stored export.
+ * @param {number} id - Export ID
+ * @returns {Promise<Object|null>} Raw export data
+ */
+async function getRawExport(id) {
+  const db = await openExportStore();
+  const record = await storeRequest(db.transaction('rawExports').objectStore('rawExports').get(id));
+  return record ? record.raw : null;
+}
+
+/**
+ * Delete a stored export.
+ * @param {number} id - Export ID
+ * @returns {Promise<void>}
+ */
+async function deleteRawExport(id) {
+  const db = await openExportStore();
+  const transaction = db.transaction(['rawExports', 'rawExportSummaries'], 'readwrite');
+  transaction.objectStore('rawExports').delete(id);
+  transaction.objectStore('rawExportSummaries').delete(id);
+  await storeTransactionDone(transaction);
+}
+
+/**
+ * Add a file to a bundle, replacing any file already at that path.
+ * @param {number} bundleId - Bundle ID (the run's start time in ms)
+ * @param {string} path - Download path of the file
+ * @param {string|Uint8Array} content - File content
+ * @returns {Promise<void>}
+ */
+async function saveBundleEntry(bundleId, path, content) {
+  const db = await openExportStore();
+  const transaction = db.transaction('bundleEntries', 'readwrite');
+  transaction.objectStore('bundleEntries').put({ bundleId, path, content });
+  await storeTransactionDone(transaction);
+}
+
+/**
+ * Record that a file of a bundle was saved outside it, or not at all, for
+ * the bundle's manifest.
+ * @param {number} bundleId - Bundle ID
+ * @param {string} path - Download path of the file
+ * @param {Object} note - { outcome, error }
+ * @returns {Promise<void>}
+ */
+async function saveBundleNote(bundleId, path, note) {
+  const db = await openExportStore();
+  const transaction = db.transaction('bundleEntries', 'readwrite');
+  transaction.objectStore('bundleEntries').put({ bundleId, path, content: null, note });
+  await storeTransactionDone(transaction);
+}
+
+/**
+ * Get the files of a bundle, sorted by path.
+ * @param {number} bundleId - Bundle ID
+ * @returns {Promise<Array<{path: string, content: string|Uint8Array|null, note?: Object}>>} Files
+ *   recorded with saveBundleNote have a note instead of content
+ */
+async function getBundleEntries(bundleId) {
+  const db = await openExportStore();
+  const records = await storeRequest(db.transaction('bundleEntries').objectStore('bundleEntries').index('bundleId').getAll(bundleId));
+  return records.map(({ path, content, note }) => (note ? { path, content, note } : { path, content }));
+}
+
+/**
+ * Delete a bundle's files, and those of bundles older than BUNDLE_MAX_AGE_MS.
+ * @param {number} bundleId - Bundle ID
+ * @returns {Promise<void>}
+ */
+async function deleteBundle(bundleId) {
+  const db = await openExportStore();
+  const transaction = db.transaction('bundleEntries', 'readwrite');
+  const store = transaction.objectStore('bundleEntries');
+  const done = storeTransactionDone(transaction);
+
+  const keys = await storeRequest(store.getAllKeys());
+  const staleBefore = Date.now() - BUNDLE_MAX_AGE_MS;
+  for (const key of keys) {
+    if (key[0] === bundleId || key[0] < staleBefore) store.delete(key);
+  }
+
+  await done;
+}
+
+/**
+ * Save a batch job, adding it to the queue when it has no ID yet. Saving a
+ * finished job prunes the oldest finished ones.
+ * @param {Object} job - Batch job ({ id?, status, channels, nextIndex, results, ... })
+ * @returns {Promise<number>} Job ID
+ */
+async function saveBatchJob(job) {
+  const db = await openExportStore();
+  const transaction = db.transaction('batchJobs', 'readwrite');
+  const store = transaction.objectStore('batchJobs');
+  const done = storeTransactionDone(transaction);
+
+  const id = await storeRequest(job.id ? store.put(job) : store.add(job));
+  if (FINISHED_BATCH_JOB_STATUSES.includes(job.status)) {
+    const finished = (await storeRequest(store.getAll()))
+      .filter(record => FINISHED_BATCH_JOB_STATUSES.includes(record.status))
+      .sort((a, b) => a.id - b.id);
+    for (const stale of finished.slice(0, Math.max(0, finished.length - FINISHED_BATCH_JOBS_KEPT))) {
+      store.delete(stale.id);
+    }
+  }
+
+  await done;
+  return id;
+}
+
+/**
+ * Get a batch job.
+ * @param {number} id - Job ID
+ * @returns {Promise<Object|null>}
+ */
+async function getBatchJob(id) {
+  const db = await openExportStore();
+  return (await storeRequest(db.transaction('batchJobs').objectStore('batchJobs').get(id))) || null;
+}
+
+/**
+ * Get the queued, running and paused batch jobs, oldest first.
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPendingBatchJobs() {
+  const db = await openExportStore();
+  const jobs = await storeRequest(db.transaction('batchJobs').objectStore('batchJobs').getAll());
+  return jobs.filter(job => !FINISHED_BATCH_JOB_STATUSES.includes(job.status)).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Record progress of a channel export: update the checkpoint's fields and
+ * add one fetched item, in a single transaction so they never disagree.
+ * @param {string} key - Checkpoint key (one per channel export)
+ * @param {Object} fields - Fields to set ({ window, exportPrefix, cursor, historyComplete, ... })
+ * @param {Object|null} item - { kind: 'page' | 'thread' | 'file', id, data } to add, if any
+ * @returns {Promise<void>}
+ */
+async function updateExportCheckpoint(key, fields, item = null) {
+  const db = await openExportStore();
+  const transaction = db.transaction(['exportCheckpoints', 'exportCheckpointItems'], 'readwrite');
+  const store = transaction.objectStore('exportCheckpoints');
+  const done = storeTransactionDone(transaction);
+
+  const existing = await storeRequest(store.get(key));
+  store.put({ ...(existing || { key, createdAt: Date.now() }), ...fields, key, updatedAt: Date.now() });
+  if (item) {
+    transaction.objectStore('exportCheckpointItems').put({ key, kind: item.kind, id: item.id, data: item.data });
+  }
+
+  await done;
+}
+
+/**
+ * Get a channel export's checkpoint with everything fetched so far.
+ * @param {string} key - Checkpoint key
+ * @returns {Promise<Object|null>} Checkpoint fields plus pages (message lists in page order),
+ *   threads (by thread ts) and files (by URL)
+ */
+async function getExportCheckpoint(key) {
+  const db = await openExportStore();
+  const transaction = db.transaction(['exportCheckpoints', 'exportCheckpointItems']);
+  const record = await storeRequest(transaction.objectStore('exportCheckpoints').get(key));
+  if (!record) return null;
+
+  const items = await storeRequest(transaction.objectStore('exportCheckpointItems').index('key').getAll(key));
+  const checkpoint = {
+    ...record,
+    pages: items.filter(item => item.kind === 'page').sort((a, b) => a.id - b.id).map(item => item.data),
+    threads: {},
+    files: {}
+  };
+  for (const item of items) {
+    if (item.kind === 'thread') checkpoint.threads[item.id] = item.data;
+    else if (item.kind === 'file') checkpoint.files[item.id] = item.data;
+  }
+  return checkpoint;
+}
+
+/**
+ * Delete a checkpoint, and checkpoints not updated for CHECKPOINT_MAX_AGE_MS.
+ * @param {string} key - Checkpoint key
+ * @returns {Promise<void>}
+ */
+async function deleteExportCheckpoint(key) {
+  const db = await openExportStore();
+  const transaction = db.transaction(['exportCheckpoints', 'exportCheckpointItems'], 'readwrite');
+  const store = transaction.objectStore('exportCheckpoints');
+  const items = transaction.objectStore('exportCheckpointItems');
+  const done = storeTransactionDone(transaction);
+
+  const staleBefore = Date.now() - CHECKPOINT_MAX_AGE_MS;
+  const keys = (await storeRequest(store.getAll()))
+    .filter(record => record.key === key || record.updatedAt < staleBefore)
+    .map(record => record.key);
+  if (!keys.includes(key)) keys.push(key);
+  for (const staleKey of keys) {
+    store.delete(staleKey);
+    for (const itemKey of await storeRequest(items.index('key').getAllKeys(staleKey))) {
+      items.delete(itemKey);
+    }
+  }
+
+  await done;
+}
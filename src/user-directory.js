@@ -0,0 +1,193 @@
+/**
+ * Persistent user directory for Slack Export Extension
+ *
+ * Resolves user IDs to display names once per TTL instead of once per
+ * channel. Entries live in memory for the current page (shared by every
+ * channel of a batch) and in chrome.storage.local across runs (the manifest
+ * asks for unlimitedStorage, as large workspaces outgrow the default quota).
+ */
+
+const USER_DIRECTORY_STORAGE_PREFIX = 'userDirectory:';
+
+// Warm up with users.list only when this many users are missing; a few
+// users.info calls are cheaper than paging through a large workspace.
+const USER_DIRECTORY_WARMUP_MIN_MISSING = 20;
+// users.list pages hold 200 users at Tier 2 (20/min); users.info is Tier 4
+// (100/min). Paging through the workspace is only quicker than fetching the
+// missing users one by one while it has fewer than this many users per
+// missing user, so a warm-up stops once it has cost that much.
+const USER_DIRECTORY_WARMUP_PAGE_SIZE = 200;
+const USER_DIRECTORY_WARMUP_USERS_PER_MISSING = 40;
+
+// In-memory directories by team ID: { users: { [id]: entry }, warmedAt }
+const userDirectories = new Map();
+
+/**
+ * Resolve user IDs to display names, using the cache where possible.
+ * @param {Array<string>} userIds - User IDs to resolve
+ * @param {Object} options
+ * @param {SlackApiClient} options.client - API client for the team
+ * @param {string} options.teamId - Team ID the users belong to
+ * @param {number} options.ttlMs - How long cached entries stay valid
+ * @param {AbortSignal|null} options.signal - Stops fetching when aborted (rejecting with its reason)
+ * @returns {Promise<Object>} Map of user ID to display name
+ */
+async function resolveUserNames(userIds, { client, teamId, ttlMs, signal = null }) {
+  const directory = await loadUserDirectory(teamId);
+  const now = Date.now();
+  const isFresh = entry => entry && (now - entry.updatedAt) < ttlMs;
+
+  let missing = userIds.filter(id => !isFresh(directory.users[id]));
+  const cachedCount = userIds.length - missing.length;
+  let changed = false;
+
+  const worthwhileSize = missing.length * USER_DIRECTORY_WARMUP_USERS_PER_MISSING;
+  if (missing.length >= USER_DIRECTORY_WARMUP_MIN_MISSING &&
+      (now - directory.warmedAt) >= ttlMs &&
+      directory.workspaceSize <= worthwhileSize) {
+    try {
+      await warmUserDirectory(client, directory, worthwhileSize, signal);
+      changed = true;
+      missing = missing.filter(id => !isFresh(directory.users[id]));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn('⚠️ users.list warm-up failed, falling back to users.info:', error.message);
+    }
+  }
+
+  console.log(`👥 Users: ${cachedCount} cached, ${missing.length} to fetch individually`);
+  for (const userId of missing) {
+    try {
+      const data = await client.call('users.info', { user: userId }, { signal });
+      if (data.user) {
+        directory.users[userId] = toUserDirectoryEntry(data.user);
+        changed = true;
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`⚠️ Could not fetch user ${userId}:`, error.message);
+    }
+  }
+
+  if (changed) {
+    await saveUserDirectory(teamId, directory);
+  }
+
+  const userMap = {};
+  for (const userId of userIds) {
+    userMap[userId] = directory.users[userId]?.name || 'Unknown User';
+  }
+  return userMap;
+}
+
+/**
+ * Get the cached directory entry for a user, if any.
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} { name, handle, title, deleted, isBot, updatedAt }
+ */
+function getCachedUser(teamId, userId) {
+  const directory = userDirectories.get(teamId);
+  return (directory && directory.users[userId]) || null;
+}
+
+/**
+ * Load workspace users with paginated users.list, stopping once more than
+ * maxUsers were read. The directory records the workspace size: exactly after
+ * a complete listing, as a lower bound otherwise, so later runs skip warm-ups
+ * that cannot pay off.
+ * @param {SlackApiClient} client - API client
+ * @param {Object} directory - Directory to fill
+ * @param {number} maxUsers - Users worth reading
+ * @param {AbortSignal|null} signal - Stops the listing when aborted
+ * @returns {Promise<void>}
+ */
+async function warmUserDirectory(client, directory, maxUsers, signal = null) {
+  console.log('👥 Warming user directory with users.list...');
+  let count = 0;
+  for await (const page of client.paginate('users.list', { limit: USER_DIRECTORY_WARMUP_PAGE_SIZE }, { signal })) {
+    for (const user of page.members || []) {
+      directory.users[user.id] = toUserDirectoryEntry(user);
+      count++;
+    }
+    if (count > maxUsers && page.response_metadata?.next_cursor) {
+      directory.workspaceSize = count + 1;
+      console.log(`👥 Workspace has more than ${count} users; stopped warming, the rest are fetched individually`);
+      return;
+    }
+  }
+  directory.workspaceSize = count;
+  directory.warmedAt = Date.now();
+  console.log(`✅ Cached ${count} users from users.list`);
+}
+
+/**
+ * Reduce a Slack user object to what exports need.
+ * @param {Object} user - Slack user object
+ * @returns {Object} Directory entry
+ */
+function toUserDirectoryEntry(user) {
+  return {
+    name: user.real_name ||
+          user.profile?.display_name ||
+          user.profile?.real_name ||
+          user.name ||
+          'Unknown User',
+    handle: user.name || '',
+    title: user.profile?.title || '',
+    deleted: !!user.deleted,
+    isBot: !!user.is_bot,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Get a team's directory, loading it from storage on first use.
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Object>}
+ */
+async function loadUserDirectory(teamId) {
+  if (userDirectories.has(teamId)) {
+    return userDirectories.get(teamId);
+  }
+
+  const key = `${USER_DIRECTORY_STORAGE_PREFIX}${teamId}`;
+  let stored = null;
+  try {
+    const result = await chrome.storage.local.get(key);
+    stored = result[key] || null;
+  } catch (error) {
+    console.warn('⚠️ Could not load user directory cache:', error.message);
+  }
+
+  const directory = {
+    users: (stored && stored.users) || {},
+    warmedAt: (stored && stored.warmedAt) || 0,
+    // Known (or lower bound of the) number of workspace users; 0 until a warm-up ran
+    workspaceSize: (stored && stored.workspaceSize) || 0
+  };
+  userDirectories.set(teamId, directory);
+  return directory;
+}
+
+/**
+ * Persist a team's directory to chrome.storage.local.
+ * @param {string} teamId - Team ID
+ * @param {Object} directory - Directory to save
+ * @returns {Promise<void>}
+ */
+async function saveUserDirectory(teamId, directory) {
+  try {
+    await chrome.storage.local.set({ [`${USER_DIRECTORY_STORAGE_PREFIX}${teamId}`]: directory });
+  } catch (error) {
+    console.warn('⚠️ Could not save user directory cache:', error.message);
+  }
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackExportExtensionUserDirectory = {
+    resolveUserNames,
+    getCachedUser
+  };
+}
@@ -186,20 +186,45 @@ function sanitizeChannelName(name) {
     || 'slack-channel';                   // Fallback if empty
 }
 
+/**
+ * Validate Slack conversation IDs for API calls.
+ * C = public/private channels, D = direct messages, G = group messages.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isSlackConversationId(value) {
+  return /^[CDG][A-Z0-9]{8,}$/i.test(String(value || '').trim());
+}
+
 /**
  * Generate filename for export
  * @param {string} channelName - Name of the channel
  * @param {Object} config - Configuration object
+ * @param {Object} options - { delta: true } marks an incremental export; { suffix } appends "-suffix"
  * @returns {string} Generated filename
  */
-function generateFilename(channelName, config) {
+function generateFilename(channelName, config, options = {}) {
   const now = new Date();
   const dateStr = formatDate(now, 'YYYYMMDD-HHmm');
   const cleanChannel = channelName.replace(/[^a-zA-Z0-9-_]/g, '-');
   
-  return config.fileNameFormat
+  const filename = config.fileNameFormat
     .replace('YYYYMMDD-HHmm', dateStr)
     .replace('{channel}', cleanChannel);
+  // Incremental exports and change reports are marked so they are not mistaken for full exports
+  const suffix = options.suffix || (options.delta ? 'delta' : '');
+  return suffix ? filename.replace(/(\.(md|markdown))?$/i, `-${suffix}$1`) : filename;
+}
+
+/**
+ * Generate the stable filename of a channel archive
+ * @param {string} channelName - Channel name
+ * @param {string} month - Optional month ("YYYY-MM") for per-month archives
+ * @returns {string} Generated filename
+ */
+function generateArchiveFilename(channelName, month = '') {
+  const cleanChannel = channelName.replace(/[^a-zA-Z0-9-_]/g, '-');
+  return month ? `${cleanChannel}-${month}.md` : `${cleanChannel}.md`;
 }
 
 /**
@@ -263,14 +288,60 @@ function escapeMarkdown(text) {
     .replace(/\|/g, '\\|');
 }
 
+/**
+ * Build a GitHub-flavored markdown table.
+ * Cell text is expected to be markdown already; pipes are escaped and line
+ * breaks become <br> so each row stays on one line.
+ * @param {Array<string>} header - Header cells
+ * @param {Array<Array<string>>} rows - Body rows
+ * @returns {string} Markdown table
+ */
+function formatMarkdownTable(header, rows) {
+  const columnCount = Math.max(header.length, ...rows.map(row => row.length));
+  const formatCell = (cell) => String(cell || '')
+    .replace(/(?<!\\)\|/g, '\\|')
+    .replace(/\n/g, '<br>')
+    .trim();
+  const formatRow = (cells) => {
+    const padded = Array.from({ length: columnCount }, (_, i) => formatCell(cells[i]));
+    return `| ${padded.join(' | ')} |`;
+  };
+
+  return [
+    formatRow(header),
+    `|${' --- |'.repeat(columnCount)}`,
+    ...rows.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Wrap markdown in a named container marker. Markers are HTML comments, so
+ * markdown viewers ignore them while the HTML export renders a styled box.
+ * @param {string} name - Container name (e.g. "attachment")
+ * @param {string} markdown - Inner markdown
+ * @param {Object} attributes - Optional attributes (e.g. { color: '#36a64f' })
+ * @returns {string} Wrapped markdown
+ */
+function wrapMarkdownContainer(name, markdown, attributes = {}) {
+  const attrText = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ` ${key}=${String(value).replace(/\s+/g, '')}`)
+    .join('');
+  return `<!-- slack:${name}${attrText} -->\n${markdown}\n<!-- /slack:${name} -->`;
+}
+
 // Make functions available globally
 if (typeof window !== 'undefined') {
   window.SlackExportExtensionUtils = {
     formatDate,
     cleanText,
     extractChannelName,
+    isSlackConversationId,
     generateFilename,
+    generateArchiveFilename,
     showNotification,
-    escapeMarkdown
+    escapeMarkdown,
+    formatMarkdownTable,
+    wrapMarkdownContainer
   };
 } 
\ No newline at end of file
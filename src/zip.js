@@ -0,0 +1,284 @@
+/**
+ * Minimal ZIP reader and writer for Slack Export Extension
+ *
+ * Builds ZIP archives without dependencies, as bytes or as a Blob. Entries are
+ * compressed with the platform's CompressionStream ('deflate-raw') when it
+ * is available and stored uncompressed otherwise. Reading supports stored
+ * and deflated entries (DecompressionStream) and ZIP64 archives, but not
+ * encryption.
+ */
+
+const ZIP_METHOD_STORE = 0;
+const ZIP_METHOD_DEFLATE = 8;
+const ZIP_FLAG_UTF8 = 0x0800;
+
+let zipCrcTable = null;
+
+/**
+ * Compute the CRC-32 of some bytes.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned CRC-32
+ */
+function zipCrc32(bytes) {
+  if (!zipCrcTable) {
+    zipCrcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      zipCrcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = zipCrcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Deflate bytes with CompressionStream, or return null when unsupported.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function zipDeflate(bytes) {
+  if (typeof CompressionStream === 'undefined') return null;
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    console.warn('⚠️ deflate-raw unavailable, storing ZIP entries uncompressed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Encode a date as MS-DOS date and time fields.
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function zipDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive.
+ * @param {Array<{path: string, content: string|Uint8Array}>} entries - Files to add (paths use "/")
+ * @returns {Promise<Uint8Array>} ZIP file bytes
+ */
+async function createZip(entries) {
+  const parts = await buildZipParts(entries);
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
+
+/**
+ * Build a ZIP archive as a Blob, without copying it into one array.
+ * @param {Array<{path: string, content: string|Uint8Array}>} entries - Files to add (paths use "/")
+ * @returns {Promise<Blob>}
+ */
+async function createZipBlob(entries) {
+  return new Blob(await buildZipParts(entries), { type: 'application/zip' });
+}
+
+/**
+ * Build the parts of a ZIP archive: each file's local header, name and data,
+ * then the central directory.
+ * @param {Array<{path: string, content: string|Uint8Array}>} entries - Files to add (paths use "/")
+ * @returns {Promise<Array<Uint8Array>>}
+ */
+async function buildZipParts(entries) {
+  const encoder = new TextEncoder();
+  const { time, date } = zipDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const data = typeof entry.content === 'string' ? encoder.encode(entry.content) : entry.content;
+    const crc = zipCrc32(data);
+    const deflated = await zipDeflate(data);
+    const useDeflate = deflated && deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const method = useDeflate ? ZIP_METHOD_DEFLATE : ZIP_METHOD_STORE;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, ZIP_FLAG_UTF8, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, body);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, ZIP_FLAG_UTF8, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, body.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + body.length;
+  }
+
+  // Offsets and counts past these need ZIP64 records, which are not written
+  if (offset > 0xffffffff || entries.length > 0xffff) {
+    throw new Error(`Too much data for a ZIP file (${entries.length} files, ${offset} bytes; the limit is 65535 files and 4 GB)`);
+  }
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+}
+
+/**
+ * Read part of a ZIP file.
+ * @param {Blob} blob - ZIP file
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @returns {Promise<Uint8Array>}
+ */
+async function readZipBytes(blob, start, end) {
+  return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Read the entry list of a ZIP archive. Only the end records and the central
+ * directory are read up front; entry contents are read from the file and
+ * inflated when needed, so large exports are never loaded whole.
+ * @param {Blob|Uint8Array} zip - ZIP file (e.g. a File from an <input>) or its bytes
+ * @returns {Promise<Array<{path: string, size: number, read: Function}>>} Entries (directories
+ *   skipped); read() resolves to the entry's bytes
+ */
+async function readZip(zip) {
+  const blob = zip instanceof Blob ? zip : new Blob([zip]);
+
+  // The end of central directory record sits after an optional comment of up to 64 KB,
+  // and ZIP64 archives put a locator of their own end record right before it
+  const tailStart = Math.max(0, blob.size - 22 - 0xffff - 20);
+  const tail = await readZipBytes(blob, tailStart, blob.size);
+  const tailView = new DataView(tail.buffer);
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tailView.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a ZIP file');
+  }
+
+  let count = tailView.getUint16(end + 10, true);
+  let directorySize = tailView.getUint32(end + 12, true);
+  let directoryOffset = tailView.getUint32(end + 16, true);
+  if (end >= 20 && tailView.getUint32(end - 20, true) === 0x07064b50) {
+    const recordOffset = Number(tailView.getBigUint64(end - 12, true));
+    const record = new DataView((await readZipBytes(blob, recordOffset, recordOffset + 56)).buffer);
+    if (record.byteLength < 56 || record.getUint32(0, true) !== 0x06064b50) {
+      throw new Error('Corrupt ZIP64 end of central directory');
+    }
+    count = Number(record.getBigUint64(32, true));
+    directorySize = Number(record.getBigUint64(40, true));
+    directoryOffset = Number(record.getBigUint64(48, true));
+  }
+
+  const directory = await readZipBytes(blob, directoryOffset, directoryOffset + directorySize);
+  const view = new DataView(directory.buffer);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let position = 0;
+  for (let n = 0; n < count; n++) {
+    if (position + 46 > directory.length || view.getUint32(position, true) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = view.getUint16(position + 8, true);
+    const method = view.getUint16(position + 10, true);
+    let compressedSize = view.getUint32(position + 20, true);
+    let size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    let localOffset = view.getUint32(position + 42, true);
+    const path = decoder.decode(directory.subarray(position + 46, position + 46 + nameLength));
+
+    // ZIP64 entries keep the fields that did not fit in an extra field, in this order
+    for (let extra = position + 46 + nameLength; extra + 4 <= position + 46 + nameLength + extraLength;) {
+      const id = view.getUint16(extra, true);
+      const fieldSize = view.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        const next = () => {
+          const value = Number(view.getBigUint64(field, true));
+          field += 8;
+          return value;
+        };
+        if (size === 0xffffffff) size = next();
+        if (compressedSize === 0xffffffff) compressedSize = next();
+        if (localOffset === 0xffffffff) localOffset = next();
+      }
+      extra += 4 + fieldSize;
+    }
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    entries.push({
+      path,
+      size,
+      read: async () => {
+        if (flags & 0x0001) {
+          throw new Error(`${path} is encrypted`);
+        }
+        // The local header's name and extra field lengths can differ from the central directory's
+        const header = new DataView((await readZipBytes(blob, localOffset, localOffset + 30)).buffer);
+        const dataStart = localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = blob.slice(dataStart, dataStart + compressedSize);
+        if (method === ZIP_METHOD_STORE) return new Uint8Array(await data.arrayBuffer());
+        if (method !== ZIP_METHOD_DEFLATE) {
+          throw new Error(`${path} uses unsupported compression method ${method}`);
+        }
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+    });
+  }
+  return entries;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackExportExtensionZip = {
+    createZip,
+    createZipBlob,
+    readZip
+  };
+}